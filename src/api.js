@@ -0,0 +1,88 @@
+import { mkdir, writeFile } from "node:fs/promises"
+import { join } from "node:path"
+import { applyAwsSettings, loadSettings } from "./config.js"
+import { renderEvent } from "./event-template.js"
+import { interpretResponse } from "./response.js"
+import * as suite from "./suite.js"
+
+/**
+ * Merge options over the settings from the config file, environment variables and defaults; see loadSettings.
+ * @param {Object} options
+ * @param {string=} options.cwd where to look for a config file; defaults to process.cwd()
+ * @returns {Promise<Object>}
+ */
+export async function resolveOptions({ cwd, ...options }) {
+  const settings = await loadSettings({ cwd })
+  applyAwsSettings(settings)
+  const defined = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined)
+  )
+  return {
+    ...settings,
+    backend: settings.invokeBackend,
+    timeout: settings.invokeTimeout,
+    ...defined,
+  }
+}
+
+/**
+ * Invoke a lambda with an event and return its parsed response.
+ * Options not given are taken from the config file and environment variables like the command line does.
+ * The event can use placeholders, "$include" and generators like an event file; see renderEvent.
+ * @param {string} name the lambda, which finds its function like the name of an event file
+ * @param {any} event
+ * @param {Object=} options
+ * @param {string=} options.mode "node" (default), "local" or "remote"
+ * @param {string=} options.functionId the logical ID of the function, if name matches more than one
+ * @param {Object=} options.expect expectations to check; see checkExpectations
+ * @param {string=} options.templatePath
+ * @param {string=} options.eventsDir "$include" paths are relative to this
+ * @param {string=} options.outputDir where to keep the response and logs; by default, they are not kept
+ * @param {string=} options.stackName
+ * @param {string=} options.parameterOverrides
+ * @param {string=} options.backend
+ * @param {string=} options.endpointUrl
+ * @param {boolean=} options.localEndpoint whether endpointUrl is a local server that names functions by their logical ID
+ * @param {function(...any): void=} options.log prints nothing by default
+ * @returns {Promise<Object>} the result of runLambda along with body, the parsed body of the response, or the response itself
+ *  if it is not an API Gateway response. Also has the status, logs, metrics and, if the function failed, error.
+ *  A status of "error" means that the lambda could not be invoked, as explained by reason.
+ */
+export async function invoke(
+  name,
+  event,
+  { functionId, expect, log = () => {}, ...options } = {}
+) {
+  const resolved = await resolveOptions({ mode: "node", ...options })
+  const runner = await suite.createRunner({
+    ...resolved,
+    outputDir: options.outputDir,
+    log,
+  })
+  try {
+    const rendered = await renderEvent(event, { dir: resolved.eventsDir, ...runner.render })
+    const inputPath = join(runner.tmpDir, "events", `${name}.json`)
+    await mkdir(join(runner.tmpDir, "events"), { recursive: true })
+    await writeFile(inputPath, JSON.stringify(rendered))
+    const result = await runner.runCase({ lambda: name, name, functionId, inputPath, expect })
+    if (result.response === undefined) {
+      return result
+    }
+    const { body } = interpretResponse(result.response, {
+      functionError: result.functionError,
+    })
+    return { ...result, body }
+  } finally {
+    await runner.close()
+  }
+}
+
+/**
+ * Run the cases of the lambdas in the events directory and summarize the results, like the command line.
+ * Options not given are taken from the config file and environment variables; see runSuite in suite.js for the options.
+ * @param {Object} options mode is required
+ * @returns {Promise<Object>} a summary of the results; see summarize
+ */
+export async function runSuite(options) {
+  return suite.runSuite(await resolveOptions(options))
+}
@@ -0,0 +1,142 @@
+import { jest } from "@jest/globals"
+
+const loadSettingsMock = jest.fn()
+const createRunnerMock = jest.fn()
+const runSuiteMock = jest.fn()
+const mkdirMock = jest.fn()
+const readFileMock = jest.fn()
+const writeFileMock = jest.fn()
+
+jest.unstable_mockModule("node:fs/promises", () => ({
+  mkdir: mkdirMock,
+  readFile: readFileMock,
+  writeFile: writeFileMock,
+}))
+jest.unstable_mockModule("./config.js", () => ({
+  applyAwsSettings: jest.fn(),
+  loadSettings: loadSettingsMock,
+}))
+jest.unstable_mockModule("./suite.js", () => ({
+  createRunner: createRunnerMock,
+  runSuite: runSuiteMock,
+}))
+
+const { invoke, resolveOptions, runSuite } = await import("./api.js")
+
+const SETTINGS = {
+  outputDir: "/project/.test-lambda",
+  eventsDir: "/project/events",
+  templatePath: "/project/template.yaml",
+  invokeBackend: "http",
+  snapshotIgnore: [],
+}
+
+describe("resolveOptions", () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    loadSettingsMock.mockResolvedValue(SETTINGS)
+  })
+
+  it("merges options over settings", async () => {
+    const options = await resolveOptions({
+      cwd: "/project",
+      eventsDir: "fixtures",
+      stackName: undefined,
+    })
+    expect(loadSettingsMock).toHaveBeenCalledWith({ cwd: "/project" })
+    expect(options).toEqual({ ...SETTINGS, backend: "http", eventsDir: "fixtures" })
+  })
+})
+
+describe("invoke", () => {
+  let runner
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    loadSettingsMock.mockResolvedValue(SETTINGS)
+    runner = {
+      tmpDir: "/tmp/test-lambda-1",
+      render: { stackOutputs: undefined },
+      runCase: jest.fn(),
+      close: jest.fn(),
+    }
+    createRunnerMock.mockResolvedValue(runner)
+  })
+
+  it("renders the event, runs it and returns the parsed body", async () => {
+    runner.runCase.mockResolvedValue({
+      name: "getUser",
+      status: "passed",
+      passed: true,
+      response: { statusCode: 200, body: '{"id":"1"}' },
+      statusCode: 200,
+    })
+    readFileMock.mockResolvedValue('{"user":"1","role":"admin"}')
+    const result = await invoke(
+      "getUser",
+      { $include: "user.json", role: "viewer" },
+      { mode: "local" }
+    )
+    expect(readFileMock).toHaveBeenCalledWith("/project/events/user.json")
+    expect(createRunnerMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        mode: "local",
+        backend: "http",
+        eventsDir: "/project/events",
+        outputDir: undefined,
+      })
+    )
+    expect(runner.runCase).toHaveBeenCalledWith({
+      lambda: "getUser",
+      name: "getUser",
+      functionId: undefined,
+      inputPath: "/tmp/test-lambda-1/events/getUser.json",
+      expect: undefined,
+    })
+    expect(writeFileMock).toHaveBeenCalledWith(
+      "/tmp/test-lambda-1/events/getUser.json",
+      JSON.stringify({ user: "1", role: "viewer" })
+    )
+    expect(result).toMatchObject({ status: "passed", statusCode: 200, body: { id: "1" } })
+    expect(runner.close).toHaveBeenCalled()
+  })
+
+  it("defaults to node mode and returns a plain value as the body", async () => {
+    runner.runCase.mockResolvedValue({ status: "passed", passed: true, response: [1, 2] })
+    const result = await invoke("listItems", {})
+    expect(createRunnerMock).toHaveBeenCalledWith(expect.objectContaining({ mode: "node" }))
+    expect(result.body).toEqual([1, 2])
+  })
+
+  it("returns the result without a body if there was no response", async () => {
+    runner.runCase.mockResolvedValue({ status: "error", passed: false, reason: "no function" })
+    const result = await invoke("missing", {})
+    expect(result).toEqual({ status: "error", passed: false, reason: "no function" })
+  })
+
+  it("closes the runner if the event cannot be rendered", async () => {
+    readFileMock.mockRejectedValue(new Error("ENOENT"))
+    await expect(invoke("getUser", { $include: "missing.json" })).rejects.toThrow(
+      "could not $include /project/events/missing.json: ENOENT"
+    )
+    expect(runner.close).toHaveBeenCalled()
+  })
+})
+
+describe("runSuite", () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    loadSettingsMock.mockResolvedValue(SETTINGS)
+  })
+
+  it("runs with settings and options", async () => {
+    runSuiteMock.mockResolvedValue({ passed: 1 })
+    expect(await runSuite({ mode: "node", patterns: ["get*"] })).toEqual({ passed: 1 })
+    expect(runSuiteMock).toHaveBeenCalledWith({
+      ...SETTINGS,
+      backend: "http",
+      mode: "node",
+      patterns: ["get*"],
+    })
+  })
+})
@@ -0,0 +1,57 @@
+import { parseArgs } from "node:util"
+import { InputError } from "./errors.js"
+
+const OPTIONS = {
+  snapshot: { type: "boolean", default: false },
+  "update-snapshots": { type: "boolean", default: false },
+  reporter: { type: "string" },
+  "report-path": { type: "string" },
+  concurrency: { type: "string" },
+  serial: { type: "boolean", default: false },
+  watch: { type: "boolean", default: false },
+  exclude: { type: "string", multiple: true },
+  tag: { type: "string", multiple: true },
+  backend: { type: "string" },
+  "endpoint-url": { type: "string" },
+  "local-endpoint": { type: "boolean", default: false },
+  bench: { type: "string" },
+  warmup: { type: "string" },
+  "cold-start": { type: "boolean", default: false },
+  baseline: { type: "string" },
+  "update-baseline": { type: "boolean", default: false },
+  threshold: { type: "string" },
+  config: { type: "string" },
+  env: { type: "string" },
+  openapi: { type: "string" },
+  ignore: { type: "string", multiple: true },
+  stack: { type: "string", multiple: true },
+  stage: { type: "string", multiple: true },
+  region: { type: "string", multiple: true },
+  profile: { type: "string" },
+  qualifier: { type: "string" },
+  timeout: { type: "string" },
+  retries: { type: "string" },
+  "retry-delay": { type: "string" },
+}
+
+function camelCase(name) {
+  return name.replace(/-(\w)/gu, (_, letter) => letter.toUpperCase())
+}
+
+/**
+ * Parse command line arguments into positionals and options.
+ * @param {Array<string>} argv process.argv
+ * @returns {{positionals: Array<string>, options: Object}} options are keyed by the camel case of each flag
+ */
+export function parseArguments(argv) {
+  let parsed
+  try {
+    parsed = parseArgs({ args: argv.slice(2), options: OPTIONS, allowPositionals: true })
+  } catch (error) {
+    throw new InputError(error.message)
+  }
+  const options = Object.fromEntries(
+    Object.entries(parsed.values).map(([name, value]) => [camelCase(name), value])
+  )
+  return { positionals: parsed.positionals, options }
+}
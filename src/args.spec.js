@@ -0,0 +1,28 @@
+import { parseArguments } from "./args.js"
+import { InputError } from "./errors.js"
+
+describe("parseArguments", () => {
+  it("returns positionals after the script name", () => {
+    const { positionals } = parseArguments(["/usr/bin/node", "run.js", "local", "foo"])
+    expect(positionals).toEqual(["local", "foo"])
+  })
+
+  it("returns options keyed by camel case", () => {
+    const { positionals, options } = parseArguments([
+      "/usr/bin/node",
+      "run.js",
+      "remote",
+      "--update-snapshots",
+    ])
+    expect(positionals).toEqual(["remote"])
+    expect(options).toEqual(
+      expect.objectContaining({ snapshot: false, updateSnapshots: true })
+    )
+  })
+
+  it("throws InputError for an unknown option", () => {
+    expect(() => parseArguments(["/usr/bin/node", "run.js", "local", "--nope"])).toThrow(
+      InputError
+    )
+  })
+})
@@ -0,0 +1,213 @@
+import { execFileSync } from "node:child_process"
+import { mkdir, readFile, writeFile } from "node:fs/promises"
+import { dirname } from "node:path"
+import { InputError } from "./errors.js"
+import { awsCliOptions } from "./target.js"
+
+// changing any environment variable makes Lambda start new execution environments
+const COLD_START_VARIABLE = "TEST_LAMBDA_COLD_START"
+
+/**
+ * Force the next invocation of a deployed function to be a cold start by updating an environment variable,
+ * then wait for the update to finish. The function's other environment variables are kept.
+ * @param {string} functionName the deployed name
+ * @param {{region: string=, profile: string=}=} target where the function is deployed
+ */
+export function forceColdStart(functionName, target) {
+  const aws = (args) =>
+    execFileSync(
+      "aws",
+      ["lambda", ...args, "--function-name", functionName, ...awsCliOptions(target)],
+      { encoding: "utf-8" }
+    )
+  try {
+    const environment = JSON.parse(
+      aws(["get-function-configuration", "--query", "Environment", "--output", "json"])
+    )
+    const variables = { ...environment?.Variables, [COLD_START_VARIABLE]: String(Date.now()) }
+    aws([
+      "update-function-configuration",
+      "--environment",
+      JSON.stringify({ Variables: variables }),
+      "--output",
+      "json",
+    ])
+    aws(["wait", "function-updated"])
+  } catch (err) {
+    throw new Error(`Failed to force a cold start: ${err.message}`)
+  }
+}
+
+/**
+ * Run a case several times, after some warm-up runs whose results are discarded.
+ * Output from a run is only printed if one of its results did not pass.
+ * @param {Object} $1
+ * @param {number} $1.runs
+ * @param {number=} $1.warmup
+ * @param {boolean=} $1.coldStart whether each measured run should be a cold start
+ * @param {function({log: function(...any): void, coldStart: boolean}): Promise<Object|Array<Object>>} $1.run
+ *  runs the case once, returning its result or the results of a scenario's steps
+ * @param {function(...any): void=} $1.log
+ * @returns {Promise<Array<Object>>} the results of the measured runs
+ */
+export async function runBench({
+  runs,
+  warmup = 0,
+  coldStart = false,
+  run,
+  log = console.log,
+}) {
+  for (let index = 0; index < warmup; index++) {
+    await run({ log: () => {}, coldStart: false })
+  }
+  const results = []
+  for (let index = 0; index < runs; index++) {
+    const lines = []
+    const runResults = [await run({ log: (...args) => lines.push(args), coldStart })].flat()
+    if (runResults.some(({ passed }) => !passed)) {
+      for (const args of lines) {
+        log(...args)
+      }
+    }
+    results.push(...runResults)
+  }
+  return results
+}
+
+// the nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)]
+}
+
+function distribution(values) {
+  if (!values.length) {
+    return undefined
+  }
+  const sorted = [...values].sort((a, b) => a - b)
+  return {
+    min: sorted[0],
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    max: sorted[sorted.length - 1],
+  }
+}
+
+/**
+ * Compute statistics for each case from the results of running it several times.
+ * Durations come from the REPORT line of each invocation's logs if there is one and are otherwise measured by this process.
+ * @param {Array<Object>} results as returned by runLambda, with metrics if logs were captured
+ * @returns {Object<string, {runs: number, failures: number, duration: Object, initDuration: Object=, maxMemoryUsed: number=}>}
+ *  keyed by case name; duration and initDuration have min, p50, p95 and max in milliseconds, and maxMemoryUsed is in MB
+ */
+export function benchStats(results) {
+  const byName = new Map()
+  for (const result of results) {
+    byName.set(result.name, [...(byName.get(result.name) ?? []), result])
+  }
+  const stats = {}
+  for (const [name, nameResults] of byName) {
+    const memory = nameResults.map(({ metrics }) => metrics?.maxMemoryUsed).filter(Boolean)
+    stats[name] = {
+      runs: nameResults.length,
+      failures: nameResults.filter(({ passed }) => !passed).length,
+      duration: distribution(
+        nameResults
+          .map(({ metrics, duration }) => metrics?.duration ?? duration)
+          .filter((value) => value !== undefined)
+      ),
+      initDuration: distribution(
+        nameResults.map(({ metrics }) => metrics?.initDuration).filter(Boolean)
+      ),
+      maxMemoryUsed: memory.length ? Math.max(...memory) : undefined,
+    }
+  }
+  return stats
+}
+
+function formatDistribution({ min, p50, p95, max }) {
+  return [`min ${min}`, `p50 ${p50}`, `p95 ${p95}`, `max ${max}`].join(" / ")
+}
+
+/**
+ * Format statistics as a line per case.
+ * @param {Object} stats as returned by benchStats
+ * @returns {string}
+ */
+export function formatBench(stats) {
+  return Object.entries(stats)
+    .map(([name, { runs, failures, duration, initDuration, maxMemoryUsed }]) => {
+      const parts = [`⏱️ ${name} (${runs} runs${failures ? `, ${failures} failed` : ""})`]
+      if (duration) {
+        parts.push(`duration ${formatDistribution(duration)} ms`)
+      }
+      if (initDuration) {
+        parts.push(`init ${formatDistribution(initDuration)} ms`)
+      }
+      if (maxMemoryUsed !== undefined) {
+        parts.push(`memory ${maxMemoryUsed} MB`)
+      }
+      return parts.join(", ")
+    })
+    .join("\n")
+}
+
+/**
+ * Read a baseline written by writeBaseline.
+ * @param {string} path
+ * @returns {Promise<Object|undefined>} undefined if the file does not exist
+ * @throws {InputError} if the file is not JSON
+ */
+export async function readBaseline(path) {
+  let text
+  try {
+    text = (await readFile(path)).toString()
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return undefined
+    }
+    throw error
+  }
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    throw new InputError(`could not parse baseline ${path}: ${error.message}`)
+  }
+}
+
+/**
+ * Store statistics as a baseline for later runs, keeping the baselines of cases that did not run.
+ * @param {string} path
+ * @param {Object} stats as returned by benchStats
+ */
+export async function writeBaseline(path, stats) {
+  const baseline = { ...(await readBaseline(path)), ...stats }
+  await mkdir(dirname(path), { recursive: true })
+  await writeFile(path, `${JSON.stringify(baseline, null, 2)}\n`)
+}
+
+/**
+ * Compare the p50 and p95 durations of each case with a baseline.
+ * @param {Object} stats as returned by benchStats
+ * @param {Object} baseline as returned by readBaseline
+ * @param {number} threshold the percentage by which a duration can exceed the baseline
+ * @returns {Array<{name: string, reason: string}>} a regression for each case that exceeds the threshold
+ */
+export function compareBaseline(stats, baseline, threshold) {
+  const regressions = []
+  for (const [name, { duration }] of Object.entries(stats)) {
+    const expected = baseline[name]?.duration
+    if (!duration || !expected) {
+      continue
+    }
+    const reasons = ["p50", "p95"]
+      .filter((key) => duration[key] > expected[key] * (1 + threshold / 100))
+      .map((key) => {
+        const change = Math.round((duration[key] / expected[key] - 1) * 100)
+        return `${key} duration ${expected[key]} → ${duration[key]} ms (+${change}%)`
+      })
+    if (reasons.length) {
+      regressions.push({ name, reason: reasons.join(", ") })
+    }
+  }
+  return regressions
+}
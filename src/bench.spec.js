@@ -0,0 +1,147 @@
+import { jest } from "@jest/globals"
+
+const execFileSyncMock = jest.fn()
+
+jest.unstable_mockModule("node:child_process", () => ({
+  execFileSync: execFileSyncMock,
+}))
+
+const { benchStats, compareBaseline, forceColdStart, formatBench, runBench } = await import(
+  "./bench.js"
+)
+
+describe("forceColdStart", () => {
+  beforeEach(() => {
+    execFileSyncMock.mockReset()
+  })
+
+  it("updates an environment variable while keeping the others and waits", () => {
+    execFileSyncMock.mockReturnValueOnce(JSON.stringify({ Variables: { TABLE: "t" } }))
+    forceColdStart("app-Query")
+
+    const [, updateArgs] = execFileSyncMock.mock.calls[1]
+    const environment = JSON.parse(updateArgs[updateArgs.indexOf("--environment") + 1])
+    expect(environment.Variables).toEqual({
+      TABLE: "t",
+      TEST_LAMBDA_COLD_START: expect.any(String),
+    })
+    expect(updateArgs).toEqual(
+      expect.arrayContaining(["update-function-configuration", "--function-name", "app-Query"])
+    )
+    expect(execFileSyncMock).toHaveBeenLastCalledWith(
+      "aws",
+      ["lambda", "wait", "function-updated", "--function-name", "app-Query"],
+      expect.any(Object)
+    )
+  })
+
+  it("uses the region and profile of a target", () => {
+    execFileSyncMock.mockReturnValueOnce("null")
+    forceColdStart("app-Query", { region: "eu-west-1", profile: "prod" })
+    for (const [, args] of execFileSyncMock.mock.calls) {
+      expect(args.slice(-4)).toEqual(["--region", "eu-west-1", "--profile", "prod"])
+    }
+  })
+
+  it("handles a function without environment variables", () => {
+    execFileSyncMock.mockReturnValueOnce("null")
+    forceColdStart("app-Query")
+    expect(execFileSyncMock).toHaveBeenCalledTimes(3)
+  })
+
+  it("throws with the error message if the CLI fails", () => {
+    execFileSyncMock.mockImplementation(() => {
+      throw new Error("AccessDenied")
+    })
+    expect(() => forceColdStart("app-Query")).toThrow(
+      "Failed to force a cold start: AccessDenied"
+    )
+  })
+})
+
+describe("runBench", () => {
+  it("discards warm-up runs and only prints the output of runs that do not pass", async () => {
+    const log = jest.fn()
+    let count = 0
+    const run = jest.fn(async ({ log: runLog }) => {
+      count++
+      runLog(`run ${count}`)
+      return { name: "foo", passed: count !== 3 }
+    })
+
+    const results = await runBench({ runs: 3, warmup: 1, coldStart: true, run, log })
+
+    expect(results).toHaveLength(3)
+    expect(run).toHaveBeenNthCalledWith(1, expect.objectContaining({ coldStart: false }))
+    expect(run).toHaveBeenNthCalledWith(2, expect.objectContaining({ coldStart: true }))
+    expect(log.mock.calls).toEqual([["run 3"]])
+  })
+
+  it("flattens the results of a scenario's steps", async () => {
+    const run = async () => [
+      { name: "s/0", passed: true },
+      { name: "s/1", passed: true },
+    ]
+    expect(await runBench({ runs: 2, run })).toHaveLength(4)
+  })
+})
+
+describe("benchStats", () => {
+  it("computes percentiles from REPORT metrics or measured durations", () => {
+    const results = [
+      ...[5, 1, 4, 2, 3].map((duration) => ({
+        name: "foo",
+        passed: true,
+        duration: 100,
+        metrics: { duration, maxMemoryUsed: 60 + duration, initDuration: duration * 10 },
+      })),
+      { name: "bar", passed: false, duration: 7 },
+    ]
+    expect(benchStats(results)).toEqual({
+      foo: {
+        runs: 5,
+        failures: 0,
+        duration: { min: 1, p50: 3, p95: 5, max: 5 },
+        initDuration: { min: 10, p50: 30, p95: 50, max: 50 },
+        maxMemoryUsed: 65,
+      },
+      bar: {
+        runs: 1,
+        failures: 1,
+        duration: { min: 7, p50: 7, p95: 7, max: 7 },
+        initDuration: undefined,
+        maxMemoryUsed: undefined,
+      },
+    })
+  })
+})
+
+describe("formatBench", () => {
+  it("formats a line per case", () => {
+    const stats = {
+      foo: {
+        runs: 2,
+        failures: 1,
+        duration: { min: 1, p50: 1, p95: 2, max: 2 },
+        initDuration: { min: 100, p50: 100, p95: 100, max: 100 },
+        maxMemoryUsed: 70,
+      },
+    }
+    expect(formatBench(stats)).toBe(
+      "⏱️ foo (2 runs, 1 failed), duration min 1 / p50 1 / p95 2 / max 2 ms, init min 100 / p50 100 / p95 100 / max 100 ms, memory 70 MB"
+    )
+  })
+})
+
+describe("compareBaseline", () => {
+  const duration = (p50, p95) => ({ duration: { min: 0, p50, p95, max: p95 } })
+
+  it("reports durations over the threshold", () => {
+    const stats = { foo: duration(11, 30), bar: duration(10, 10), baz: duration(10, 10) }
+    const baseline = { foo: duration(10, 20), bar: duration(10, 10) }
+    expect(compareBaseline(stats, baseline, 10)).toEqual([
+      { name: "foo", reason: "p95 duration 20 → 30 ms (+50%)" },
+    ])
+    expect(compareBaseline(stats, baseline, 50)).toEqual([])
+  })
+})
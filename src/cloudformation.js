@@ -0,0 +1,163 @@
+import { extname } from "node:path"
+import YAML from "yaml"
+
+// short form tags and the long form keys they stand for
+const FUNCTIONS = {
+  Ref: "Ref",
+  Condition: "Condition",
+  Base64: "Fn::Base64",
+  Cidr: "Fn::Cidr",
+  FindInMap: "Fn::FindInMap",
+  GetAtt: "Fn::GetAtt",
+  GetAZs: "Fn::GetAZs",
+  ImportValue: "Fn::ImportValue",
+  Join: "Fn::Join",
+  Select: "Fn::Select",
+  Split: "Fn::Split",
+  Sub: "Fn::Sub",
+  Transform: "Fn::Transform",
+  And: "Fn::And",
+  Equals: "Fn::Equals",
+  If: "Fn::If",
+  Not: "Fn::Not",
+  Or: "Fn::Or",
+}
+
+/**
+ * Custom tags for the yaml package that turn CloudFormation short form functions like "!Ref Name"
+ * into their long form like { Ref: "Name" }.
+ */
+export const CLOUDFORMATION_TAGS = Object.entries(FUNCTIONS).flatMap(([name, key]) => [
+  {
+    tag: `!${name}`,
+    resolve: (value) => {
+      // the short form of GetAtt is "Resource.Attribute"
+      if (name === "GetAtt") {
+        const index = value.indexOf(".")
+        return { [key]: [value.slice(0, index), value.slice(index + 1)] }
+      }
+      return { [key]: value }
+    },
+  },
+  { tag: `!${name}`, collection: "seq", resolve: (seq) => ({ [key]: seq.toJSON() }) },
+  { tag: `!${name}`, collection: "map", resolve: (map) => ({ [key]: map.toJSON() }) },
+])
+
+/**
+ * Parse a CloudFormation or SAM template written in YAML or, if the path ends with ".json", JSON.
+ * @param {string} text
+ * @param {string=} path
+ * @returns {Object}
+ */
+export function parseTemplate(text, path = "") {
+  if (extname(path) === ".json") {
+    return JSON.parse(text)
+  }
+  return YAML.parse(text, { customTags: CLOUDFORMATION_TAGS, logLevel: "silent" })
+}
+
+/**
+ * Parse parameter overrides in the format used by `sam deploy --parameter-overrides`: "Key1=Value1 Key2=Value2".
+ * @param {string=} overrides
+ * @returns {Object}
+ */
+export function parseParameterOverrides(overrides = "") {
+  return Object.fromEntries(
+    overrides
+      .split(/\s+/u)
+      .filter(Boolean)
+      .map((pair) => {
+        const index = pair.indexOf("=")
+        return [pair.slice(0, index), pair.slice(index + 1)]
+      })
+  )
+}
+
+// thrown when a value cannot be known without a deployed stack
+class UnresolvedError extends Error {}
+
+function resolveRef(name, context) {
+  if (Object.hasOwn(context.parameters, name)) {
+    return context.parameters[name]
+  }
+  const defaultValue = context.document?.Parameters?.[name]?.Default
+  if (defaultValue !== undefined) {
+    return defaultValue
+  }
+  const pseudo = {
+    "AWS::StackName": context.stackName,
+    "AWS::Region": context.region,
+    "AWS::AccountId": context.accountId,
+    "AWS::Partition": "aws",
+    "AWS::URLSuffix": "amazonaws.com",
+  }[name]
+  if (pseudo === undefined) {
+    throw new UnresolvedError(name)
+  }
+  return pseudo
+}
+
+function resolveSub(template, variables, context) {
+  return template.replace(/\$\{(!?)([^}]+)\}/gu, (_, literal, name) => {
+    if (literal) {
+      return `\${${name}}`
+    }
+    if (Object.hasOwn(variables, name)) {
+      return resolveValue(variables[name], context)
+    }
+    return resolveRef(name, context)
+  })
+}
+
+function resolveValue(value, context) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveValue(item, context))
+  }
+  if (value === null || typeof value !== "object") {
+    return value
+  }
+  const keys = Object.keys(value)
+  if (keys.length === 1 && (keys[0] === "Ref" || keys[0].startsWith("Fn::"))) {
+    const args = value[keys[0]]
+    switch (keys[0]) {
+      case "Ref":
+        return resolveRef(args, context)
+      case "Fn::Sub":
+        return Array.isArray(args)
+          ? resolveSub(args[0], args[1] ?? {}, context)
+          : resolveSub(args, {}, context)
+      case "Fn::Join":
+        return resolveValue(args[1], context).join(args[0])
+      case "Fn::Select":
+        return resolveValue(args[1], context)[resolveValue(args[0], context)]
+      case "Fn::Split":
+        return resolveValue(args[1], context).split(args[0])
+      default:
+        throw new UnresolvedError(keys[0])
+    }
+  }
+  return Object.fromEntries(keys.map((key) => [key, resolveValue(value[key], context)]))
+}
+
+/**
+ * Resolve the intrinsic functions in a value that can be known without a deployed stack:
+ * Ref to parameters and pseudo parameters, Fn::Sub, Fn::Join, Fn::Select and Fn::Split.
+ * @param {any} value such as a function's FunctionName property
+ * @param {Object} context
+ * @param {Object=} context.document the template, whose parameter defaults are used
+ * @param {Object=} context.parameters parameter values that override defaults
+ * @param {string=} context.stackName
+ * @param {string=} context.region
+ * @param {string=} context.accountId
+ * @returns {any} the resolved value or undefined if it refers to anything else, such as a resource
+ */
+export function resolveIntrinsics(value, { parameters = {}, ...context } = {}) {
+  try {
+    return resolveValue(value, { ...context, parameters })
+  } catch (error) {
+    if (error instanceof UnresolvedError) {
+      return undefined
+    }
+    throw error
+  }
+}
@@ -0,0 +1,92 @@
+import { parseParameterOverrides, parseTemplate, resolveIntrinsics } from "./cloudformation.js"
+
+const yaml = `
+Parameters:
+  Stage:
+    Type: String
+    Default: dev
+Resources:
+  Query:
+    Type: AWS::Serverless::Function
+    Properties:
+      FunctionName: !Sub "\${AWS::StackName}-query-\${Stage}"
+      Role: !GetAtt QueryRole.Arn
+      Layers:
+        - !Ref Layer
+      Description: !Join ["-", [!Ref Stage, query]]
+      Tags:
+        Name: !Sub
+          - "\${Prefix}-query"
+          - Prefix: !Ref Stage
+      Timeout: !If [IsProd, 30, 10]
+`
+
+describe("parseTemplate", () => {
+  it("parses short form intrinsic functions into their long form", () => {
+    const document = parseTemplate(yaml, "template.yaml")
+    expect(document.Resources.Query.Properties).toEqual({
+      FunctionName: { "Fn::Sub": "${AWS::StackName}-query-${Stage}" },
+      Role: { "Fn::GetAtt": ["QueryRole", "Arn"] },
+      Layers: [{ Ref: "Layer" }],
+      Description: { "Fn::Join": ["-", [{ Ref: "Stage" }, "query"]] },
+      Tags: { Name: { "Fn::Sub": ["${Prefix}-query", { Prefix: { Ref: "Stage" } }] } },
+      Timeout: { "Fn::If": ["IsProd", 30, 10] },
+    })
+  })
+
+  it("parses a JSON template", () => {
+    const json = JSON.stringify({ Resources: { Query: { Type: "AWS::Lambda::Function" } } })
+    expect(parseTemplate(json, "/app/template.json")).toEqual({
+      Resources: { Query: { Type: "AWS::Lambda::Function" } },
+    })
+  })
+})
+
+describe("parseParameterOverrides", () => {
+  it("parses key value pairs", () => {
+    expect(parseParameterOverrides("Stage=prod  Url=https://a.b/?c=d")).toEqual({
+      Stage: "prod",
+      Url: "https://a.b/?c=d",
+    })
+    expect(parseParameterOverrides()).toEqual({})
+  })
+})
+
+describe("resolveIntrinsics", () => {
+  const document = parseTemplate(yaml, "template.yaml")
+  const { Properties } = document.Resources.Query
+
+  it("resolves Sub with pseudo parameters and parameter defaults", () => {
+    expect(resolveIntrinsics(Properties.FunctionName, { document, stackName: "app" })).toBe(
+      "app-query-dev"
+    )
+  })
+
+  it("prefers parameter overrides to defaults", () => {
+    const context = { document, stackName: "app", parameters: { Stage: "prod" } }
+    expect(resolveIntrinsics(Properties.FunctionName, context)).toBe("app-query-prod")
+    expect(resolveIntrinsics(Properties.Tags, context)).toEqual({ Name: "prod-query" })
+    expect(resolveIntrinsics(Properties.Description, context)).toBe("prod-query")
+  })
+
+  it("keeps escaped variables in Sub literal", () => {
+    expect(
+      resolveIntrinsics({ "Fn::Sub": "${!Literal}-${AWS::Region}" }, { region: "us-east-1" })
+    ).toBe("${Literal}-us-east-1")
+  })
+
+  it("resolves Select and Split", () => {
+    expect(resolveIntrinsics({ "Fn::Select": [1, { "Fn::Split": [",", "a,b,c"] }] })).toBe("b")
+  })
+
+  it("returns undefined for values that need a deployed stack", () => {
+    expect(resolveIntrinsics(Properties.Role, { document })).toBeUndefined()
+    expect(resolveIntrinsics(Properties.Layers, { document })).toBeUndefined()
+    expect(resolveIntrinsics(Properties.Timeout, { document })).toBeUndefined()
+    expect(resolveIntrinsics(Properties.FunctionName, { document })).toBeUndefined()
+  })
+
+  it("returns plain values as is", () => {
+    expect(resolveIntrinsics("my-function")).toBe("my-function")
+  })
+})
@@ -0,0 +1,104 @@
+import { diffValues, formatDifferences } from "./expect.js"
+import { interpretResponse } from "./response.js"
+import { normalizeResponse } from "./snapshot.js"
+
+/**
+ * JSON paths into comparable responses that differ between invocations of the same code, which are always ignored.
+ */
+export const VOLATILE_PATHS = [
+  "$.headers.date",
+  '$.headers["x-amzn-requestid"]',
+  '$.headers["x-amzn-trace-id"]',
+  '$.headers["x-amz-apigw-id"]',
+]
+
+function lowerCaseKeys(object) {
+  if (object === null || typeof object !== "object") {
+    return object
+  }
+  return Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key.toLowerCase(), value])
+  )
+}
+
+/**
+ * Get the parts of a lambda's response that should be the same wherever it runs.
+ * An API Gateway response keeps its status code, headers with lower case names and decoded body, while other responses
+ * are only their body. A function error is its type and message; its stack trace has paths that depend on where it ran.
+ * @param {Object} result as returned by runLambda
+ * @returns {Object|undefined} undefined if there was no response
+ */
+export function comparableResponse({ response, functionError }) {
+  if (response === undefined) {
+    return undefined
+  }
+  const { kind, body, error } = interpretResponse(response, { functionError })
+  if (kind === "error") {
+    return { error: { type: error.type, message: error.message } }
+  }
+  if (kind === "http") {
+    const comparable = {
+      ...response,
+      headers: lowerCaseKeys(response.headers),
+      multiValueHeaders: lowerCaseKeys(response.multiValueHeaders),
+      body,
+    }
+    // the body is compared decoded
+    delete comparable.isBase64Encoded
+    return comparable
+  }
+  return { body }
+}
+
+/**
+ * Compare the results of running the same case in two modes.
+ * @param {Array<Object|undefined>} results as returned by runLambda for each mode, or undefined if a mode did not run the case,
+ *  such as a step that was not reached in a scenario
+ * @param {Object} $2
+ * @param {Array<string>} $2.modes the mode of each result, such as ["local", "remote"]
+ * @param {Array<string>=} $2.ignore JSON paths into comparable responses to ignore, such as "$.body.requestId",
+ *  along with VOLATILE_PATHS
+ * @returns {Object} a result with name, lambda, mode "compare", status ("passed", "failed" or "error"), passed, reason,
+ *  details with the differences, duration, the differences and, by mode, the responses.
+ *  A comparison that passes is flaky if either mode only passed after retries.
+ */
+export function compareResults(results, { modes, ignore = [] }) {
+  const { name, lambda, scenario } = results.find(Boolean)
+  const compared = {
+    name,
+    lambda,
+    scenario,
+    mode: "compare",
+    duration: results.reduce((sum, result) => sum + (result?.duration ?? 0), 0),
+    responses: Object.fromEntries(
+      modes.map((mode, index) => [mode, results[index]?.response])
+    ),
+  }
+  const finish = (status, reason, details) =>
+    Object.assign(compared, { status, passed: status === "passed", reason, details })
+
+  const errored = results.findIndex((result) => result?.status === "error")
+  if (errored !== -1) {
+    return finish("error", `${modes[errored]}: ${results[errored].reason}`)
+  }
+  const missing = results.findIndex((result) => result === undefined)
+  if (missing !== -1) {
+    return finish("failed", `not run in ${modes[missing]}`)
+  }
+  const [expected, actual] = results.map((result) => {
+    const comparable = comparableResponse(result)
+    return comparable && normalizeResponse(comparable, [...VOLATILE_PATHS, ...ignore])
+  })
+  compared.differences = diffValues(expected, actual, [], { exact: true })
+  if (!compared.differences.length) {
+    if (results.some(({ flaky }) => flaky)) {
+      compared.flaky = true
+    }
+    return finish("passed")
+  }
+  return finish(
+    "failed",
+    "responses differ",
+    `  - ${modes[0]}\n  + ${modes[1]}\n${formatDifferences(compared.differences)}`
+  )
+}
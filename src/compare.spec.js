@@ -0,0 +1,131 @@
+import { comparableResponse, compareResults } from "./compare.js"
+
+describe("comparableResponse", () => {
+  it("keeps the status code, headers and decoded body of an API Gateway response", () => {
+    expect(
+      comparableResponse({
+        response: {
+          statusCode: 200,
+          headers: { "Content-Type": "application/json" },
+          isBase64Encoded: true,
+          body: Buffer.from('{"id":"a"}').toString("base64"),
+        },
+      })
+    ).toEqual({
+      statusCode: 200,
+      headers: { "content-type": "application/json" },
+      multiValueHeaders: undefined,
+      body: { id: "a" },
+    })
+  })
+
+  it("keeps the type and message of a function error", () => {
+    expect(
+      comparableResponse({
+        response: {
+          errorType: "TypeError",
+          errorMessage: "boom",
+          trace: ["at /var/task/index.js"],
+        },
+      })
+    ).toEqual({ error: { type: "TypeError", message: "boom" } })
+  })
+
+  it("uses any other response as the body", () => {
+    expect(comparableResponse({ response: [1, 2] })).toEqual({ body: [1, 2] })
+    expect(comparableResponse({})).toBeUndefined()
+  })
+})
+
+describe("compareResults", () => {
+  const modes = ["local", "remote"]
+  const result = (response, overrides = {}) => ({
+    name: "query",
+    lambda: "query",
+    status: "passed",
+    passed: true,
+    duration: 5,
+    response,
+    ...overrides,
+  })
+
+  it("passes if the responses are the same apart from volatile and ignored paths", () => {
+    const compared = compareResults(
+      [
+        result({ statusCode: 200, headers: { Date: "Mon" }, body: '{"id":1,"at":"1"}' }),
+        result({ statusCode: 200, headers: { date: "Tue" }, body: '{"id":1,"at":"2"}' }),
+      ],
+      { modes, ignore: ["$.body.at"] }
+    )
+    expect(compared).toEqual(
+      expect.objectContaining({
+        name: "query",
+        lambda: "query",
+        mode: "compare",
+        status: "passed",
+        passed: true,
+        duration: 10,
+        differences: [],
+      })
+    )
+    expect(compared.responses.local).toEqual({
+      statusCode: 200,
+      headers: { Date: "Mon" },
+      body: '{"id":1,"at":"1"}',
+    })
+  })
+
+  it("is flaky if a mode only passed after retries", () => {
+    const response = { statusCode: 200, body: "{}" }
+    const compared = compareResults(
+      [result(response), result(response, { flaky: true, attempts: 2 })],
+      { modes }
+    )
+    expect(compared).toEqual(expect.objectContaining({ status: "passed", flaky: true }))
+  })
+
+  it("fails with the differences", () => {
+    const compared = compareResults(
+      [
+        result({ statusCode: 200, body: '{"items":[]}' }),
+        result(
+          { errorType: "AccessDeniedException", errorMessage: "not authorized" },
+          { passed: false }
+        ),
+      ],
+      { modes }
+    )
+    expect(compared).toEqual(
+      expect.objectContaining({ status: "failed", passed: false, reason: "responses differ" })
+    )
+    expect(compared.details).toBe(
+      [
+        "  - local",
+        "  + remote",
+        "  - $.statusCode: 200",
+        "  + $.statusCode: undefined",
+        '  - $.body: {"items":[]}',
+        "  + $.body: undefined",
+        "  - $.error: undefined",
+        '  + $.error: {"type":"AccessDeniedException","message":"not authorized"}',
+      ].join("\n")
+    )
+  })
+
+  it("errors if a mode could not invoke the lambda", () => {
+    expect(
+      compareResults(
+        [result({}), result(undefined, { status: "error", reason: "function not found" })],
+        { modes }
+      )
+    ).toEqual(
+      expect.objectContaining({ status: "error", reason: "remote: function not found" })
+    )
+  })
+
+  it("fails if a mode did not run a step", () => {
+    expect(compareResults([result({}), undefined], { modes })).toEqual(
+      expect.objectContaining({ status: "failed", reason: "not run in remote" })
+    )
+  })
+})
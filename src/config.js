@@ -0,0 +1,277 @@
+import { readFile, stat } from "node:fs/promises"
+import { dirname, extname, join, resolve } from "node:path"
+import { pathToFileURL } from "node:url"
+import YAML from "yaml"
+import { parseArguments } from "./args.js"
+import { InputError } from "./errors.js"
+import { isPlainObject } from "./object.js"
+
+/**
+ * The names of config files, in the order they are looked for in each directory.
+ */
+export const CONFIG_FILENAMES = [
+  "test-lambda.config.json",
+  "test-lambda.config.js",
+  "test-lambda.config.mjs",
+  "test-lambda.config.yaml",
+  "test-lambda.config.yml",
+]
+
+// the settings that can be given in a config file, with the environment variable that overrides each one.
+// Ambient variables are often set in a shell for other reasons, so they do not override a profile selected explicitly.
+const SETTINGS = {
+  outputDir: { env: "OUTPUT_DIR", type: "path", default: ".test-lambda" },
+  eventsDir: { env: "EVENTS_DIR", type: "path", default: "events" },
+  templatePath: { env: "TEMPLATE_PATH", type: "path", default: "template.yaml" },
+  stackName: { env: "STACK_NAME", type: "string" },
+  usePackageName: { env: "USE_PACKAGE_NAME", type: "boolean", default: true },
+  snapshotsDir: { env: "SNAPSHOTS_DIR", type: "path" },
+  snapshotIgnore: { env: "SNAPSHOT_IGNORE", type: "list", default: [] },
+  compareIgnore: { env: "COMPARE_IGNORE", type: "list", default: [] },
+  reportPath: { env: "REPORT_PATH", type: "path" },
+  concurrency: { env: "CONCURRENCY", type: "count" },
+  invokeTimeout: { env: "INVOKE_TIMEOUT", type: "number" },
+  retries: { env: "RETRIES", type: "integer" },
+  retryDelay: { env: "RETRY_DELAY", type: "integer" },
+  parameterOverrides: { env: "PARAMETER_OVERRIDES", type: "parameters" },
+  invokeBackend: { env: "INVOKE_BACKEND", type: "string" },
+  endpointUrl: { env: "AWS_ENDPOINT_URL_LAMBDA", type: "string" },
+  localEndpoint: { env: "LOCAL_ENDPOINT", type: "boolean", default: false },
+  region: { env: "AWS_REGION", type: "string", ambient: true },
+  awsProfile: { env: "AWS_PROFILE", type: "string", ambient: true },
+  openapiPath: { env: "OPENAPI_PATH", type: "path" },
+  // a map is only read from a config file
+  schemas: { type: "paths", default: {} },
+}
+
+const TYPE_DESCRIPTIONS = {
+  path: "a string",
+  string: "a string",
+  boolean: "a boolean",
+  list: "an array of strings",
+  number: "a positive number",
+  count: "a positive integer",
+  integer: "a non-negative integer",
+  parameters: 'a string like "Key1=Value1 Key2=Value2" or an object',
+  paths: "an object whose values are strings",
+}
+
+function isValid(type, value) {
+  switch (type) {
+    case "boolean":
+      return typeof value === "boolean"
+    case "list":
+      return Array.isArray(value) && value.every((item) => typeof item === "string")
+    case "number":
+      return Number.isFinite(value) && value > 0
+    case "count":
+      return Number.isInteger(value) && value > 0
+    case "integer":
+      return Number.isInteger(value) && value >= 0
+    case "parameters":
+      return typeof value === "string" || isPlainObject(value)
+    case "paths":
+      return (
+        isPlainObject(value) && Object.values(value).every((item) => typeof item === "string")
+      )
+    default:
+      return typeof value === "string"
+  }
+}
+
+function validateSettings(settings, where) {
+  if (!isPlainObject(settings)) {
+    throw new InputError(`${where} must be an object`)
+  }
+  for (const [key, value] of Object.entries(settings)) {
+    if (!Object.hasOwn(SETTINGS, key)) {
+      throw new InputError(
+        `unknown setting ${key} in ${where}; expected one of: ${Object.keys(SETTINGS).join(
+          ", "
+        )}`
+      )
+    }
+    const { type } = SETTINGS[key]
+    if (value !== undefined && !isValid(type, value)) {
+      throw new InputError(`${key} in ${where} must be ${TYPE_DESCRIPTIONS[type]}`)
+    }
+  }
+}
+
+/**
+ * Check the contents of a config file: its settings and those of each profile in "profiles".
+ * @param {any} config
+ * @param {string} path where the config was read from, for error messages
+ * @throws {InputError} if a setting is unknown or has the wrong type
+ */
+export function validateConfig(config, path) {
+  if (!isPlainObject(config)) {
+    throw new InputError(`config ${path} must be an object`)
+  }
+  const { profiles = {}, ...settings } = config
+  validateSettings(settings, path)
+  if (!isPlainObject(profiles)) {
+    throw new InputError(`profiles in ${path} must be an object`)
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    validateSettings(profile, `profile ${name} of ${path}`)
+  }
+}
+
+async function isFile(path) {
+  try {
+    return (await stat(path)).isFile()
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Find a config file in a directory or the nearest of its parents.
+ * @param {string} dir
+ * @returns {Promise<string|undefined>} the absolute path of the config file
+ */
+export async function findConfigFile(dir) {
+  for (let current = resolve(dir); ; current = dirname(current)) {
+    for (const filename of CONFIG_FILENAMES) {
+      if (await isFile(join(current, filename))) {
+        return join(current, filename)
+      }
+    }
+    if (dirname(current) === current) {
+      return undefined
+    }
+  }
+}
+
+/**
+ * Read and check a config file. JSON and YAML files are parsed, while the default export of a JavaScript module is used.
+ * @param {string} path
+ * @returns {Promise<Object>}
+ * @throws {InputError} if the file cannot be read or parsed or is not valid; see validateConfig
+ */
+export async function readConfigFile(path) {
+  let config
+  try {
+    if ([".js", ".mjs"].includes(extname(path))) {
+      config = (await import(pathToFileURL(resolve(path)).href)).default
+    } else {
+      const text = (await readFile(path)).toString()
+      config = extname(path) === ".json" ? JSON.parse(text) : YAML.parse(text)
+    }
+  } catch (error) {
+    throw new InputError(`could not read config ${path}: ${error.message}`)
+  }
+  validateConfig(config, path)
+  return config
+}
+
+function parseEnvironmentValue(type, value) {
+  switch (type) {
+    case "boolean":
+      return !["", "0", "false"].includes(value.toLowerCase())
+    case "list":
+      return value.split(",").filter(Boolean)
+    default:
+      return value
+  }
+}
+
+/**
+ * Merge settings from environment variables, a profile of the config file, the config file itself and defaults,
+ * in that order of precedence, except that the region and awsProfile of the profile take precedence over AWS_REGION and
+ * AWS_PROFILE. Paths in the config file and default paths are relative to the config file's directory, if any.
+ * If there is no stack name and usePackageName is true, npm_package_name is used as the stack name.
+ * @param {Object} $1
+ * @param {Object<string, string>} $1.env such as process.env
+ * @param {Object=} $1.config as returned by readConfigFile
+ * @param {string=} $1.configPath
+ * @param {string=} $1.profile the name of a profile in the config's "profiles"
+ * @returns {Object} the settings, keyed like a config file; parameterOverrides is a string
+ * @throws {InputError} if the profile does not exist
+ */
+export function resolveSettings({ env, config = {}, configPath, profile }) {
+  const { profiles = {}, ...base } = config
+  if (profile !== undefined && !Object.hasOwn(profiles, profile)) {
+    const names = Object.keys(profiles)
+    if (!configPath) {
+      throw new InputError(`profile ${profile} was given but no config file was found`)
+    }
+    throw new InputError(
+      names.length
+        ? `unknown profile ${profile} in ${configPath}; expected one of: ${names.join(", ")}`
+        : `profile ${profile} was given but ${configPath} has no profiles`
+    )
+  }
+  const fromProfile = profiles[profile] ?? {}
+  const fromConfig = { ...base, ...fromProfile }
+  const settings = {}
+  for (const [key, { env: name, type, default: defaultValue, ambient }] of Object.entries(
+    SETTINGS
+  )) {
+    const fromEnv = name && env[name] !== undefined && env[name] !== ""
+    if (fromEnv && !(ambient && fromProfile[key] !== undefined)) {
+      settings[key] = parseEnvironmentValue(type, env[name])
+      continue
+    }
+    const value = fromConfig[key] ?? defaultValue
+    // with a config file, paths are relative to the project rather than to where the command runs
+    const resolvePath = (path) => (configPath ? resolve(dirname(configPath), path) : path)
+    if (type === "path" && value !== undefined) {
+      settings[key] = resolvePath(value)
+    } else if (type === "paths") {
+      settings[key] = Object.fromEntries(
+        Object.entries(value).map(([lambda, path]) => [lambda, resolvePath(path)])
+      )
+    } else {
+      settings[key] = value
+    }
+  }
+  if (isPlainObject(settings.parameterOverrides)) {
+    settings.parameterOverrides = Object.entries(settings.parameterOverrides)
+      .map(([key, value]) => `${key}=${value}`)
+      .join(" ")
+  }
+  if (!settings.stackName && settings.usePackageName) {
+    settings.stackName = env.npm_package_name
+  }
+  return settings
+}
+
+/**
+ * Load the settings for a run, from the config file given by --config or TEST_LAMBDA_CONFIG or found from cwd,
+ * the profile given by --env or TEST_LAMBDA_ENV, and environment variables; see resolveSettings.
+ * @param {Object} $1
+ * @param {Array<string>=} $1.argv process.argv, if from the command line
+ * @param {Object<string, string>=} $1.env
+ * @param {string=} $1.cwd
+ * @returns {Promise<Object>} the settings, along with configPath if a config file was used
+ */
+export async function loadSettings({
+  argv = [],
+  env = process.env,
+  cwd = process.cwd(),
+} = {}) {
+  const { options } = parseArguments(argv)
+  const givenPath = options.config ?? env.TEST_LAMBDA_CONFIG
+  const configPath = givenPath ? resolve(cwd, givenPath) : await findConfigFile(cwd)
+  if (givenPath && !(await isFile(configPath))) {
+    throw new InputError(`config file ${configPath} does not exist`)
+  }
+  const config = configPath ? await readConfigFile(configPath) : undefined
+  const profile = options.env ?? (env.TEST_LAMBDA_ENV || undefined)
+  return { ...resolveSettings({ env, config, configPath, profile }), configPath }
+}
+
+/**
+ * Set AWS_REGION and AWS_PROFILE from settings, so that the AWS CLI and the HTTP backend use them.
+ * @param {{region: string=, awsProfile: string=}} settings as returned by loadSettings
+ */
+export function applyAwsSettings({ region, awsProfile }) {
+  if (region) {
+    process.env.AWS_REGION = region
+  }
+  if (awsProfile) {
+    process.env.AWS_PROFILE = awsProfile
+  }
+}
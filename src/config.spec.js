@@ -0,0 +1,213 @@
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { InputError } from "./errors.js"
+import { findConfigFile, loadSettings, readConfigFile, resolveSettings } from "./config.js"
+
+const argv = (...args) => ["/usr/bin/node", "run.js", "remote", ...args]
+
+describe("config", () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "config-"))
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  describe("findConfigFile", () => {
+    it("finds a config file in the directory or a parent", async () => {
+      await mkdir(join(dir, "a", "b"), { recursive: true })
+      await writeFile(join(dir, "test-lambda.config.yaml"), "eventsDir: ev\n")
+      await writeFile(join(dir, "a", "test-lambda.config.json"), "{}")
+
+      expect(await findConfigFile(join(dir, "a", "b"))).toBe(
+        join(dir, "a", "test-lambda.config.json")
+      )
+      expect(await findConfigFile(dir)).toBe(join(dir, "test-lambda.config.yaml"))
+    })
+  })
+
+  describe("readConfigFile", () => {
+    it("reads JSON, YAML and JavaScript config files", async () => {
+      await writeFile(join(dir, "c.json"), '{"eventsDir": "ev"}')
+      await writeFile(
+        join(dir, "c.yml"),
+        "eventsDir: ev\nprofiles:\n  dev:\n    stackName: app-dev\n"
+      )
+      await writeFile(join(dir, "c.mjs"), 'export default { eventsDir: "ev" }')
+
+      expect(await readConfigFile(join(dir, "c.json"))).toEqual({ eventsDir: "ev" })
+      expect(await readConfigFile(join(dir, "c.yml"))).toEqual({
+        eventsDir: "ev",
+        profiles: { dev: { stackName: "app-dev" } },
+      })
+      expect(await readConfigFile(join(dir, "c.mjs"))).toEqual({ eventsDir: "ev" })
+    })
+
+    it("throws InputError for unknown settings, wrong types and invalid files", async () => {
+      const check = async (filename, text, message) => {
+        await writeFile(join(dir, filename), text)
+        const promise = readConfigFile(join(dir, filename))
+        await expect(promise).rejects.toThrow(InputError)
+        await expect(readConfigFile(join(dir, filename))).rejects.toThrow(message)
+      }
+      await check("a.json", '{"eventDir": "ev"}', "unknown setting eventDir in")
+      await check("b.json", '{"concurrency": "2"}', "concurrency in")
+      await check(
+        "c.json",
+        '{"profiles": {"dev": {"usePackageName": "no"}}}',
+        "usePackageName in profile dev of"
+      )
+      await check("d.json", "{", "could not read config")
+      await check("e.json", "[]", "must be an object")
+      await check(
+        "f.json",
+        '{"schemas": {"getUser": 1}}',
+        `schemas in ${join(dir, "f.json")} must be an object whose values are strings`
+      )
+      await check(
+        "g.json",
+        '{"retries": -1}',
+        `retries in ${join(dir, "g.json")} must be a non-negative integer`
+      )
+      await check(
+        "h.json",
+        '{"invokeTimeout": 0}',
+        `invokeTimeout in ${join(dir, "h.json")} must be a positive number`
+      )
+    })
+
+    it("accepts fractional seconds for invokeTimeout", async () => {
+      await writeFile(join(dir, "t.json"), '{"invokeTimeout": 1.5}')
+      expect(await readConfigFile(join(dir, "t.json"))).toEqual({ invokeTimeout: 1.5 })
+    })
+  })
+
+  describe("resolveSettings", () => {
+    const config = {
+      eventsDir: "events/lambda",
+      stackName: "app",
+      region: "us-east-1",
+      parameterOverrides: { Stage: "dev", Debug: "true" },
+      profiles: { staging: { stackName: "app-staging", awsProfile: "staging" } },
+    }
+
+    it("uses defaults without a config file or environment variables", () => {
+      expect(resolveSettings({ env: {} })).toEqual(
+        expect.objectContaining({
+          outputDir: ".test-lambda",
+          eventsDir: "events",
+          templatePath: "template.yaml",
+          usePackageName: true,
+          snapshotIgnore: [],
+          stackName: undefined,
+        })
+      )
+    })
+
+    it("merges environment variables over a profile over the config file", () => {
+      const settings = resolveSettings({
+        env: { STACK_NAME: "app-ci", SNAPSHOT_IGNORE: "$.a,$.b", npm_package_name: "pkg" },
+        config,
+        configPath: "/project/test-lambda.config.json",
+        profile: "staging",
+      })
+      expect(settings).toEqual(
+        expect.objectContaining({
+          eventsDir: "/project/events/lambda",
+          templatePath: "/project/template.yaml",
+          stackName: "app-ci",
+          region: "us-east-1",
+          awsProfile: "staging",
+          snapshotIgnore: ["$.a", "$.b"],
+          parameterOverrides: "Stage=dev Debug=true",
+        })
+      )
+    })
+
+    it("prefers the AWS settings of a selected profile over AWS environment variables", () => {
+      const env = { AWS_PROFILE: "default", AWS_REGION: "eu-west-1" }
+      const configPath = "/project/test-lambda.config.json"
+      expect(resolveSettings({ env, config, configPath, profile: "staging" })).toEqual(
+        expect.objectContaining({ awsProfile: "staging", region: "eu-west-1" })
+      )
+      expect(resolveSettings({ env, config, configPath })).toEqual(
+        expect.objectContaining({ awsProfile: "default", region: "eu-west-1" })
+      )
+    })
+
+    it("resolves schema paths relative to the config file", () => {
+      const settings = resolveSettings({
+        env: { OPENAPI_PATH: "/api/openapi.yaml" },
+        config: { schemas: { getUser: "schemas/user.json#/definitions/User" } },
+        configPath: "/project/test-lambda.config.json",
+      })
+      expect(settings.schemas).toEqual({
+        getUser: "/project/schemas/user.json#/definitions/User",
+      })
+      expect(settings.openapiPath).toBe("/api/openapi.yaml")
+      expect(resolveSettings({ env: {} }).schemas).toEqual({})
+    })
+
+    it("falls back to the package name unless USE_PACKAGE_NAME is false", () => {
+      const env = { npm_package_name: "pkg" }
+      expect(resolveSettings({ env }).stackName).toBe("pkg")
+      expect(resolveSettings({ env: { ...env, USE_PACKAGE_NAME: "false" } }).stackName).toBe(
+        undefined
+      )
+    })
+
+    it("throws InputError for an unknown profile", () => {
+      const configPath = "/project/test-lambda.config.json"
+      expect(() => resolveSettings({ env: {}, config, configPath, profile: "prod" })).toThrow(
+        "unknown profile prod in /project/test-lambda.config.json; expected one of: staging"
+      )
+      expect(() => resolveSettings({ env: {}, profile: "prod" })).toThrow(
+        "profile prod was given but no config file was found"
+      )
+    })
+  })
+
+  describe("loadSettings", () => {
+    it("uses the config file and profile given by flags", async () => {
+      await writeFile(
+        join(dir, "custom.json"),
+        JSON.stringify({ profiles: { dev: { stackName: "app-dev" } } })
+      )
+      const settings = await loadSettings({
+        argv: argv("--config", "custom.json", "--env", "dev"),
+        env: {},
+        cwd: dir,
+      })
+      expect(settings).toEqual(
+        expect.objectContaining({
+          configPath: join(dir, "custom.json"),
+          stackName: "app-dev",
+          outputDir: join(dir, ".test-lambda"),
+        })
+      )
+    })
+
+    it("finds a config file and takes the profile from TEST_LAMBDA_ENV", async () => {
+      await writeFile(
+        join(dir, "test-lambda.config.json"),
+        JSON.stringify({ profiles: { dev: { stackName: "app-dev" } } })
+      )
+      const settings = await loadSettings({
+        argv: argv(),
+        env: { TEST_LAMBDA_ENV: "dev" },
+        cwd: dir,
+      })
+      expect(settings.stackName).toBe("app-dev")
+    })
+
+    it("throws InputError if the given config file does not exist", async () => {
+      await expect(
+        loadSettings({ argv: argv("--config", "missing.json"), env: {}, cwd: dir })
+      ).rejects.toThrow(`config file ${join(dir, "missing.json")} does not exist`)
+    })
+  })
+})
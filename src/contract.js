@@ -0,0 +1,103 @@
+import { readFile } from "node:fs/promises"
+import { extname, resolve } from "node:path"
+import YAML from "yaml"
+import { InputError } from "./errors.js"
+import { findResponseSchema } from "./openapi.js"
+import { formatViolations, resolvePointer, validateSchema } from "./schema.js"
+
+async function readDocument(path) {
+  let text
+  try {
+    text = (await readFile(path)).toString()
+  } catch (error) {
+    throw new InputError(`could not read schema ${path}: ${error.message}`)
+  }
+  try {
+    return [".yaml", ".yml"].includes(extname(path)) ? YAML.parse(text) : JSON.parse(text)
+  } catch (error) {
+    throw new InputError(`could not parse schema ${path}: ${error.message}`)
+  }
+}
+
+/**
+ * Create a check of responses against JSON Schemas. The schema for a case comes from the first of:
+ * - "schema" in its expectations: a path to a JSON or YAML schema relative to eventsDir, optionally followed by a pointer into
+ *   the file like "schemas.json#/definitions/User", or an inline schema
+ * - schemas, by the lambda's name or its function's logical ID
+ * - the OpenAPI document, by the method and path of an API Gateway event and the status code of the response;
+ *   a status code that the operation does not document fails
+ * Files are read once.
+ * @param {Object} $1
+ * @param {string} $1.eventsDir
+ * @param {Object<string, string>=} $1.schemas maps lambda names and logical IDs to schema paths, which can have pointers
+ * @param {string=} $1.openapiPath an OpenAPI 3 or Swagger 2 document in JSON or YAML
+ * @returns {function(Object): Promise<{reason: string=, details: string=}>} checks a response given lambda, functionName,
+ *  expect, inputPath (the event), kind, response and body as in runLambda; has a reason if the response does not match
+ */
+export function createContractCheck({ eventsDir, schemas = {}, openapiPath }) {
+  const documents = new Map()
+  const load = (path) => {
+    if (!documents.has(path)) {
+      documents.set(path, readDocument(path))
+    }
+    return documents.get(path)
+  }
+  const loadSchema = async (reference, dir) => {
+    const [file, pointer = ""] = reference.split("#")
+    const path = resolve(dir, file)
+    const root = await load(path)
+    const schema = resolvePointer(root, `#${pointer}`)
+    if (schema === undefined) {
+      throw new InputError(`#${pointer} does not exist in schema ${path}`)
+    }
+    return { root, schema }
+  }
+
+  const findSchema = async ({ lambda, functionName, expect, inputPath, kind, response }) => {
+    if (typeof expect?.schema === "string") {
+      return loadSchema(expect.schema, eventsDir)
+    }
+    if (expect?.schema !== undefined) {
+      return { root: expect.schema, schema: expect.schema }
+    }
+    const configured = schemas[lambda] ?? schemas[functionName]
+    if (configured) {
+      return loadSchema(configured, ".")
+    }
+    if (!openapiPath || kind !== "http") {
+      return undefined
+    }
+    const document = await load(resolve(openapiPath))
+    const event = JSON.parse((await readFile(inputPath)).toString())
+    const match = findResponseSchema(document, event, response.statusCode)
+    return match && { root: document, ...match }
+  }
+
+  return async (options) => {
+    const found = await findSchema(options)
+    if (!found) {
+      return {}
+    }
+    const { root, schema, operation, found: hasOperation = true, documented = true } = found
+    if (!hasOperation) {
+      return { details: `  no operation for ${operation} in ${openapiPath}` }
+    }
+    // only responses of API Gateway events are checked against operations, so they have a status code
+    const statusCode = operation && options.response.statusCode
+    if (!documented) {
+      return { reason: `status code ${statusCode} is not documented for ${operation}` }
+    }
+    if (schema === undefined) {
+      return {}
+    }
+    const violations = validateSchema(schema, options.body, { path: ["body"], root })
+    if (!violations.length) {
+      return {}
+    }
+    const title = operation ? `schema of ${operation} ${statusCode}` : "schema"
+    return {
+      reason: "response does not match schema",
+      details: `  ${title} not met:\n${formatViolations(violations, "    ")}`,
+    }
+  }
+}
@@ -0,0 +1,132 @@
+import { mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { createContractCheck } from "./contract.js"
+
+const OPENAPI = `openapi: 3.0.3
+paths:
+  /users/{id}:
+    get:
+      responses:
+        "200":
+          content:
+            application/json:
+              schema:
+                $ref: "#/components/schemas/User"
+components:
+  schemas:
+    User:
+      type: object
+      required: [id]
+      properties:
+        id: { type: string }
+`
+
+describe("createContractCheck", () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "contract-"))
+    await writeFile(
+      join(dir, "schemas.json"),
+      JSON.stringify({ definitions: { Item: { type: "object", required: ["sku"] } } })
+    )
+    await writeFile(join(dir, "openapi.yaml"), OPENAPI)
+    await writeFile(
+      join(dir, "event.json"),
+      JSON.stringify({ httpMethod: "GET", path: "/users/1", resource: "/users/{id}" })
+    )
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  const http = (body, statusCode = 200) => ({
+    kind: "http",
+    response: { statusCode },
+    body,
+    inputPath: join(dir, "event.json"),
+  })
+
+  it("passes without a schema", async () => {
+    const check = createContractCheck({ eventsDir: dir })
+    expect(await check({ lambda: "getUser", ...http({}) })).toEqual({})
+  })
+
+  it("validates against a schema from expectations", async () => {
+    const check = createContractCheck({ eventsDir: dir })
+    expect(
+      await check({
+        lambda: "getItem",
+        expect: { schema: "schemas.json#/definitions/Item" },
+        kind: "value",
+        body: { name: "x" },
+      })
+    ).toEqual({
+      reason: "response does not match schema",
+      details: "  schema not met:\n    $.body.sku is required",
+    })
+    expect(
+      await check({ lambda: "getItem", expect: { schema: { type: "array" } }, ...http([]) })
+    ).toEqual({})
+  })
+
+  it("validates against a schema by lambda name or logical ID", async () => {
+    const check = createContractCheck({
+      eventsDir: dir,
+      schemas: { GetItemFunction: join(dir, "schemas.json#/definitions/Item") },
+    })
+    expect(
+      await check({
+        lambda: "getItem",
+        functionName: "GetItemFunction",
+        ...http({ sku: "1" }),
+      })
+    ).toEqual({})
+    expect(
+      (await check({ lambda: "getItem", functionName: "GetItemFunction", ...http({}) })).reason
+    ).toBe("response does not match schema")
+  })
+
+  it("validates against the operation in an OpenAPI document", async () => {
+    const check = createContractCheck({
+      eventsDir: dir,
+      openapiPath: join(dir, "openapi.yaml"),
+    })
+    expect(await check({ lambda: "getUser", ...http({ id: "1" }) })).toEqual({})
+    expect(await check({ lambda: "getUser", ...http({ id: 1 }) })).toEqual({
+      reason: "response does not match schema",
+      details:
+        "  schema of GET /users/{id} 200 not met:\n    $.body.id must be string; got number",
+    })
+    expect(await check({ lambda: "getUser", ...http({}, 500) })).toEqual({
+      reason: "status code 500 is not documented for GET /users/{id}",
+    })
+  })
+
+  it("notes an event without an operation", async () => {
+    await writeFile(join(dir, "event.json"), JSON.stringify({ httpMethod: "GET", path: "/x" }))
+    const openapiPath = join(dir, "openapi.yaml")
+    const check = createContractCheck({ eventsDir: dir, openapiPath })
+    expect(await check({ lambda: "x", ...http({}) })).toEqual({
+      details: `  no operation for GET /x in ${openapiPath}`,
+    })
+  })
+
+  it("throws if a schema cannot be read", async () => {
+    const check = createContractCheck({ eventsDir: dir })
+    await expect(
+      check({ lambda: "getItem", expect: { schema: "missing.json" }, ...http({}) })
+    ).rejects.toThrow(`could not read schema ${join(dir, "missing.json")}`)
+    await expect(
+      check({
+        lambda: "getItem",
+        expect: { schema: "schemas.json#/definitions/Missing" },
+        ...http({}),
+      })
+    ).rejects.toThrow(
+      `#/definitions/Missing does not exist in schema ${join(dir, "schemas.json")}`
+    )
+  })
+})
@@ -0,0 +1 @@
+export class InputError extends Error {}
@@ -0,0 +1,141 @@
+import { randomUUID } from "node:crypto"
+import { readFile } from "node:fs/promises"
+import { dirname, resolve } from "node:path"
+import { InputError } from "./errors.js"
+import { findGeneratorKey, generateEvent } from "./generators.js"
+import { getPath } from "./json-path.js"
+import { isPlainObject } from "./object.js"
+
+const INCLUDE_KEY = "$include"
+
+// values in override win over base, while nested objects are merged
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override
+  }
+  const merged = { ...base }
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = key in merged ? deepMerge(merged[key], value) : value
+  }
+  return merged
+}
+
+function stepValue(expression, context) {
+  const path = expression.slice("steps.".length)
+  const value = context.steps ? getPath(context.steps, path) : undefined
+  if (value === undefined) {
+    throw new InputError(`\${${expression}} is not defined by an earlier step`)
+  }
+  return value
+}
+
+function renderString(value, context) {
+  // a string that is only a step's value keeps the value's type, such as a number or an object
+  const whole = /^\$\{(steps\.[^}]+)\}$/u.exec(value)
+  if (whole) {
+    return stepValue(whole[1], context)
+  }
+  return value.replace(/\$\{([^}]+)\}/gu, (placeholder, expression) => {
+    if (expression.startsWith("steps.")) {
+      const stepResult = stepValue(expression, context)
+      return typeof stepResult === "string" ? stepResult : JSON.stringify(stepResult)
+    }
+    const index = expression.indexOf(":")
+    const kind = index === -1 ? expression : expression.slice(0, index)
+    const name = expression.slice(index + 1)
+    switch (kind) {
+      case "env":
+        if (context.env[name] === undefined) {
+          throw new InputError(`environment variable ${name} is not set for ${placeholder}`)
+        }
+        return context.env[name]
+      case "stackOutput": {
+        if (!context.stackOutputs) {
+          throw new InputError(`a stack is needed for ${placeholder}; set STACK_NAME`)
+        }
+        const outputs = context.stackOutputs()
+        if (outputs[name] === undefined) {
+          throw new InputError(`stack has no output named ${name} for ${placeholder}`)
+        }
+        return outputs[name]
+      }
+      case "uuid":
+        return context.uuid
+      case "now":
+        return context.now
+      default:
+        // leave anything else as is, such as text that only looks like a placeholder
+        return placeholder
+    }
+  })
+}
+
+async function renderValue(value, context, dir, includes) {
+  if (typeof value === "string") {
+    return renderString(value, context)
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map((item) => renderValue(item, context, dir, includes)))
+  }
+  if (!isPlainObject(value)) {
+    return value
+  }
+  const { [INCLUDE_KEY]: include, ...rest } = value
+  let rendered = {}
+  for (const [key, item] of Object.entries(rest)) {
+    rendered[key] = await renderValue(item, context, dir, includes)
+  }
+  const generatorKey = findGeneratorKey(rendered)
+  if (generatorKey) {
+    const { [generatorKey]: spec, ...overrides } = rendered
+    rendered = deepMerge(generateEvent(generatorKey, spec), overrides)
+  }
+  if (include === undefined) {
+    return rendered
+  }
+  const includePath = resolve(dir, include)
+  if (includes.includes(includePath)) {
+    throw new InputError(`circular ${INCLUDE_KEY} of ${includePath}`)
+  }
+  let fixture
+  try {
+    fixture = JSON.parse((await readFile(includePath)).toString())
+  } catch (error) {
+    throw new InputError(`could not ${INCLUDE_KEY} ${includePath}: ${error.message}`)
+  }
+  const renderedFixture = await renderValue(fixture, context, dirname(includePath), [
+    ...includes,
+    includePath,
+  ])
+  return deepMerge(renderedFixture, rendered)
+}
+
+/**
+ * Render the placeholders and includes in an event.
+ * Strings can contain "${env:NAME}" for an environment variable, "${stackOutput:Key}" for an output of the stack,
+ * "${uuid}" for a UUID and "${now}" for the current time as an ISO string.
+ * "${uuid}" and "${now}" have the same value everywhere in the event.
+ * In a scenario, "${steps.<name>.<path>}" is the value at a path into the response of an earlier step, such as
+ * "${steps.create.body.id}", where body is parsed as JSON. A string that is only such a placeholder is replaced by the value itself.
+ * Other "${...}" text is left as is.
+ * An object with an "$include" key is merged over the JSON file at that path, so its keys override the file's keys.
+ * An object with a generator key such as "$apigw" is expanded into a full event; see generateEvent.
+ * @param {any} event
+ * @param {Object} $2
+ * @param {string} $2.dir the directory of the event's file, which include paths are relative to
+ * @param {Object=} $2.env defaults to process.env
+ * @param {function(): Object<string, string>=} $2.stackOutputs returns the stack's outputs by key; only called if needed
+ * @param {Object<string, Object>=} $2.steps the responses of earlier steps in a scenario by step name
+ * @returns {Promise<any>}
+ * @throws {InputError} if a placeholder or include cannot be resolved
+ */
+export function renderEvent(event, { dir, env = process.env, stackOutputs, steps }) {
+  const context = {
+    env,
+    stackOutputs,
+    steps,
+    uuid: randomUUID(),
+    now: new Date().toISOString(),
+  }
+  return renderValue(event, context, dir, [])
+}
@@ -0,0 +1,146 @@
+import { jest } from "@jest/globals"
+
+const readFileMock = jest.fn()
+
+jest.unstable_mockModule("node:fs/promises", () => ({
+  readFile: readFileMock,
+}))
+
+const { renderEvent } = await import("./event-template.js")
+const { InputError } = await import("./errors.js")
+
+function mockFiles(files) {
+  readFileMock.mockImplementation(async (path) => {
+    if (path in files) {
+      return Buffer.from(JSON.stringify(files[path]))
+    }
+    throw Object.assign(new Error(`ENOENT: no such file, open '${path}'`), { code: "ENOENT" })
+  })
+}
+
+describe("renderEvent", () => {
+  beforeEach(() => {
+    readFileMock.mockReset()
+  })
+
+  it("replaces environment variables and stack outputs in strings", async () => {
+    const stackOutputs = jest.fn(() => ({ UserPoolId: "us-east-1_abc" }))
+    const event = {
+      headers: { authorization: "Bearer ${env:API_KEY}" },
+      pools: ["${stackOutput:UserPoolId}"],
+      count: 1,
+    }
+    expect(
+      await renderEvent(event, { dir: "/ev", env: { API_KEY: "secret" }, stackOutputs })
+    ).toEqual({
+      headers: { authorization: "Bearer secret" },
+      pools: ["us-east-1_abc"],
+      count: 1,
+    })
+  })
+
+  it("uses the same uuid and time everywhere in an event", async () => {
+    const rendered = await renderEvent(
+      { id: "${uuid}", copy: "${uuid}", at: "${now}" },
+      { dir: "/ev", env: {} }
+    )
+    expect(rendered.id).toMatch(/^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/u)
+    expect(rendered.copy).toBe(rendered.id)
+    expect(new Date(rendered.at).toISOString()).toBe(rendered.at)
+  })
+
+  it("leaves other placeholders as is", async () => {
+    expect(await renderEvent({ a: "${name} ${other:x}" }, { dir: "/ev", env: {} })).toEqual({
+      a: "${name} ${other:x}",
+    })
+  })
+
+  it("replaces values from earlier steps, keeping the type of a whole value", async () => {
+    const steps = { create: { statusCode: 201, body: { id: 7, tags: ["a"] } } }
+    expect(
+      await renderEvent(
+        {
+          path: "/users/${steps.create.body.id}",
+          id: "${steps.create.body.id}",
+          tags: "${steps.create.body.tags}",
+          text: "tags: ${steps.create.body.tags}",
+        },
+        { dir: "/ev", env: {}, steps }
+      )
+    ).toEqual({ path: "/users/7", id: 7, tags: ["a"], text: 'tags: ["a"]' })
+    await expect(
+      renderEvent("${steps.create.body.missing}", { dir: "/ev", env: {}, steps })
+    ).rejects.toThrow("${steps.create.body.missing} is not defined by an earlier step")
+  })
+
+  it("throws InputError for a missing environment variable or stack output", async () => {
+    await expect(renderEvent("${env:NOPE}", { dir: "/ev", env: {} })).rejects.toThrow(
+      new InputError("environment variable NOPE is not set for ${env:NOPE}")
+    )
+    await expect(renderEvent("${stackOutput:Id}", { dir: "/ev", env: {} })).rejects.toThrow(
+      "a stack is needed for ${stackOutput:Id}; set STACK_NAME"
+    )
+    await expect(
+      renderEvent("${stackOutput:Id}", { dir: "/ev", env: {}, stackOutputs: () => ({}) })
+    ).rejects.toThrow("stack has no output named Id for ${stackOutput:Id}")
+  })
+
+  it("merges an event over its included fixtures", async () => {
+    mockFiles({
+      "/ev/_fixtures/apigw.json": {
+        $include: "base.json",
+        httpMethod: "GET",
+        headers: { accept: "application/json" },
+      },
+      "/ev/_fixtures/base.json": { requestContext: { requestId: "${uuid}" }, body: null },
+    })
+    const rendered = await renderEvent(
+      {
+        $include: "_fixtures/apigw.json",
+        httpMethod: "POST",
+        headers: { "x-api-key": "${env:API_KEY}" },
+      },
+      { dir: "/ev", env: { API_KEY: "secret" } }
+    )
+    expect(rendered).toEqual({
+      requestContext: { requestId: expect.any(String) },
+      body: null,
+      httpMethod: "POST",
+      headers: { accept: "application/json", "x-api-key": "secret" },
+    })
+    expect(readFileMock).toHaveBeenCalledWith("/ev/_fixtures/base.json")
+  })
+
+  it("expands generators and merges the rest of the object over the event", async () => {
+    mockFiles({ "/ev/_fixtures/auth.json": { headers: { authorization: "Bearer token" } } })
+    const rendered = await renderEvent(
+      {
+        $include: "_fixtures/auth.json",
+        $apigw: { method: "POST", path: "/users", body: { id: "${uuid}" } },
+        pathParameters: { id: "1" },
+        _expect: { statusCode: 201 },
+      },
+      { dir: "/ev", env: {} }
+    )
+    expect(rendered).toEqual(
+      expect.objectContaining({
+        httpMethod: "POST",
+        path: "/users",
+        headers: { authorization: "Bearer token" },
+        pathParameters: { id: "1" },
+        _expect: { statusCode: 201 },
+      })
+    )
+    expect(JSON.parse(rendered.body).id).toMatch(/^[\da-f-]{36}$/u)
+  })
+
+  it("throws InputError for a missing or circular include", async () => {
+    mockFiles({ "/ev/a.json": { $include: "b.json" }, "/ev/b.json": { $include: "a.json" } })
+    await expect(renderEvent({ $include: "c.json" }, { dir: "/ev", env: {} })).rejects.toThrow(
+      "could not $include /ev/c.json: ENOENT"
+    )
+    await expect(renderEvent({ $include: "a.json" }, { dir: "/ev", env: {} })).rejects.toThrow(
+      "circular $include of /ev/a.json"
+    )
+  })
+})
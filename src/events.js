@@ -0,0 +1,162 @@
+import { mkdir, readFile, readdir, writeFile } from "node:fs/promises"
+import { dirname } from "node:path"
+import { renderEvent } from "./event-template.js"
+import { isPlainObject } from "./object.js"
+import { SCENARIO_SUFFIX, parseScenario } from "./scenario.js"
+
+export const EXPECT_SUFFIX = ".expect.json"
+
+// keys in an event that configure the test instead of being sent to the lambda
+const META_KEYS = ["_expect", "_name", "_function", "_tags"]
+
+async function readJson(path) {
+  return JSON.parse((await readFile(path)).toString())
+}
+
+async function readOptionalJson(path) {
+  try {
+    return await readJson(path)
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return undefined
+    }
+    throw error
+  }
+}
+
+async function readOptionalDir(path) {
+  try {
+    return await readdir(path)
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+      return []
+    }
+    throw error
+  }
+}
+
+async function createCase({
+  lambda,
+  name,
+  event,
+  dir,
+  inputPath,
+  fileExpect,
+  tmpDir,
+  render,
+}) {
+  const rendered = await renderEvent(event, { dir, ...render })
+  if (JSON.stringify(rendered) !== JSON.stringify(event)) {
+    inputPath = undefined
+  }
+  event = rendered
+  let payload = event
+  let inlineExpect, functionId, tags
+  if (isPlainObject(event) && META_KEYS.some((key) => key in event)) {
+    inlineExpect = event._expect
+    functionId = event._function
+    tags = event._tags === undefined ? undefined : [event._tags].flat().map(String)
+    payload = { ...event }
+    for (const key of META_KEYS) {
+      delete payload[key]
+    }
+    inputPath = undefined
+  }
+  if (!inputPath) {
+    inputPath = `${tmpDir}/${name}.json`
+    await mkdir(dirname(inputPath), { recursive: true })
+    await writeFile(inputPath, JSON.stringify(payload))
+  }
+  const expect = inlineExpect || fileExpect ? { ...inlineExpect, ...fileExpect } : undefined
+  return { lambda, name, inputPath, expect, functionId, tags }
+}
+
+/**
+ * Load the cases to run against a lambda along with any expectations about their responses.
+ * A lambda has one case for "<lambda>.json", one case per element if that file contains an array,
+ *  one case per JSON file in a "<lambda>" directory, and one case for a scenario in "<lambda>.scenario.json".
+ * Placeholders and includes in each event are rendered before its meta keys are removed.
+ * Expectations come from an "_expect" section in an event and from a matching ".expect.json" file;
+ *  keys in the file override keys in the section. An array's "<lambda>.expect.json" applies to each element.
+ * @param {Object} $1
+ * @param {string} $1.eventsDir
+ * @param {string} $1.lambda the event file or directory name without ".json"
+ * @param {string} $1.tmpDir where to write events that need to be changed before invocation
+ * @param {Object=} $1.render options for rendering placeholders and includes in events: env and stackOutputs; see renderEvent
+ * @returns {Promise<Array<{lambda: string, name: string, inputPath: string, expect: Object|undefined, functionId: string|undefined, tags: Array<string>|undefined}>>}
+ *  name is the lambda for a single event or "<lambda>/<case>" otherwise,
+ *  where case is an event's "_name", its index in the array, or its file name in the directory.
+ *  functionId is the logical ID of the function to invoke from an event's "_function" key.
+ *  tags are from an event's "_tags" key, which is a string or an array of strings.
+ *  A scenario's case has the scenario, as returned by parseScenario, instead of an inputPath.
+ */
+export async function loadCases({ eventsDir, lambda, tmpDir, render = {} }) {
+  const cases = []
+
+  const filePath = `${eventsDir}/${lambda}.json`
+  const event = await readOptionalJson(filePath)
+  if (event !== undefined) {
+    const fileExpect = await readOptionalJson(`${eventsDir}/${lambda}${EXPECT_SUFFIX}`)
+    if (Array.isArray(event)) {
+      for (const [index, caseEvent] of event.entries()) {
+        const caseName = caseEvent?._name ?? index
+        const name = `${lambda}/${caseName}`
+        cases.push(
+          await createCase({
+            lambda,
+            name,
+            event: caseEvent,
+            dir: eventsDir,
+            fileExpect,
+            tmpDir,
+            render,
+          })
+        )
+      }
+    } else {
+      cases.push(
+        await createCase({
+          lambda,
+          name: lambda,
+          event,
+          dir: eventsDir,
+          inputPath: filePath,
+          fileExpect,
+          tmpDir,
+          render,
+        })
+      )
+    }
+  }
+
+  const caseFilenames = (await readOptionalDir(`${eventsDir}/${lambda}`))
+    .filter((filename) => filename.endsWith(".json") && !filename.endsWith(EXPECT_SUFFIX))
+    .sort()
+  for (const caseFilename of caseFilenames) {
+    const caseName = caseFilename.slice(0, -".json".length)
+    const casePath = `${eventsDir}/${lambda}/${caseName}`
+    const caseEvent = await readJson(`${casePath}.json`)
+    const fileExpect = await readOptionalJson(`${casePath}${EXPECT_SUFFIX}`)
+    const name = `${lambda}/${caseName}`
+    cases.push(
+      await createCase({
+        lambda,
+        name,
+        event: caseEvent,
+        dir: `${eventsDir}/${lambda}`,
+        inputPath: `${casePath}.json`,
+        fileExpect,
+        tmpDir,
+        render,
+      })
+    )
+  }
+
+  const scenario = await readOptionalJson(`${eventsDir}/${lambda}${SCENARIO_SUFFIX}`)
+  if (scenario !== undefined) {
+    const tags = scenario?.tags === undefined ? undefined : [scenario.tags].flat().map(String)
+    cases.push({ lambda, name: lambda, scenario: parseScenario(lambda, scenario), tags })
+  }
+
+  return cases
+}
@@ -0,0 +1,213 @@
+import { jest } from "@jest/globals"
+
+const mkdirMock = jest.fn()
+const readFileMock = jest.fn()
+const readdirMock = jest.fn()
+const writeFileMock = jest.fn()
+
+jest.unstable_mockModule("node:fs/promises", () => ({
+  mkdir: mkdirMock,
+  readFile: readFileMock,
+  readdir: readdirMock,
+  writeFile: writeFileMock,
+}))
+
+const { loadCases } = await import("./events.js")
+
+function enoent(path) {
+  return Object.assign(new Error(`ENOENT: ${path}`), { code: "ENOENT" })
+}
+
+function mockFiles(files, dirs = {}) {
+  readFileMock.mockImplementation(async (path) => {
+    if (path in files) {
+      return Buffer.from(JSON.stringify(files[path]))
+    }
+    throw enoent(path)
+  })
+  readdirMock.mockImplementation(async (path) => {
+    if (path in dirs) {
+      return dirs[path]
+    }
+    throw enoent(path)
+  })
+}
+
+describe("loadCases", () => {
+  beforeEach(() => {
+    mkdirMock.mockReset()
+    readFileMock.mockReset()
+    readdirMock.mockReset()
+    writeFileMock.mockReset()
+  })
+
+  it("uses the event file as is when there are no expectations", async () => {
+    mockFiles({ "/ev/foo.json": { a: 1 } })
+    const result = await loadCases({ eventsDir: "/ev", lambda: "foo", tmpDir: "/tmp/x" })
+    expect(result).toEqual([
+      { lambda: "foo", name: "foo", inputPath: "/ev/foo.json", expect: undefined },
+    ])
+    expect(writeFileMock).not.toHaveBeenCalled()
+  })
+
+  it("reads expectations from an expectation file", async () => {
+    mockFiles({ "/ev/foo.json": { a: 1 }, "/ev/foo.expect.json": { statusCode: 201 } })
+    const result = await loadCases({ eventsDir: "/ev", lambda: "foo", tmpDir: "/tmp/x" })
+    expect(result).toEqual([
+      { lambda: "foo", name: "foo", inputPath: "/ev/foo.json", expect: { statusCode: 201 } },
+    ])
+  })
+
+  it("strips an _expect section from the event and merges it with the file", async () => {
+    mockFiles({
+      "/ev/foo.json": { a: 1, _expect: { statusCode: 204, body: { ok: true } } },
+      "/ev/foo.expect.json": { statusCode: 201 },
+    })
+    const result = await loadCases({ eventsDir: "/ev", lambda: "foo", tmpDir: "/tmp/x" })
+    expect(result).toEqual([
+      {
+        lambda: "foo",
+        name: "foo",
+        inputPath: "/tmp/x/foo.json",
+        expect: { statusCode: 201, body: { ok: true } },
+      },
+    ])
+    expect(writeFileMock).toHaveBeenCalledWith("/tmp/x/foo.json", JSON.stringify({ a: 1 }))
+  })
+
+  it("strips _function from the event and returns it as functionId", async () => {
+    mockFiles({ "/ev/foo.json": { a: 1, _function: "FooFunction" } })
+    const result = await loadCases({ eventsDir: "/ev", lambda: "foo", tmpDir: "/tmp/x" })
+    expect(result).toEqual([
+      {
+        lambda: "foo",
+        name: "foo",
+        inputPath: "/tmp/x/foo.json",
+        expect: undefined,
+        functionId: "FooFunction",
+      },
+    ])
+    expect(writeFileMock).toHaveBeenCalledWith("/tmp/x/foo.json", JSON.stringify({ a: 1 }))
+  })
+
+  it("strips _tags from the event and returns them as tags", async () => {
+    mockFiles({
+      "/ev/foo.json": [
+        { a: 1, _tags: ["smoke", "users"] },
+        { a: 2, _tags: "slow" },
+      ],
+    })
+    const result = await loadCases({ eventsDir: "/ev", lambda: "foo", tmpDir: "/tmp/x" })
+    expect(result.map(({ tags }) => tags)).toEqual([["smoke", "users"], ["slow"]])
+    expect(writeFileMock).toHaveBeenCalledWith("/tmp/x/foo/0.json", JSON.stringify({ a: 1 }))
+  })
+
+  it("renders placeholders and includes into a temporary file", async () => {
+    mockFiles(
+      {
+        "/ev/foo/happy.json": {
+          $include: "../_fixtures/request.json",
+          body: "${env:API_KEY}",
+          _expect: { statusCode: 201 },
+        },
+        "/ev/_fixtures/request.json": { httpMethod: "POST", body: "" },
+      },
+      { "/ev/foo": ["happy.json"] }
+    )
+    const result = await loadCases({
+      eventsDir: "/ev",
+      lambda: "foo",
+      tmpDir: "/tmp/x",
+      render: { env: { API_KEY: "secret" } },
+    })
+    expect(result).toEqual([
+      {
+        lambda: "foo",
+        name: "foo/happy",
+        inputPath: "/tmp/x/foo/happy.json",
+        expect: { statusCode: 201 },
+      },
+    ])
+    expect(writeFileMock).toHaveBeenCalledWith(
+      "/tmp/x/foo/happy.json",
+      JSON.stringify({ httpMethod: "POST", body: "secret" })
+    )
+  })
+
+  it("makes a case for a scenario", async () => {
+    mockFiles({
+      "/ev/signup.scenario.json": { tags: "smoke", steps: [{ lambda: "create-user" }] },
+    })
+    const result = await loadCases({ eventsDir: "/ev", lambda: "signup", tmpDir: "/tmp/x" })
+    expect(result).toEqual([
+      {
+        lambda: "signup",
+        name: "signup",
+        scenario: { name: "signup", steps: [{ lambda: "create-user", name: "0", event: {} }] },
+        tags: ["smoke"],
+      },
+    ])
+  })
+
+  it("makes a case for each element of an array of events", async () => {
+    mockFiles({
+      "/ev/foo.json": [{ a: 1 }, { a: 2, _name: "second", _expect: { statusCode: 400 } }],
+      "/ev/foo.expect.json": { headers: { "x-a": "b" } },
+    })
+    const result = await loadCases({ eventsDir: "/ev", lambda: "foo", tmpDir: "/tmp/x" })
+    expect(result).toEqual([
+      {
+        lambda: "foo",
+        name: "foo/0",
+        inputPath: "/tmp/x/foo/0.json",
+        expect: { headers: { "x-a": "b" } },
+      },
+      {
+        lambda: "foo",
+        name: "foo/second",
+        inputPath: "/tmp/x/foo/second.json",
+        expect: { statusCode: 400, headers: { "x-a": "b" } },
+      },
+    ])
+    expect(mkdirMock).toHaveBeenCalledWith("/tmp/x/foo", { recursive: true })
+    expect(writeFileMock).toHaveBeenCalledWith("/tmp/x/foo/0.json", JSON.stringify({ a: 1 }))
+    expect(writeFileMock).toHaveBeenCalledWith(
+      "/tmp/x/foo/second.json",
+      JSON.stringify({ a: 2 })
+    )
+  })
+
+  it("makes a case for each event file in a directory", async () => {
+    mockFiles(
+      {
+        "/ev/foo/b.json": { b: 1 },
+        "/ev/foo/a.json": { a: 1 },
+        "/ev/foo/a.expect.json": { statusCode: 422 },
+      },
+      { "/ev/foo": ["b.json", "a.expect.json", "a.json", "notes.txt"] }
+    )
+    const result = await loadCases({ eventsDir: "/ev", lambda: "foo", tmpDir: "/tmp/x" })
+    expect(result).toEqual([
+      {
+        lambda: "foo",
+        name: "foo/a",
+        inputPath: "/ev/foo/a.json",
+        expect: { statusCode: 422 },
+      },
+      { lambda: "foo", name: "foo/b", inputPath: "/ev/foo/b.json", expect: undefined },
+    ])
+  })
+
+  it("rethrows errors other than a missing file", async () => {
+    readdirMock.mockRejectedValue(enoent("/ev/foo"))
+    readFileMock.mockImplementation(async (path) => {
+      if (path === "/ev/foo.json") {
+        return Buffer.from("{}")
+      }
+      throw Object.assign(new Error("EACCES"), { code: "EACCES" })
+    })
+    await expect(
+      loadCases({ eventsDir: "/ev", lambda: "foo", tmpDir: "/tmp/x" })
+    ).rejects.toThrow("EACCES")
+  })
+})
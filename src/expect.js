@@ -0,0 +1,113 @@
+import { formatPath, getPath, parsePath } from "./json-path.js"
+import { isPlainObject } from "./object.js"
+
+/**
+ * Compare an expected value to an actual value, treating objects in the expected value as partial:
+ * keys missing from the expected object are ignored, while arrays must have the same length.
+ * @param {any} expected
+ * @param {any} actual
+ * @param {Array<string|number>=} path segments to prefix to each difference's path
+ * @param {Object=} $4
+ * @param {boolean=} $4.exact if true, keys in the actual object that are not expected are differences
+ * @returns {Array<{path: string, expected: any, actual: any}>}
+ */
+export function diffValues(expected, actual, path = [], { exact = false } = {}) {
+  if (isPlainObject(expected)) {
+    if (!isPlainObject(actual)) {
+      return [{ path: formatPath(path), expected, actual }]
+    }
+    const differences = Object.entries(expected).flatMap(([key, value]) =>
+      diffValues(value, actual[key], [...path, key], { exact })
+    )
+    if (exact) {
+      for (const [key, value] of Object.entries(actual)) {
+        if (!(key in expected) && value !== undefined) {
+          differences.push({
+            path: formatPath([...path, key]),
+            expected: undefined,
+            actual: value,
+          })
+        }
+      }
+    }
+    return differences
+  }
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      return [{ path: formatPath(path), expected, actual }]
+    }
+    return expected.flatMap((value, index) =>
+      diffValues(value, actual[index], [...path, index], { exact })
+    )
+  }
+  if (Object.is(expected, actual)) {
+    return []
+  }
+  return [{ path: formatPath(path), expected, actual }]
+}
+
+function findHeader(headers = {}, name) {
+  const lowerName = name.toLowerCase()
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === lowerName)
+  return key === undefined ? undefined : headers[key]
+}
+
+/**
+ * Check a response against expectations from an event's expectation file or "_expect" section.
+ * @param {Object} response
+ * @param {number=} response.statusCode
+ * @param {Object=} response.headers
+ * @param {any} response.body the parsed body
+ * @param {Object} expect
+ * @param {number|Array<number>=} expect.statusCode a status code or a list of allowed status codes
+ * @param {Object=} expect.headers header values to match; header names are case-insensitive
+ * @param {Object=} expect.paths maps JSON paths into the body to the values expected there
+ * @param {any=} expect.body a partial body that the actual body must match
+ * @returns {Array<{path: string, expected: any, actual: any}>} empty if all expectations are met
+ */
+export function checkExpectations(response, expect) {
+  const differences = []
+  if (expect.statusCode !== undefined) {
+    const allowed = [expect.statusCode].flat()
+    if (!allowed.includes(response.statusCode)) {
+      differences.push({
+        path: "$.statusCode",
+        expected: expect.statusCode,
+        actual: response.statusCode,
+      })
+    }
+  }
+  for (const [name, value] of Object.entries(expect.headers ?? {})) {
+    const actual = findHeader(response.headers, name)
+    differences.push(...diffValues(value, actual, ["headers", name]))
+  }
+  for (const [path, value] of Object.entries(expect.paths ?? {})) {
+    const segments = parsePath(path)
+    differences.push(
+      ...diffValues(value, getPath(response.body, segments), ["body", ...segments])
+    )
+  }
+  if (expect.body !== undefined) {
+    differences.push(...diffValues(expect.body, response.body, ["body"]))
+  }
+  return differences
+}
+
+function stringify(value) {
+  return value === undefined ? "undefined" : JSON.stringify(value)
+}
+
+/**
+ * Format differences as a readable diff, with "-" lines for expected values and "+" for actual ones.
+ * @param {Array<{path: string, expected: any, actual: any}>} differences
+ * @param {string=} indent
+ * @returns {string}
+ */
+export function formatDifferences(differences, indent = "  ") {
+  return differences
+    .map(
+      ({ path, expected, actual }) =>
+        `${indent}- ${path}: ${stringify(expected)}\n${indent}+ ${path}: ${stringify(actual)}`
+    )
+    .join("\n")
+}
@@ -0,0 +1,93 @@
+import { checkExpectations, diffValues, formatDifferences } from "./expect.js"
+
+describe("diffValues", () => {
+  it("returns no differences for a partial object match", () => {
+    expect(diffValues({ a: 1, b: { c: 2 } }, { a: 1, b: { c: 2, d: 3 }, e: 4 })).toEqual([])
+  })
+
+  it("returns the path of each mismatched value", () => {
+    expect(diffValues({ a: 1, b: { c: 2 } }, { a: 2, b: { c: 3 } })).toEqual([
+      { path: "$.a", expected: 1, actual: 2 },
+      { path: "$.b.c", expected: 2, actual: 3 },
+    ])
+  })
+
+  it("requires arrays to have the same length", () => {
+    expect(diffValues([1, 2], [1, 2, 3])).toEqual([
+      { path: "$", expected: [1, 2], actual: [1, 2, 3] },
+    ])
+    expect(diffValues([{ id: 1 }], [{ id: 2, name: "x" }])).toEqual([
+      { path: "$[0].id", expected: 1, actual: 2 },
+    ])
+  })
+
+  it("reports unexpected keys when exact", () => {
+    expect(diffValues({ a: 1 }, { a: 1, b: { c: 2 } }, ["body"], { exact: true })).toEqual([
+      { path: "$.body.b", expected: undefined, actual: { c: 2 } },
+    ])
+  })
+
+  it("reports a type mismatch at the containing path", () => {
+    expect(diffValues({ a: { b: 1 } }, { a: "x" })).toEqual([
+      { path: "$.a", expected: { b: 1 }, actual: "x" },
+    ])
+  })
+})
+
+describe("checkExpectations", () => {
+  const response = {
+    statusCode: 201,
+    headers: { "Content-Type": "application/json" },
+    body: { user: { id: "u1", name: "alice" }, items: [{ id: 1 }] },
+  }
+
+  it("passes when all expectations are met", () => {
+    expect(
+      checkExpectations(response, {
+        statusCode: 201,
+        headers: { "content-type": "application/json" },
+        paths: { "$.items[0].id": 1 },
+        body: { user: { name: "alice" } },
+      })
+    ).toEqual([])
+  })
+
+  it("accepts a list of allowed status codes", () => {
+    expect(checkExpectations(response, { statusCode: [200, 201] })).toEqual([])
+    expect(checkExpectations(response, { statusCode: [200, 204] })).toEqual([
+      { path: "$.statusCode", expected: [200, 204], actual: 201 },
+    ])
+  })
+
+  it("reports mismatched headers, paths and body", () => {
+    expect(
+      checkExpectations(response, {
+        headers: { "x-missing": "yes" },
+        paths: { "$.items[0].id": 2 },
+        body: { user: { name: "bob" } },
+      })
+    ).toEqual([
+      { path: '$.headers["x-missing"]', expected: "yes", actual: undefined },
+      { path: "$.body.items[0].id", expected: 2, actual: 1 },
+      { path: "$.body.user.name", expected: "bob", actual: "alice" },
+    ])
+  })
+})
+
+describe("formatDifferences", () => {
+  it("formats expected and actual values as diff lines", () => {
+    expect(
+      formatDifferences([
+        { path: "$.statusCode", expected: 200, actual: 500 },
+        { path: "$.body.id", expected: "a", actual: undefined },
+      ])
+    ).toBe(
+      [
+        "  - $.statusCode: 200",
+        "  + $.statusCode: 500",
+        '  - $.body.id: "a"',
+        "  + $.body.id: undefined",
+      ].join("\n")
+    )
+  })
+})
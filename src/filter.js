@@ -0,0 +1,65 @@
+function escapeRegExp(value) {
+  return value.replace(/[.+^${}()|[\]\\]/gu, "\\$&")
+}
+
+/**
+ * Convert a glob pattern to a regular expression that matches the whole string.
+ * "*" matches any characters except "/" and "?" matches any one character except "/".
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split(/([*?])/u)
+    .map((part) => {
+      if (part === "*") {
+        return "[^/]*"
+      }
+      if (part === "?") {
+        return "[^/]"
+      }
+      return escapeRegExp(part)
+    })
+    .join("")
+  return new RegExp(`^${source}$`, "u")
+}
+
+/**
+ * Check if a name matches any of a list of names or glob patterns.
+ * @param {string} name
+ * @param {Array<string>} patterns
+ * @returns {boolean}
+ */
+export function matchesAny(name, patterns) {
+  return patterns.some((pattern) => globToRegExp(pattern).test(name))
+}
+
+/**
+ * Split option values that may be repeated or comma-separated, such as "--tag a,b --tag c".
+ * @param {Array<string>|string=} values
+ * @returns {Array<string>}
+ */
+export function splitList(values = []) {
+  return [values]
+    .flat()
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Select cases to run by tag and exclude cases by name.
+ * @param {Array<Object>} cases as returned by loadCases
+ * @param {Object} $2
+ * @param {Array<string>=} $2.tags if not empty, only cases with at least one of these tags are selected
+ * @param {Array<string>=} $2.exclude names or glob patterns; cases whose lambda or name matches are excluded
+ * @returns {Array<Object>}
+ */
+export function selectCases(cases, { tags = [], exclude = [] } = {}) {
+  return cases.filter(
+    ({ lambda, name, tags: caseTags = [] }) =>
+      (!tags.length || caseTags.some((tag) => tags.includes(tag))) &&
+      !matchesAny(lambda, exclude) &&
+      !matchesAny(name, exclude)
+  )
+}
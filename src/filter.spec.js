@@ -0,0 +1,52 @@
+import { globToRegExp, matchesAny, selectCases, splitList } from "./filter.js"
+
+describe("globToRegExp", () => {
+  it("matches * and ? within a name", () => {
+    expect(globToRegExp("users-*").test("users-get")).toBe(true)
+    expect(globToRegExp("users-*").test("users-get/happy")).toBe(false)
+    expect(globToRegExp("v?-query").test("v2-query")).toBe(true)
+    expect(globToRegExp("v?-query").test("v10-query")).toBe(false)
+  })
+
+  it("escapes other characters", () => {
+    expect(globToRegExp("a.b+(c)").test("a.b+(c)")).toBe(true)
+    expect(globToRegExp("a.b").test("axb")).toBe(false)
+  })
+})
+
+describe("matchesAny", () => {
+  it("matches exact names and patterns", () => {
+    expect(matchesAny("orders", ["users-*", "orders"])).toBe(true)
+    expect(matchesAny("order", ["users-*", "orders"])).toBe(false)
+    expect(matchesAny("orders", [])).toBe(false)
+  })
+})
+
+describe("splitList", () => {
+  it("splits repeated and comma-separated values", () => {
+    expect(splitList(["smoke,users", " slow "])).toEqual(["smoke", "users", "slow"])
+    expect(splitList("a")).toEqual(["a"])
+    expect(splitList()).toEqual([])
+  })
+})
+
+describe("selectCases", () => {
+  const cases = [
+    { lambda: "query", name: "query/happy", tags: ["smoke"] },
+    { lambda: "query", name: "query/slow", tags: ["full"] },
+    { lambda: "update", name: "update" },
+  ]
+
+  it("returns every case without tags or exclusions", () => {
+    expect(selectCases(cases)).toEqual(cases)
+  })
+
+  it("selects cases with any of the tags", () => {
+    expect(selectCases(cases, { tags: ["smoke", "other"] })).toEqual([cases[0]])
+  })
+
+  it("excludes cases by lambda or case name", () => {
+    expect(selectCases(cases, { exclude: ["query/slow"] })).toEqual([cases[0], cases[2]])
+    expect(selectCases(cases, { exclude: ["q*"] })).toEqual([cases[2]])
+  })
+})
@@ -0,0 +1,407 @@
+import { createHash, randomUUID } from "node:crypto"
+import { InputError } from "./errors.js"
+
+const ACCOUNT_ID = "123456789012"
+
+function region() {
+  return process.env.AWS_REGION ?? process.env.AWS_DEFAULT_REGION ?? "us-east-1"
+}
+
+// bodies and messages that are not strings are sent as JSON
+function stringify(value) {
+  if (value === undefined || value === null) {
+    return null
+  }
+  return typeof value === "string" ? value : JSON.stringify(value)
+}
+
+function splitPath(path) {
+  const url = new URL(path, "https://localhost")
+  const query = Object.fromEntries(url.searchParams)
+  return { path: url.pathname, query }
+}
+
+function lowerCaseKeys(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])
+  )
+}
+
+function apigw({
+  method = "GET",
+  path = "/",
+  resource,
+  headers = {},
+  query,
+  pathParameters = null,
+  body,
+  stage = "test",
+  authorizer,
+}) {
+  const split = splitPath(path)
+  const queryStringParameters = { ...split.query, ...query }
+  const hasQuery = Object.keys(queryStringParameters).length > 0
+  const httpMethod = method.toUpperCase()
+  const now = new Date()
+  return {
+    resource: resource ?? split.path,
+    path: split.path,
+    httpMethod,
+    headers,
+    multiValueHeaders: Object.fromEntries(
+      Object.entries(headers).map(([key, value]) => [key, [value]])
+    ),
+    queryStringParameters: hasQuery ? queryStringParameters : null,
+    multiValueQueryStringParameters: hasQuery
+      ? Object.fromEntries(
+          Object.entries(queryStringParameters).map(([key, value]) => [key, [value]])
+        )
+      : null,
+    pathParameters,
+    stageVariables: null,
+    requestContext: {
+      accountId: ACCOUNT_ID,
+      apiId: "1234567890",
+      authorizer,
+      domainName: `1234567890.execute-api.${region()}.amazonaws.com`,
+      httpMethod,
+      identity: { sourceIp: "127.0.0.1", userAgent: "test-lambda" },
+      path: `/${stage}${split.path}`,
+      protocol: "HTTP/1.1",
+      requestId: randomUUID(),
+      requestTimeEpoch: now.getTime(),
+      resourcePath: resource ?? split.path,
+      stage,
+    },
+    body: stringify(body),
+    isBase64Encoded: false,
+  }
+}
+
+function apigwv2({
+  method = "GET",
+  path = "/",
+  route,
+  headers = {},
+  query,
+  pathParameters,
+  cookies,
+  body,
+  stage = "$default",
+  authorizer,
+}) {
+  const split = splitPath(path)
+  const queryStringParameters = { ...split.query, ...query }
+  const httpMethod = method.toUpperCase()
+  const routeKey = route ?? `${httpMethod} ${split.path}`
+  const now = new Date()
+  return {
+    version: "2.0",
+    routeKey,
+    rawPath: split.path,
+    rawQueryString: new URLSearchParams(queryStringParameters).toString(),
+    cookies,
+    headers: lowerCaseKeys(headers),
+    queryStringParameters: Object.keys(queryStringParameters).length
+      ? queryStringParameters
+      : undefined,
+    pathParameters,
+    requestContext: {
+      accountId: ACCOUNT_ID,
+      apiId: "1234567890",
+      authorizer,
+      domainName: `1234567890.execute-api.${region()}.amazonaws.com`,
+      domainPrefix: "1234567890",
+      http: {
+        method: httpMethod,
+        path: split.path,
+        protocol: "HTTP/1.1",
+        sourceIp: "127.0.0.1",
+        userAgent: "test-lambda",
+      },
+      requestId: randomUUID(),
+      routeKey,
+      stage,
+      timeEpoch: now.getTime(),
+    },
+    body: stringify(body) ?? undefined,
+    isBase64Encoded: false,
+  }
+}
+
+// a spec can describe one record directly or several in a list
+function records(spec, key) {
+  return spec[key] ?? [spec]
+}
+
+function sqs(spec) {
+  const queue = spec.queue ?? "test-queue"
+  return {
+    Records: records(spec, "messages").map(({ body, attributes = {} }) => {
+      const messageBody = stringify(body) ?? ""
+      return {
+        messageId: randomUUID(),
+        receiptHandle: randomUUID(),
+        body: messageBody,
+        attributes: {
+          ApproximateReceiveCount: "1",
+          SentTimestamp: String(Date.now()),
+          SenderId: ACCOUNT_ID,
+          ApproximateFirstReceiveTimestamp: String(Date.now()),
+        },
+        messageAttributes: Object.fromEntries(
+          Object.entries(attributes).map(([key, value]) => [
+            key,
+            {
+              stringValue: String(value),
+              dataType: typeof value === "number" ? "Number" : "String",
+            },
+          ])
+        ),
+        md5OfBody: createHash("md5").update(messageBody).digest("hex"),
+        eventSource: "aws:sqs",
+        eventSourceARN: `arn:aws:sqs:${region()}:${ACCOUNT_ID}:${queue}`,
+        awsRegion: region(),
+      }
+    }),
+  }
+}
+
+function sns(spec) {
+  const topicArn = `arn:aws:sns:${region()}:${ACCOUNT_ID}:${spec.topic ?? "test-topic"}`
+  return {
+    Records: records(spec, "messages").map(({ message, subject = null, attributes = {} }) => ({
+      EventSource: "aws:sns",
+      EventVersion: "1.0",
+      EventSubscriptionArn: `${topicArn}:${randomUUID()}`,
+      Sns: {
+        Type: "Notification",
+        MessageId: randomUUID(),
+        TopicArn: topicArn,
+        Subject: subject,
+        Message: stringify(message) ?? "",
+        Timestamp: new Date().toISOString(),
+        SignatureVersion: "1",
+        Signature: "EXAMPLE",
+        SigningCertUrl: "EXAMPLE",
+        UnsubscribeUrl: "EXAMPLE",
+        MessageAttributes: Object.fromEntries(
+          Object.entries(attributes).map(([key, value]) => [
+            key,
+            { Type: typeof value === "number" ? "Number" : "String", Value: String(value) },
+          ])
+        ),
+      },
+    })),
+  }
+}
+
+function s3(spec) {
+  const bucket = spec.bucket ?? "test-bucket"
+  return {
+    Records: records(spec, "objects").map(
+      ({ key, size = 0, eventName = "ObjectCreated:Put" }) => ({
+        eventVersion: "2.1",
+        eventSource: "aws:s3",
+        awsRegion: region(),
+        eventTime: new Date().toISOString(),
+        eventName: spec.eventName ?? eventName,
+        userIdentity: { principalId: "EXAMPLE" },
+        requestParameters: { sourceIPAddress: "127.0.0.1" },
+        responseElements: { "x-amz-request-id": "EXAMPLE", "x-amz-id-2": "EXAMPLE" },
+        s3: {
+          s3SchemaVersion: "1.0",
+          configurationId: "test-lambda",
+          bucket: {
+            name: bucket,
+            ownerIdentity: { principalId: "EXAMPLE" },
+            arn: `arn:aws:s3:::${bucket}`,
+          },
+          object: {
+            // keys in S3 events are URL encoded with "+" for spaces
+            key: encodeURIComponent(key).replace(/%20/gu, "+").replace(/%2F/gu, "/"),
+            size,
+            eTag: createHash("md5").update(key).digest("hex"),
+            sequencer: "0A1B2C3D4E5F678901",
+          },
+        },
+      })
+    ),
+  }
+}
+
+function eventbridge({
+  source = "test-lambda",
+  detailType = "Test Event",
+  detail = {},
+  bus = "default",
+  resources = [],
+}) {
+  return {
+    version: "0",
+    id: randomUUID(),
+    "detail-type": detailType,
+    source,
+    account: ACCOUNT_ID,
+    time: new Date().toISOString().replace(/\.\d{3}/u, ""),
+    region: region(),
+    resources,
+    detail,
+    "event-bus-name": bus,
+  }
+}
+
+/**
+ * Convert a value to the attribute value format used by DynamoDB, such as { S: "abc" } for "abc".
+ * @param {any} value
+ * @returns {Object}
+ */
+export function marshall(value) {
+  if (value === null || value === undefined) {
+    return { NULL: true }
+  }
+  if (typeof value === "string") {
+    return { S: value }
+  }
+  if (typeof value === "number") {
+    return { N: String(value) }
+  }
+  if (typeof value === "boolean") {
+    return { BOOL: value }
+  }
+  if (Array.isArray(value)) {
+    return { L: value.map(marshall) }
+  }
+  return { M: marshallItem(value) }
+}
+
+function marshallItem(item) {
+  return Object.fromEntries(Object.entries(item).map(([key, value]) => [key, marshall(value)]))
+}
+
+function dynamodb(spec) {
+  const table = spec.table ?? "test-table"
+  const streamArn = `arn:aws:dynamodb:${region()}:${ACCOUNT_ID}:table/${table}/stream/2024-01-01T00:00:00.000`
+  return {
+    Records: records(spec, "records").map(
+      ({ eventName = "INSERT", keys, newImage, oldImage }, index) => {
+        const image = newImage ?? oldImage ?? {}
+        const dynamodbRecord = {
+          ApproximateCreationDateTime: Math.floor(Date.now() / 1000),
+          Keys: marshallItem(keys ?? image),
+          SequenceNumber: String(index + 1).padStart(21, "0"),
+          SizeBytes: JSON.stringify(image).length,
+          StreamViewType: "NEW_AND_OLD_IMAGES",
+        }
+        if (newImage) {
+          dynamodbRecord.NewImage = marshallItem(newImage)
+        }
+        if (oldImage) {
+          dynamodbRecord.OldImage = marshallItem(oldImage)
+        }
+        return {
+          eventID: randomUUID().replace(/-/gu, ""),
+          eventName,
+          eventVersion: "1.1",
+          eventSource: "aws:dynamodb",
+          awsRegion: region(),
+          dynamodb: dynamodbRecord,
+          eventSourceARN: streamArn,
+        }
+      }
+    ),
+  }
+}
+
+// the generators, keyed by the key that marks their spec in an event, such as { "$sqs": { ... } }
+const GENERATORS = {
+  $apigw: apigw,
+  $apigwv2: apigwv2,
+  $sqs: sqs,
+  $sns: sns,
+  $s3: s3,
+  $eventbridge: eventbridge,
+  $dynamodb: dynamodb,
+}
+
+/**
+ * The event types that can be generated, such as "apigw" for { "$apigw": { ... } }.
+ */
+export const EVENT_TYPES = Object.keys(GENERATORS).map((key) => key.slice(1))
+
+/**
+ * Find the generator key in an object, if any.
+ * @param {Object} value
+ * @returns {string|undefined} such as "$apigw"
+ */
+export function findGeneratorKey(value) {
+  return Object.keys(value).find((key) => Object.hasOwn(GENERATORS, key))
+}
+
+/**
+ * Expand the short spec of an event into a full event as sent by its AWS trigger.
+ * @param {string} key such as "$apigw"; see findGeneratorKey
+ * @param {Object} spec
+ * @returns {Object}
+ * @throws {InputError} if spec is not an object
+ */
+export function generateEvent(key, spec) {
+  if (spec === null || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new InputError(`${key} must be an object`)
+  }
+  return GENERATORS[key](spec)
+}
+
+const STARTERS = {
+  apigw: {
+    $apigw: {
+      method: "POST",
+      path: "/items",
+      headers: { "content-type": "application/json" },
+      body: { name: "example" },
+    },
+    _expect: { statusCode: 200 },
+  },
+  apigwv2: {
+    $apigwv2: { method: "GET", path: "/items/1", pathParameters: { id: "1" } },
+    _expect: { statusCode: 200 },
+  },
+  sqs: { $sqs: { queue: "test-queue", messages: [{ body: { id: "${uuid}" } }] } },
+  sns: {
+    $sns: {
+      topic: "test-topic",
+      messages: [{ subject: "example", message: { id: "${uuid}" } }],
+    },
+  },
+  s3: {
+    $s3: { bucket: "test-bucket", objects: [{ key: "uploads/example.json", size: 1024 }] },
+  },
+  eventbridge: {
+    $eventbridge: {
+      source: "com.example.orders",
+      detailType: "Order Created",
+      detail: { id: "${uuid}" },
+    },
+  },
+  dynamodb: {
+    $dynamodb: {
+      table: "test-table",
+      records: [
+        { eventName: "INSERT", keys: { id: "1" }, newImage: { id: "1", name: "example" } },
+      ],
+    },
+  },
+}
+
+/**
+ * Get a starter event for a type, written as a short spec that is expanded when the lambda runs.
+ * @param {string} type one of EVENT_TYPES
+ * @returns {Object}
+ * @throws {InputError} if type is unknown
+ */
+export function starterEvent(type) {
+  if (!Object.hasOwn(STARTERS, type)) {
+    throw new InputError(`event type must be one of: ${EVENT_TYPES.join(", ")}`)
+  }
+  return STARTERS[type]
+}
@@ -0,0 +1,170 @@
+import {
+  EVENT_TYPES,
+  findGeneratorKey,
+  generateEvent,
+  marshall,
+  starterEvent,
+} from "./generators.js"
+import { InputError } from "./errors.js"
+
+describe("generateEvent", () => {
+  it("expands an API Gateway REST API proxy event", () => {
+    const event = generateEvent("$apigw", {
+      method: "post",
+      path: "/users?limit=10",
+      headers: { "Content-Type": "application/json" },
+      body: { name: "alice" },
+    })
+    expect(event).toEqual(
+      expect.objectContaining({
+        resource: "/users",
+        path: "/users",
+        httpMethod: "POST",
+        headers: { "Content-Type": "application/json" },
+        multiValueHeaders: { "Content-Type": ["application/json"] },
+        queryStringParameters: { limit: "10" },
+        multiValueQueryStringParameters: { limit: ["10"] },
+        pathParameters: null,
+        body: '{"name":"alice"}',
+        isBase64Encoded: false,
+      })
+    )
+    expect(event.requestContext).toEqual(
+      expect.objectContaining({ httpMethod: "POST", path: "/test/users", stage: "test" })
+    )
+  })
+
+  it("expands an API Gateway HTTP API event", () => {
+    const event = generateEvent("$apigwv2", {
+      path: "/users/1",
+      route: "GET /users/{id}",
+      headers: { Accept: "application/json" },
+      pathParameters: { id: "1" },
+    })
+    expect(event).toEqual(
+      expect.objectContaining({
+        version: "2.0",
+        routeKey: "GET /users/{id}",
+        rawPath: "/users/1",
+        rawQueryString: "",
+        headers: { accept: "application/json" },
+        pathParameters: { id: "1" },
+      })
+    )
+    expect(event.requestContext.http).toEqual(
+      expect.objectContaining({ method: "GET", path: "/users/1" })
+    )
+  })
+
+  it("expands SQS messages", () => {
+    const { Records } = generateEvent("$sqs", {
+      queue: "jobs",
+      messages: [{ body: { id: 1 }, attributes: { priority: 2 } }, { body: "plain" }],
+    })
+    expect(Records).toHaveLength(2)
+    expect(Records[0]).toEqual(
+      expect.objectContaining({
+        body: '{"id":1}',
+        eventSource: "aws:sqs",
+        eventSourceARN: expect.stringMatching(/^arn:aws:sqs:[\w-]+:123456789012:jobs$/u),
+        messageAttributes: { priority: { stringValue: "2", dataType: "Number" } },
+      })
+    )
+    expect(Records[1].body).toBe("plain")
+  })
+
+  it("expands a single message without a list", () => {
+    const { Records } = generateEvent("$sns", { message: { id: 1 }, subject: "hi" })
+    expect(Records).toEqual([
+      expect.objectContaining({
+        EventSource: "aws:sns",
+        Sns: expect.objectContaining({ Message: '{"id":1}', Subject: "hi" }),
+      }),
+    ])
+  })
+
+  it("expands S3 notifications with encoded keys", () => {
+    const { Records } = generateEvent("$s3", { bucket: "uploads", key: "a b/c.json", size: 5 })
+    expect(Records[0].eventName).toBe("ObjectCreated:Put")
+    expect(Records[0].s3.bucket).toEqual(expect.objectContaining({ name: "uploads" }))
+    expect(Records[0].s3.object).toEqual(
+      expect.objectContaining({ key: "a+b/c.json", size: 5 })
+    )
+  })
+
+  it("expands an EventBridge event", () => {
+    expect(
+      generateEvent("$eventbridge", {
+        source: "orders",
+        detailType: "Created",
+        detail: { id: 1 },
+      })
+    ).toEqual(
+      expect.objectContaining({
+        source: "orders",
+        "detail-type": "Created",
+        detail: { id: 1 },
+        account: "123456789012",
+      })
+    )
+  })
+
+  it("expands DynamoDB stream records with marshalled images", () => {
+    const { Records } = generateEvent("$dynamodb", {
+      table: "users",
+      records: [{ eventName: "MODIFY", keys: { id: "1" }, newImage: { id: "1", age: 3 } }],
+    })
+    expect(Records[0]).toEqual(
+      expect.objectContaining({
+        eventName: "MODIFY",
+        eventSource: "aws:dynamodb",
+        eventSourceARN: expect.stringContaining(":table/users/stream/"),
+      })
+    )
+    expect(Records[0].dynamodb).toEqual(
+      expect.objectContaining({
+        Keys: { id: { S: "1" } },
+        NewImage: { id: { S: "1" }, age: { N: "3" } },
+      })
+    )
+    expect(Records[0].dynamodb.OldImage).toBeUndefined()
+  })
+
+  it("throws InputError if the spec is not an object", () => {
+    expect(() => generateEvent("$sqs", "nope")).toThrow(
+      new InputError("$sqs must be an object")
+    )
+  })
+})
+
+describe("marshall", () => {
+  it("converts values to attribute values", () => {
+    expect(marshall({ a: [1, "b", true, null], c: { d: 1 } })).toEqual({
+      M: {
+        a: { L: [{ N: "1" }, { S: "b" }, { BOOL: true }, { NULL: true }] },
+        c: { M: { d: { N: "1" } } },
+      },
+    })
+  })
+})
+
+describe("findGeneratorKey", () => {
+  it("finds a generator key", () => {
+    expect(findGeneratorKey({ $sqs: {}, _expect: {} })).toBe("$sqs")
+    expect(findGeneratorKey({ $other: {} })).toBeUndefined()
+  })
+})
+
+describe("starterEvent", () => {
+  it("returns a short spec for each type", () => {
+    for (const type of EVENT_TYPES) {
+      expect(findGeneratorKey(starterEvent(type))).toBe(`$${type}`)
+    }
+  })
+
+  it("throws InputError for an unknown type", () => {
+    expect(() => starterEvent("kinesis")).toThrow(
+      "event type must be one of: apigw, apigwv2, sqs, sns, s3, eventbridge, dynamodb"
+    )
+  })
+})
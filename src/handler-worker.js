@@ -0,0 +1,9 @@
+import { parentPort, workerData } from "node:worker_threads"
+import { callHandlerModule } from "./invoke-node.js"
+
+// runs a handler for invokeHandler with isolate set, posting back its invocation or why it could not be called
+try {
+  parentPort.postMessage(await callHandlerModule(workerData))
+} catch (error) {
+  parentPort.postMessage({ error: error.message })
+}
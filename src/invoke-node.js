@@ -0,0 +1,237 @@
+import { randomUUID } from "node:crypto"
+import { stat } from "node:fs/promises"
+import { resolve } from "node:path"
+import { pathToFileURL } from "node:url"
+import { Worker } from "node:worker_threads"
+import { resolveIntrinsics } from "./cloudformation.js"
+import { handlerModule } from "./template.js"
+
+// the defaults used by Lambda when a function does not set them
+const DEFAULT_TIMEOUT = 3
+const DEFAULT_MEMORY_SIZE = 128
+// the extensions tried by the Node.js runtime, in order
+const EXTENSIONS = [".js", ".mjs", ".cjs"]
+
+async function statFile(path) {
+  try {
+    const stats = await stat(path)
+    return stats.isFile() ? stats : undefined
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * Find the module file and export name of a function's handler.
+ * @param {Object} fn a function as returned by listFunctions
+ * @param {string} templateDir the directory of the template, which CodeUri is relative to
+ * @returns {Promise<{modulePath: string, exportName: string}>}
+ */
+export async function resolveHandler(fn, templateDir) {
+  if (!fn.handler) {
+    throw new Error(`function ${fn.logicalId} has no Handler`)
+  }
+  const base = resolve(templateDir, fn.codeUri ?? ".", handlerModule(fn.handler))
+  const exportName = fn.handler.slice(fn.handler.lastIndexOf(".") + 1)
+  for (const extension of EXTENSIONS) {
+    if (await statFile(`${base}${extension}`)) {
+      return { modulePath: `${base}${extension}`, exportName }
+    }
+  }
+  throw new Error(`could not find handler module ${base} for ${fn.logicalId}`)
+}
+
+/**
+ * Create a context object like the one passed to handlers by the Lambda Node.js runtime.
+ * @param {Object} $1
+ * @param {string} $1.functionName
+ * @param {number} $1.timeout in seconds
+ * @param {number=} $1.memorySize in MB
+ * @param {string=} $1.region
+ * @returns {Object}
+ */
+export function createContext({
+  functionName,
+  timeout,
+  memorySize = DEFAULT_MEMORY_SIZE,
+  region = "us-east-1",
+}) {
+  const deadline = Date.now() + timeout * 1000
+  const awsRequestId = randomUUID()
+  const day = new Date().toISOString().slice(0, 10).replace(/-/gu, "/")
+  return {
+    functionName,
+    functionVersion: "$LATEST",
+    invokedFunctionArn: `arn:aws:lambda:${region}:123456789012:function:${functionName}`,
+    memoryLimitInMB: String(memorySize),
+    awsRequestId,
+    logGroupName: `/aws/lambda/${functionName}`,
+    logStreamName: `${day}/[$LATEST]${awsRequestId.replace(/-/gu, "")}`,
+    callbackWaitsForEmptyEventLoop: true,
+    getRemainingTimeInMillis: () => Math.max(0, deadline - Date.now()),
+  }
+}
+
+// the variables set by the Lambda runtime along with those from the template
+function functionEnvironment(fn, { functionName, memorySize, region, context }) {
+  const variables = { ...fn.properties.Environment?.Variables }
+  const environment = {
+    AWS_LAMBDA_FUNCTION_NAME: functionName,
+    AWS_LAMBDA_FUNCTION_VERSION: "$LATEST",
+    AWS_LAMBDA_FUNCTION_MEMORY_SIZE: String(memorySize),
+    AWS_REGION: region,
+  }
+  for (const [key, value] of Object.entries(variables)) {
+    // variables that refer to resources cannot be known without a deployed stack
+    const resolved = resolveIntrinsics(value, context)
+    if (resolved !== undefined) {
+      environment[key] = String(resolved)
+    }
+  }
+  return environment
+}
+
+function withEnvironment(environment, callback) {
+  const previous = Object.fromEntries(
+    Object.keys(environment).map((key) => [key, process.env[key]])
+  )
+  Object.assign(process.env, environment)
+  const restore = () => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[key]
+      } else {
+        process.env[key] = value
+      }
+    }
+  }
+  return callback().finally(restore)
+}
+
+function callHandler(handler, event, context) {
+  return new Promise((resolvePromise, reject) => {
+    const callback = (error, value) => (error ? reject(error) : resolvePromise(value))
+    try {
+      const returned = handler(event, context, callback)
+      // callback style handlers return undefined
+      if (handler.length < 3 || returned !== undefined) {
+        Promise.resolve(returned).then(resolvePromise, reject)
+      }
+    } catch (error) {
+      reject(error)
+    }
+  })
+}
+
+function errorPayload(error) {
+  if (!(error instanceof Error)) {
+    return { errorType: "Error", errorMessage: String(error) }
+  }
+  return {
+    errorType: error.name,
+    errorMessage: error.message,
+    trace: error.stack?.split("\n") ?? [],
+  }
+}
+
+/**
+ * Import a handler's module and call the handler with an event, like the Lambda Node.js runtime.
+ * Used by invokeHandler, in this process or in a worker.
+ * @param {Object} $1
+ * @param {string} $1.modulePath
+ * @param {string} $1.exportName
+ * @param {any} $1.event
+ * @param {Object} $1.context options for createContext; its timeout also limits how long the handler can run
+ * @returns {Promise<{statusCode: number, payload: Buffer, functionError: string=}>} see invokeHandler
+ */
+export async function callHandlerModule({ modulePath, exportName, event, context }) {
+  const module = await import(pathToFileURL(modulePath).href)
+  const handler = module[exportName] ?? module.default?.[exportName]
+  if (typeof handler !== "function") {
+    throw new Error(`${modulePath} does not export a function named ${exportName}`)
+  }
+  const { timeout } = context
+  let timer
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Task timed out after ${timeout.toFixed(2)} seconds`)),
+      timeout * 1000
+    )
+  })
+  try {
+    const value = await Promise.race([
+      callHandler(handler, event, createContext(context)),
+      timedOut,
+    ])
+    return { statusCode: 200, payload: Buffer.from(JSON.stringify(value ?? null)) }
+  } catch (error) {
+    return {
+      statusCode: 200,
+      payload: Buffer.from(JSON.stringify(errorPayload(error))),
+      functionError: "Unhandled",
+    }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// a worker loads the handler and every module it imports afresh and discards them when it exits
+function callHandlerInWorker(data, environment) {
+  return new Promise((resolvePromise, reject) => {
+    const worker = new Worker(new URL("./handler-worker.js", import.meta.url), {
+      workerData: data,
+      env: { ...process.env, ...environment },
+    })
+    worker.once("message", ({ error, ...invocation }) => {
+      // the handler may have left timers or connections open
+      worker.terminate()
+      if (error) {
+        reject(new Error(error))
+      } else {
+        resolvePromise({ ...invocation, payload: Buffer.from(invocation.payload) })
+      }
+    })
+    worker.once("error", reject)
+    worker.once("exit", (code) => reject(new Error(`handler worker exited with code ${code}`)))
+  })
+}
+
+/**
+ * Invoke a function's handler with an event, like the Lambda Node.js runtime.
+ * The handler's module is imported from CodeUri relative to templateDir, and it runs with the function's Environment.Variables
+ * set in process.env and a context whose remaining time is based on its Timeout.
+ * It runs in this process unless isolate is true, in which case it runs in a worker, so that changes to the handler's module and
+ * the modules it imports are seen, such as when watching.
+ * @param {Object} $1
+ * @param {Object} $1.fn a function as returned by listFunctions
+ * @param {string|Buffer} $1.payload the event as JSON
+ * @param {string} $1.templateDir
+ * @param {Object=} $1.context used to resolve intrinsic functions in environment variables; see resolveIntrinsics
+ * @param {boolean=} $1.isolate
+ * @returns {Promise<{statusCode: number, payload: Buffer, functionError: string=}>} in the same shape as invokeFunction.
+ *  If the handler throws or times out, functionError is "Unhandled" and the payload describes the error.
+ */
+export async function invokeHandler({
+  fn,
+  payload,
+  templateDir,
+  context = {},
+  isolate = false,
+}) {
+  const { modulePath, exportName } = await resolveHandler(fn, templateDir)
+  const functionName = fn.functionName ?? fn.logicalId
+  const timeout = Number(fn.properties.Timeout ?? DEFAULT_TIMEOUT)
+  const memorySize = Number(fn.properties.MemorySize ?? DEFAULT_MEMORY_SIZE)
+  const region = context.region ?? "us-east-1"
+  const environment = functionEnvironment(fn, { functionName, memorySize, region, context })
+  const data = {
+    modulePath,
+    exportName,
+    event: JSON.parse(payload.toString()),
+    context: { functionName, timeout, memorySize, region },
+  }
+  if (isolate) {
+    return callHandlerInWorker(data, environment)
+  }
+  return withEnvironment(environment, () => callHandlerModule(data))
+}
@@ -0,0 +1,207 @@
+import { mkdtemp, rm, writeFile, mkdir } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { createContext, invokeHandler, resolveHandler } from "./invoke-node.js"
+
+function makeFunction(properties) {
+  return {
+    logicalId: "Query",
+    properties,
+    codeUri: properties.CodeUri,
+    handler: properties.Handler,
+  }
+}
+
+describe("invoke-node", () => {
+  let templateDir
+
+  beforeAll(async () => {
+    templateDir = await mkdtemp(join(tmpdir(), "invoke-node-"))
+    await mkdir(join(templateDir, "dist/query"), { recursive: true })
+    await writeFile(
+      join(templateDir, "dist/query/index.mjs"),
+      `export async function handler(event, context) {
+        return {
+          statusCode: 200,
+          body: JSON.stringify({
+            id: event.id,
+            table: process.env.TABLE,
+            functionName: context.functionName,
+            remaining: context.getRemainingTimeInMillis(),
+          }),
+        }
+      }
+      export async function fail() {
+        throw new TypeError("bad input")
+      }
+      export function callback(event, context, done) {
+        setTimeout(() => done(null, { statusCode: 200, body: "{}" }), 0)
+      }
+      export function slow() {
+        return new Promise((resolve) => setTimeout(resolve, 2000))
+      }`
+    )
+    await mkdir(join(templateDir, "dist/plain"), { recursive: true })
+    await writeFile(
+      join(templateDir, "dist/plain/index.mjs"),
+      `import { version } from "./helper.mjs"
+      export async function handler() {
+        return { version, table: process.env.TABLE }
+      }`
+    )
+    await writeFile(join(templateDir, "dist/plain/helper.mjs"), 'export const version = "v1"')
+  })
+
+  afterAll(async () => {
+    await rm(templateDir, { recursive: true, force: true })
+  })
+
+  describe("resolveHandler", () => {
+    it("finds the module from CodeUri and Handler", async () => {
+      const fn = makeFunction({ CodeUri: "dist/query", Handler: "index.handler" })
+      expect(await resolveHandler(fn, templateDir)).toEqual({
+        modulePath: join(templateDir, "dist/query/index.mjs"),
+        exportName: "handler",
+      })
+    })
+
+    it("throws if the module does not exist", async () => {
+      const fn = makeFunction({ CodeUri: "dist/missing", Handler: "index.handler" })
+      await expect(resolveHandler(fn, templateDir)).rejects.toThrow(
+        "could not find handler module"
+      )
+    })
+
+    it("throws if the function has no Handler", async () => {
+      await expect(resolveHandler(makeFunction({}), templateDir)).rejects.toThrow(
+        "function Query has no Handler"
+      )
+    })
+  })
+
+  describe("createContext", () => {
+    it("returns a context with the remaining time", () => {
+      const context = createContext({ functionName: "query", timeout: 3, region: "us-west-2" })
+      expect(context).toEqual(
+        expect.objectContaining({
+          functionName: "query",
+          functionVersion: "$LATEST",
+          memoryLimitInMB: "128",
+          invokedFunctionArn: "arn:aws:lambda:us-west-2:123456789012:function:query",
+          awsRequestId: expect.stringMatching(/^[\da-f-]{36}$/u),
+        })
+      )
+      expect(context.getRemainingTimeInMillis()).toBeGreaterThan(2900)
+      expect(context.getRemainingTimeInMillis()).toBeLessThanOrEqual(3000)
+    })
+  })
+
+  describe("invokeHandler", () => {
+    it("calls the handler with the event, context and environment variables", async () => {
+      const fn = makeFunction({
+        CodeUri: "dist/query",
+        Handler: "index.handler",
+        Timeout: 10,
+        Environment: { Variables: { TABLE: { "Fn::Sub": "${Stage}-table" } } },
+      })
+      const invocation = await invokeHandler({
+        fn,
+        payload: Buffer.from('{"id":"abc"}'),
+        templateDir,
+        context: { parameters: { Stage: "dev" } },
+      })
+      const response = JSON.parse(invocation.payload.toString())
+      const body = JSON.parse(response.body)
+      expect(invocation.functionError).toBeUndefined()
+      expect(body).toEqual(
+        expect.objectContaining({ id: "abc", table: "dev-table", functionName: "Query" })
+      )
+      expect(body.remaining).toBeGreaterThan(9000)
+      expect(process.env.TABLE).toBeUndefined()
+    })
+
+    it("supports callback handlers", async () => {
+      const fn = makeFunction({ CodeUri: "dist/query", Handler: "index.callback" })
+      const invocation = await invokeHandler({ fn, payload: "{}", templateDir })
+      expect(JSON.parse(invocation.payload.toString())).toEqual({
+        statusCode: 200,
+        body: "{}",
+      })
+    })
+
+    it("returns a function error if the handler throws", async () => {
+      const fn = makeFunction({ CodeUri: "dist/query", Handler: "index.fail" })
+      const invocation = await invokeHandler({ fn, payload: "{}", templateDir })
+      expect(invocation.functionError).toBe("Unhandled")
+      expect(JSON.parse(invocation.payload.toString())).toEqual(
+        expect.objectContaining({ errorType: "TypeError", errorMessage: "bad input" })
+      )
+    })
+
+    it("returns a function error if the handler times out", async () => {
+      const fn = makeFunction({ CodeUri: "dist/query", Handler: "index.slow", Timeout: 0.05 })
+      const invocation = await invokeHandler({ fn, payload: "{}", templateDir })
+      expect(invocation.functionError).toBe("Unhandled")
+      expect(JSON.parse(invocation.payload.toString()).errorMessage).toBe(
+        "Task timed out after 0.05 seconds"
+      )
+    })
+
+    it("throws if the export is not a function", async () => {
+      const fn = makeFunction({ CodeUri: "dist/query", Handler: "index.missing" })
+      await expect(invokeHandler({ fn, payload: "{}", templateDir })).rejects.toThrow(
+        "does not export a function named missing"
+      )
+    })
+
+    describe("with isolate", () => {
+      const fn = makeFunction({
+        CodeUri: "dist/plain",
+        Handler: "index.handler",
+        Environment: { Variables: { TABLE: "users" } },
+      })
+
+      it("sees changes to modules imported by the handler", async () => {
+        const invoke = async () => {
+          const invocation = await invokeHandler({
+            fn,
+            payload: "{}",
+            templateDir,
+            isolate: true,
+          })
+          return JSON.parse(invocation.payload.toString())
+        }
+        expect(await invoke()).toEqual({ version: "v1", table: "users" })
+        await writeFile(
+          join(templateDir, "dist/plain/helper.mjs"),
+          'export const version = "v2"'
+        )
+        expect(await invoke()).toEqual({ version: "v2", table: "users" })
+        expect(process.env.TABLE).toBeUndefined()
+      })
+
+      it("returns a function error if the handler times out", async () => {
+        const slow = makeFunction({
+          CodeUri: "dist/query",
+          Handler: "index.slow",
+          Timeout: 0.05,
+        })
+        const invocation = await invokeHandler({
+          fn: slow,
+          payload: "{}",
+          templateDir,
+          isolate: true,
+        })
+        expect(invocation.functionError).toBe("Unhandled")
+        expect(Buffer.isBuffer(invocation.payload)).toBe(true)
+      })
+
+      it("throws if the export is not a function", async () => {
+        const missing = makeFunction({ CodeUri: "dist/query", Handler: "index.missing" })
+        await expect(
+          invokeHandler({ fn: missing, payload: "{}", templateDir, isolate: true })
+        ).rejects.toThrow("does not export a function named missing")
+      })
+    })
+  })
+})
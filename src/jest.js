@@ -0,0 +1,67 @@
+import { resolveOptions } from "./api.js"
+import { createRunner, listLambdas } from "./suite.js"
+
+/**
+ * Define a test for each case in the events directory, so that cases run with Jest or Vitest and can be checked further
+ * with their matchers. Call it at the top level of a test file with top-level await, since tests must be defined synchronously.
+ * A test fails with the output of its case if the case does not pass.
+ * Options not given are taken from the config file and environment variables like the command line does.
+ * @param {Object=} options
+ * @param {string=} options.mode "node" (default), "local" or "remote"
+ * @param {Array<string>=} options.patterns names or glob patterns of the lambdas to test; all are tested if empty
+ * @param {Array<string>=} options.exclude names or glob patterns of lambdas and cases not to test
+ * @param {Array<string>=} options.tags only test cases with one of these tags
+ * @param {string=} options.eventsDir
+ * @param {string=} options.templatePath
+ * @param {string=} options.outputDir where to keep responses and logs; by default, they are not kept
+ * @param {string=} options.stackName
+ * @param {string=} options.parameterOverrides
+ * @param {string=} options.backend
+ * @param {string=} options.endpointUrl
+ * @param {function(Object|Array<Object>): any=} options.check called with the result of a case that passed, or the results
+ *  of a scenario's steps, to make further assertions
+ * @param {number=} options.timeout for each test, in milliseconds
+ * @param {function=} options.test defaults to the global test
+ * @param {function=} options.afterAll defaults to the global afterAll
+ * @returns {Promise<Array<Object>>} the cases that tests were defined for
+ */
+export async function defineLambdaTests({
+  patterns = [],
+  exclude = [],
+  tags = [],
+  check,
+  timeout,
+  test = globalThis.test,
+  afterAll = globalThis.afterAll,
+  ...options
+} = {}) {
+  if (typeof test !== "function") {
+    throw new Error("defineLambdaTests must be called from a test file or be given test")
+  }
+  const resolved = await resolveOptions({ mode: "node", ...options })
+  const lambdas = await listLambdas(resolved.eventsDir, { patterns, exclude })
+  const runner = await createRunner({
+    ...resolved,
+    outputDir: options.outputDir,
+    log: () => {},
+  })
+  afterAll?.(() => runner.close())
+  const cases = await runner.loadCases(lambdas, { patterns, exclude, tags })
+  for (const testCase of cases) {
+    test(
+      testCase.name,
+      async () => {
+        const lines = []
+        const caseLog = (...args) => lines.push(args.join(" "))
+        const outcome = await runner.runCase(testCase, { log: caseLog })
+        const failed = [outcome].flat().find(({ passed }) => !passed)
+        if (failed) {
+          throw new Error(lines.join("\n") || failed.reason)
+        }
+        await check?.(outcome)
+      },
+      timeout
+    )
+  }
+  return cases
+}
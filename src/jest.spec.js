@@ -0,0 +1,102 @@
+import { jest } from "@jest/globals"
+
+const resolveOptionsMock = jest.fn()
+const createRunnerMock = jest.fn()
+const listLambdasMock = jest.fn()
+
+jest.unstable_mockModule("./api.js", () => ({
+  resolveOptions: resolveOptionsMock,
+}))
+jest.unstable_mockModule("./suite.js", () => ({
+  createRunner: createRunnerMock,
+  listLambdas: listLambdasMock,
+}))
+
+const { defineLambdaTests } = await import("./jest.js")
+
+describe("defineLambdaTests", () => {
+  let runner
+  let testMock
+  let afterAllMock
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    resolveOptionsMock.mockImplementation(async (options) => ({
+      eventsDir: "/project/events",
+      ...options,
+    }))
+    listLambdasMock.mockResolvedValue(["getUser"])
+    runner = {
+      loadCases: jest.fn().mockResolvedValue([
+        { lambda: "getUser", name: "getUser/found" },
+        { lambda: "getUser", name: "getUser/missing" },
+      ]),
+      runCase: jest.fn(),
+      close: jest.fn(),
+    }
+    createRunnerMock.mockResolvedValue(runner)
+    testMock = jest.fn()
+    afterAllMock = jest.fn()
+  })
+
+  it("defines a test for each selected case", async () => {
+    const cases = await defineLambdaTests({
+      patterns: ["get*"],
+      tags: ["smoke"],
+      timeout: 5000,
+      test: testMock,
+      afterAll: afterAllMock,
+    })
+    expect(cases).toHaveLength(2)
+    expect(listLambdasMock).toHaveBeenCalledWith("/project/events", {
+      patterns: ["get*"],
+      exclude: [],
+    })
+    expect(runner.loadCases).toHaveBeenCalledWith(["getUser"], {
+      patterns: ["get*"],
+      exclude: [],
+      tags: ["smoke"],
+    })
+    expect(testMock.mock.calls.map(([name, , timeout]) => [name, timeout])).toEqual([
+      ["getUser/found", 5000],
+      ["getUser/missing", 5000],
+    ])
+    afterAllMock.mock.calls[0][0]()
+    expect(runner.close).toHaveBeenCalled()
+  })
+
+  it("a test passes the result of its case to check", async () => {
+    const check = jest.fn()
+    await defineLambdaTests({ check, test: testMock, afterAll: afterAllMock })
+    const result = { name: "getUser/found", passed: true, body: { id: "1" } }
+    runner.runCase.mockResolvedValue(result)
+    await testMock.mock.calls[0][1]()
+    expect(runner.runCase).toHaveBeenCalledWith(
+      { lambda: "getUser", name: "getUser/found" },
+      { log: expect.any(Function) }
+    )
+    expect(check).toHaveBeenCalledWith(result)
+  })
+
+  it("a test fails with the output of its case", async () => {
+    const check = jest.fn()
+    await defineLambdaTests({ check, test: testMock, afterAll: afterAllMock })
+    runner.runCase.mockImplementation(async (testCase, { log }) => {
+      log("❌ getUser/missing - status code 404")
+      return { name: testCase.name, passed: false, reason: "status code 404" }
+    })
+    await expect(testMock.mock.calls[1][1]()).rejects.toThrow(
+      "❌ getUser/missing - status code 404"
+    )
+    expect(check).not.toHaveBeenCalled()
+  })
+
+  it("a scenario fails if any of its steps fails", async () => {
+    await defineLambdaTests({ test: testMock, afterAll: afterAllMock })
+    runner.runCase.mockResolvedValue([
+      { name: "create", passed: true },
+      { name: "get", passed: false, reason: "response has errors" },
+    ])
+    await expect(testMock.mock.calls[0][1]()).rejects.toThrow("response has errors")
+  })
+})
@@ -0,0 +1,89 @@
+/**
+ * Split a JSON path like "$.items[0].id" or "items.0.id" into its segments.
+ * Bracketed segments may be quoted to allow keys with dots or spaces: $["content-type"].
+ * @param {string} path
+ * @returns {Array<string|number>}
+ */
+export function parsePath(path) {
+  const segments = []
+  const pattern = /\.?([^.[\]]+)|\[(?:(\d+)|"([^"]*)"|'([^']*)'|(\*))\]/guy
+  let rest = path.startsWith("$") ? path.slice(1) : path
+  if (!path.startsWith("$") && rest && !rest.startsWith("[")) {
+    rest = `.${rest}`
+  }
+  pattern.lastIndex = 0
+  while (pattern.lastIndex < rest.length) {
+    const match = pattern.exec(rest)
+    if (!match) {
+      throw new Error(`invalid JSON path: ${path}`)
+    }
+    const [, key, index, doubleQuoted, singleQuoted, wildcard] = match
+    if (index !== undefined) {
+      segments.push(Number(index))
+    } else {
+      segments.push(key ?? doubleQuoted ?? singleQuoted ?? wildcard)
+    }
+  }
+  return segments
+}
+
+/**
+ * Format path segments back into a JSON path rooted at "$".
+ * @param {Array<string|number>} segments
+ * @returns {string}
+ */
+export function formatPath(segments) {
+  return segments.reduce((path, segment) => {
+    if (typeof segment === "number") {
+      return `${path}[${segment}]`
+    }
+    if (/^[A-Za-z_$][\w$]*$/u.test(segment)) {
+      return `${path}.${segment}`
+    }
+    return `${path}[${JSON.stringify(segment)}]`
+  }, "$")
+}
+
+/**
+ * Get the value at a JSON path, returning undefined if any segment is missing.
+ * @param {any} object
+ * @param {string|Array<string|number>} path
+ * @returns {any}
+ */
+export function getPath(object, path) {
+  const segments = typeof path === "string" ? parsePath(path) : path
+  let value = object
+  for (const segment of segments) {
+    if (value === null || typeof value !== "object") {
+      return undefined
+    }
+    value = value[segment]
+  }
+  return value
+}
+
+/**
+ * Replace each existing value at a JSON path in place.
+ * A "*" segment ([*] or .*) matches every element or key.
+ * @param {any} object
+ * @param {string|Array<string|number>} path
+ * @param {any} value
+ */
+export function replacePath(object, path, value) {
+  const segments = typeof path === "string" ? parsePath(path) : path
+  if (!segments.length || object === null || typeof object !== "object") {
+    return
+  }
+  const [segment, ...rest] = segments
+  const keys = segment === "*" ? Object.keys(object) : [segment]
+  for (const key of keys) {
+    if (!(key in object)) {
+      continue
+    }
+    if (rest.length) {
+      replacePath(object[key], rest, value)
+    } else {
+      object[key] = value
+    }
+  }
+}
@@ -0,0 +1,64 @@
+import { formatPath, getPath, parsePath, replacePath } from "./json-path.js"
+
+describe("parsePath", () => {
+  it("parses dotted and bracketed segments", () => {
+    expect(parsePath("$.items[0].id")).toEqual(["items", 0, "id"])
+    expect(parsePath('$.headers["content-type"]')).toEqual(["headers", "content-type"])
+    expect(parsePath("$['a b'].c")).toEqual(["a b", "c"])
+  })
+
+  it("allows paths without a leading $", () => {
+    expect(parsePath("items.0.id")).toEqual(["items", "0", "id"])
+    expect(parsePath("[1].id")).toEqual([1, "id"])
+  })
+
+  it("parses the root path as no segments", () => {
+    expect(parsePath("$")).toEqual([])
+  })
+
+  it("throws on an invalid path", () => {
+    expect(() => parsePath("$.a[b")).toThrow("invalid JSON path: $.a[b")
+  })
+})
+
+describe("formatPath", () => {
+  it("formats segments as a JSON path", () => {
+    expect(formatPath(["body", "items", 0, "content-type"])).toBe(
+      '$.body.items[0]["content-type"]'
+    )
+    expect(formatPath([])).toBe("$")
+  })
+})
+
+describe("getPath", () => {
+  it("returns the value at the path", () => {
+    expect(getPath({ items: [{ id: 1 }] }, "$.items[0].id")).toBe(1)
+  })
+
+  it("returns undefined if a segment is missing", () => {
+    expect(getPath({ items: [] }, "$.items[0].id")).toBeUndefined()
+    expect(getPath(null, "$.a")).toBeUndefined()
+  })
+})
+
+describe("replacePath", () => {
+  it("replaces the value at the path", () => {
+    const object = { a: { b: 1, c: 2 } }
+    replacePath(object, "$.a.b", "x")
+    expect(object).toEqual({ a: { b: "x", c: 2 } })
+  })
+
+  it("replaces every match of a wildcard", () => {
+    const object = { items: [{ id: 1 }, { id: 2 }, {}], meta: { a: 1, b: 2 } }
+    replacePath(object, "$.items[*].id", "x")
+    replacePath(object, "$.meta.*", "y")
+    expect(object).toEqual({ items: [{ id: "x" }, { id: "x" }, {}], meta: { a: "y", b: "y" } })
+  })
+
+  it("ignores missing paths", () => {
+    const object = { a: 1 }
+    replacePath(object, "$.b.c", "x")
+    replacePath(object, "$.a.c", "x")
+    expect(object).toEqual({ a: 1 })
+  })
+})
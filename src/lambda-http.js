@@ -0,0 +1,216 @@
+import { execFileSync } from "node:child_process"
+import { createHash, createHmac } from "node:crypto"
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex")
+}
+
+function hmac(key, value) {
+  return createHmac("sha256", key).update(value).digest()
+}
+
+// encodes everything except unreserved characters, as required by Signature Version 4
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/gu,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  )
+}
+
+/**
+ * Sign a request with AWS Signature Version 4.
+ * @param {Object} $1
+ * @param {string} $1.method
+ * @param {URL} $1.url
+ * @param {Object<string, string>} $1.headers headers to sign and send; host is added
+ * @param {string} $1.body
+ * @param {string} $1.region
+ * @param {string} $1.service such as "lambda"
+ * @param {{accessKeyId: string, secretAccessKey: string, sessionToken: string=}} $1.credentials
+ * @param {Date=} $1.date
+ * @returns {Object<string, string>} the headers along with X-Amz-Date, X-Amz-Security-Token and Authorization
+ */
+export function signRequest({
+  method,
+  url,
+  headers,
+  body,
+  region,
+  service,
+  credentials,
+  date,
+}) {
+  const amzDate = (date ?? new Date()).toISOString().replace(/[:-]|\.\d{3}/gu, "")
+  const day = amzDate.slice(0, 8)
+  const signed = { ...headers, host: url.host, "x-amz-date": amzDate }
+  if (credentials.sessionToken) {
+    signed["x-amz-security-token"] = credentials.sessionToken
+  }
+
+  const names = Object.keys(signed)
+    .map((name) => name.toLowerCase())
+    .sort()
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(signed).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+  )
+  const canonicalHeaders = names.map((name) => `${name}:${lowerHeaders[name]}\n`).join("")
+  const signedHeaders = names.join(";")
+  // paths are encoded a second time for every service except S3
+  const canonicalPath = url.pathname.split("/").map(encodeRfc3986).join("/")
+  const canonicalQuery = [...url.searchParams]
+    .map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(value)}`)
+    .sort()
+    .join("&")
+  const canonicalRequest = [
+    method,
+    canonicalPath,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    sha256(body),
+  ].join("\n")
+
+  const scope = `${day}/${region}/${service}/aws4_request`
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join(
+    "\n"
+  )
+  const signingKey = [day, region, service, "aws4_request"].reduce(
+    (key, value) => hmac(key, value),
+    `AWS4${credentials.secretAccessKey}`
+  )
+  const signature = createHmac("sha256", signingKey).update(stringToSign).digest("hex")
+  const authorization = `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  return { ...signed, authorization }
+}
+
+/**
+ * Get credentials from the standard AWS environment variables.
+ * @param {Object=} env
+ * @returns {{accessKeyId: string, secretAccessKey: string, sessionToken: string=}|undefined}
+ */
+export function credentialsFromEnv(env = process.env) {
+  const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN } = env
+  if (!AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY) {
+    return undefined
+  }
+  return {
+    accessKeyId: AWS_ACCESS_KEY_ID,
+    secretAccessKey: AWS_SECRET_ACCESS_KEY,
+    sessionToken: AWS_SESSION_TOKEN,
+  }
+}
+
+// credentials are exported once per profile, since they do not change during a run
+const profileCredentials = new Map()
+
+/**
+ * Get the credentials of an AWS CLI named profile, including profiles that use SSO or assume a role.
+ * Needs version 2 of the AWS CLI.
+ * @param {string} profile
+ * @returns {{accessKeyId: string, secretAccessKey: string, sessionToken: string=}}
+ * @throws {Error} if the AWS CLI cannot export the profile's credentials
+ */
+export function credentialsFromProfile(profile) {
+  if (!profileCredentials.has(profile)) {
+    let exported
+    try {
+      exported = JSON.parse(
+        execFileSync(
+          "aws",
+          ["configure", "export-credentials", "--profile", profile, "--format", "process"],
+          { encoding: "utf-8" }
+        )
+      )
+    } catch (err) {
+      throw new Error(`Failed to get credentials for profile ${profile}: ${err.message}`)
+    }
+    profileCredentials.set(profile, {
+      accessKeyId: exported.AccessKeyId,
+      secretAccessKey: exported.SecretAccessKey,
+      sessionToken: exported.SessionToken,
+    })
+  }
+  return profileCredentials.get(profile)
+}
+
+/**
+ * Invoke a lambda synchronously through the Lambda Invoke API, requesting the tail of its logs.
+ * @param {Object} $1
+ * @param {string} $1.functionName
+ * @param {string|Buffer} $1.payload
+ * @param {string=} $1.region defaults to AWS_REGION, then AWS_DEFAULT_REGION, then "us-east-1"
+ * @param {string=} $1.endpointUrl defaults to the Lambda endpoint for the region
+ * @param {Object=} $1.credentials defaults to credentials from the environment.
+ *  Requests are sent unsigned if there are none and endpointUrl is given, such as for a local stub server.
+ * @param {string=} $1.qualifier a version or alias
+ * @param {AbortSignal=} $1.signal aborts the request, such as AbortSignal.timeout(ms) to stop waiting for a hung lambda
+ * @returns {Promise<{statusCode: number, payload: Buffer, functionError: string=, logResult: string=, executedVersion: string=}>}
+ *  logResult is decoded from base64
+ * @throws {Error} with statusCode and errorType, such as "TooManyRequestsException", if the request fails
+ */
+export async function invokeFunction({
+  functionName,
+  payload,
+  region = process.env.AWS_REGION ?? process.env.AWS_DEFAULT_REGION ?? "us-east-1",
+  endpointUrl,
+  credentials = credentialsFromEnv(),
+  qualifier,
+  signal,
+}) {
+  const url = new URL(
+    `/2015-03-31/functions/${encodeURIComponent(functionName)}/invocations`,
+    endpointUrl ?? `https://lambda.${region}.amazonaws.com`
+  )
+  if (qualifier) {
+    url.searchParams.set("Qualifier", qualifier)
+  }
+  const body = payload.toString()
+  let headers = {
+    "content-type": "application/json",
+    "x-amz-invocation-type": "RequestResponse",
+    "x-amz-log-type": "Tail",
+  }
+  if (credentials) {
+    headers = signRequest({
+      method: "POST",
+      url,
+      headers,
+      body,
+      region,
+      service: "lambda",
+      credentials,
+    })
+    // fetch sets the host header itself
+    delete headers.host
+  } else if (!endpointUrl) {
+    throw new Error(
+      "Missing AWS credentials: set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY to invoke over HTTP"
+    )
+  }
+
+  const response = await fetch(url, { method: "POST", headers, body, signal })
+  const responseBody = Buffer.from(await response.arrayBuffer())
+  if (!response.ok) {
+    let message = responseBody.toString()
+    try {
+      const parsed = JSON.parse(message)
+      message = parsed.message ?? parsed.Message ?? message
+    } catch {
+      // not JSON, so use the body as is
+    }
+    const errorType = response.headers.get("x-amzn-errortype")?.split(":")[0] ?? "Error"
+    const error = new Error(
+      `Invoke failed with status ${response.status}: ${errorType}: ${message}`
+    )
+    Object.assign(error, { statusCode: response.status, errorType })
+    throw error
+  }
+  const logResult = response.headers.get("x-amz-log-result")
+  return {
+    statusCode: response.status,
+    payload: responseBody,
+    functionError: response.headers.get("x-amz-function-error") ?? undefined,
+    logResult: logResult ? Buffer.from(logResult, "base64").toString() : undefined,
+    executedVersion: response.headers.get("x-amz-executed-version") ?? undefined,
+  }
+}
@@ -0,0 +1,187 @@
+import { jest } from "@jest/globals"
+import { createServer } from "node:http"
+
+const execFileSyncMock = jest.fn()
+
+jest.unstable_mockModule("node:child_process", () => ({
+  execFileSync: execFileSyncMock,
+}))
+
+const { credentialsFromEnv, credentialsFromProfile, invokeFunction, signRequest } =
+  await import("./lambda-http.js")
+
+const credentials = {
+  accessKeyId: "AKIDEXAMPLE",
+  secretAccessKey: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY",
+}
+
+describe("signRequest", () => {
+  it("matches the Signature Version 4 test suite", () => {
+    const headers = signRequest({
+      method: "GET",
+      url: new URL("https://example.amazonaws.com/?Param2=value2&Param1=value1"),
+      headers: {},
+      body: "",
+      region: "us-east-1",
+      service: "service",
+      credentials,
+      date: new Date("2015-08-30T12:36:00Z"),
+    })
+    expect(headers).toEqual({
+      host: "example.amazonaws.com",
+      "x-amz-date": "20150830T123600Z",
+      authorization:
+        "AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, SignedHeaders=host;x-amz-date, Signature=b97d918cfa904a5beff61c982a1b6f458b799221646efd99d3219ec94cdf2500",
+    })
+  })
+
+  it("adds the session token", () => {
+    const headers = signRequest({
+      method: "POST",
+      url: new URL("https://lambda.us-east-1.amazonaws.com/"),
+      headers: { "content-type": "application/json" },
+      body: "{}",
+      region: "us-east-1",
+      service: "lambda",
+      credentials: { ...credentials, sessionToken: "token" },
+    })
+    expect(headers["x-amz-security-token"]).toBe("token")
+    expect(headers.authorization).toContain(
+      "SignedHeaders=content-type;host;x-amz-date;x-amz-security-token"
+    )
+  })
+})
+
+describe("credentialsFromEnv", () => {
+  it("returns credentials if the key and secret are set", () => {
+    expect(credentialsFromEnv({ AWS_ACCESS_KEY_ID: "a", AWS_SECRET_ACCESS_KEY: "b" })).toEqual(
+      { accessKeyId: "a", secretAccessKey: "b", sessionToken: undefined }
+    )
+    expect(credentialsFromEnv({ AWS_ACCESS_KEY_ID: "a" })).toBeUndefined()
+  })
+})
+
+describe("credentialsFromProfile", () => {
+  beforeEach(() => {
+    execFileSyncMock.mockReset()
+  })
+
+  it("exports the credentials of a profile once", () => {
+    execFileSyncMock.mockReturnValue(
+      JSON.stringify({ Version: 1, AccessKeyId: "a", SecretAccessKey: "b", SessionToken: "c" })
+    )
+    const expected = { accessKeyId: "a", secretAccessKey: "b", sessionToken: "c" }
+    expect(credentialsFromProfile("prod")).toEqual(expected)
+    expect(credentialsFromProfile("prod")).toEqual(expected)
+    expect(execFileSyncMock).toHaveBeenCalledTimes(1)
+    expect(execFileSyncMock).toHaveBeenCalledWith(
+      "aws",
+      ["configure", "export-credentials", "--profile", "prod", "--format", "process"],
+      expect.any(Object)
+    )
+  })
+
+  it("throws with the error message if the CLI fails", () => {
+    execFileSyncMock.mockImplementation(() => {
+      throw new Error("The config profile (missing) could not be found")
+    })
+    expect(() => credentialsFromProfile("missing")).toThrow(
+      "Failed to get credentials for profile missing: The config profile (missing) could not be found"
+    )
+  })
+})
+
+describe("invokeFunction", () => {
+  let server, endpointUrl, requests, respond
+
+  beforeAll(async () => {
+    server = createServer((request, response) => {
+      const chunks = []
+      request.on("data", (chunk) => chunks.push(chunk))
+      request.on("end", () => {
+        requests.push({ request, body: Buffer.concat(chunks).toString() })
+        respond(response)
+      })
+    })
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+    endpointUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve))
+  })
+
+  beforeEach(() => {
+    requests = []
+  })
+
+  it("posts the payload and returns the response with its headers", async () => {
+    respond = (response) => {
+      response.writeHead(200, {
+        "x-amz-function-error": "Unhandled",
+        "x-amz-log-result": Buffer.from("REPORT Duration: 1 ms").toString("base64"),
+        "x-amz-executed-version": "$LATEST",
+      })
+      response.end(JSON.stringify({ errorMessage: "boom" }))
+    }
+    const result = await invokeFunction({
+      functionName: "Query",
+      payload: Buffer.from('{"a":1}'),
+      endpointUrl,
+      credentials,
+      qualifier: "live",
+    })
+    expect(result).toEqual({
+      statusCode: 200,
+      payload: Buffer.from(JSON.stringify({ errorMessage: "boom" })),
+      functionError: "Unhandled",
+      logResult: "REPORT Duration: 1 ms",
+      executedVersion: "$LATEST",
+    })
+    const [{ request, body }] = requests
+    expect(request.method).toBe("POST")
+    expect(request.url).toBe("/2015-03-31/functions/Query/invocations?Qualifier=live")
+    expect(request.headers["x-amz-log-type"]).toBe("Tail")
+    expect(request.headers.authorization).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\//u
+    )
+    expect(body).toBe('{"a":1}')
+  })
+
+  it("sends unsigned requests to an endpoint without credentials", async () => {
+    respond = (response) => response.end("{}")
+    await invokeFunction({
+      functionName: "Query",
+      payload: "{}",
+      endpointUrl,
+      credentials: null,
+    })
+    expect(requests[0].request.headers.authorization).toBeUndefined()
+  })
+
+  it("throws with the status and error type if the request fails", async () => {
+    respond = (response) => {
+      response.writeHead(429, { "x-amzn-errortype": "TooManyRequestsException:" })
+      response.end(JSON.stringify({ Type: "User", message: "Rate Exceeded." }))
+    }
+    const promise = invokeFunction({
+      functionName: "Query",
+      payload: "{}",
+      endpointUrl,
+      credentials,
+    })
+    await expect(promise).rejects.toThrow(
+      "Invoke failed with status 429: TooManyRequestsException: Rate Exceeded."
+    )
+    await expect(promise).rejects.toMatchObject({
+      statusCode: 429,
+      errorType: "TooManyRequestsException",
+    })
+  })
+
+  it("throws without credentials for the default endpoint", async () => {
+    await expect(
+      invokeFunction({ functionName: "Query", payload: "{}", credentials: null })
+    ).rejects.toThrow("Missing AWS credentials")
+  })
+})
@@ -0,0 +1,52 @@
+// the fields of a REPORT line that are recorded, by their label
+const REPORT_FIELDS = {
+  Duration: "duration",
+  "Billed Duration": "billedDuration",
+  "Memory Size": "memorySize",
+  "Max Memory Used": "maxMemoryUsed",
+  "Init Duration": "initDuration",
+}
+
+/**
+ * Parse the REPORT line that Lambda writes to the logs at the end of an invocation, such as
+ * "REPORT RequestId: ... Duration: 2.51 ms Billed Duration: 3 ms Memory Size: 128 MB Max Memory Used: 70 MB".
+ * @param {string} logs
+ * @returns {{duration: number, billedDuration: number, memorySize: number, maxMemoryUsed: number, initDuration: number=}|undefined}
+ *  durations are in milliseconds and memory in MB; undefined if there is no REPORT line
+ */
+export function parseReportLine(logs) {
+  const lines = logs.split("\n")
+  let line
+  // the last REPORT line, in case the logs hold more than one invocation
+  for (let index = lines.length - 1; index >= 0 && line === undefined; index--) {
+    if (lines[index].trimStart().startsWith("REPORT ")) {
+      line = lines[index]
+    }
+  }
+  if (!line) {
+    return undefined
+  }
+  const report = {}
+  for (const [, label, value] of line.matchAll(
+    /((?:[A-Z][a-z]+ )*[A-Z][a-z]+): ([\d.]+) (?:ms|MB)/gu
+  )) {
+    if (Object.hasOwn(REPORT_FIELDS, label)) {
+      report[REPORT_FIELDS[label]] = Number(value)
+    }
+  }
+  return report
+}
+
+/**
+ * Format logs to be printed below the result line of an invocation.
+ * @param {string} logs
+ * @param {string=} indent
+ * @returns {string}
+ */
+export function formatLogs(logs, indent = "  ") {
+  return logs
+    .trimEnd()
+    .split("\n")
+    .map((line) => `${indent}${line}`)
+    .join("\n")
+}
@@ -0,0 +1,31 @@
+import { describe, expect, it } from "@jest/globals"
+import { formatLogs, parseReportLine } from "./logs.js"
+
+describe("parseReportLine", () => {
+  it("parses the fields of the last REPORT line", () => {
+    const logs = [
+      "START RequestId: a Version: $LATEST",
+      "REPORT RequestId: a\tDuration: 1.00 ms\tBilled Duration: 1 ms",
+      "REPORT RequestId: b\tDuration: 2.51 ms\tBilled Duration: 3 ms\tMemory Size: 128 MB\tMax Memory Used: 70 MB\tInit Duration: 150.12 ms\t",
+      "",
+    ].join("\n")
+    expect(parseReportLine(logs)).toEqual({
+      duration: 2.51,
+      billedDuration: 3,
+      memorySize: 128,
+      maxMemoryUsed: 70,
+      initDuration: 150.12,
+    })
+  })
+
+  it("returns undefined without a REPORT line", () => {
+    expect(parseReportLine("START RequestId: a\nhello\n")).toBeUndefined()
+  })
+})
+
+describe("formatLogs", () => {
+  it("indents each line and drops trailing newlines", () => {
+    expect(formatLogs("a\nb\n\n")).toBe("  a\n  b")
+    expect(formatLogs("a", "    ")).toBe("    a")
+  })
+})
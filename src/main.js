@@ -1,55 +1,308 @@
-import { mkdir, readFile, readdir } from "node:fs/promises"
-import { basename, extname } from "node:path"
-import YAML from "yaml"
-import { runLambda } from "./run-lambda.js"
+import { mkdir, writeFile } from "node:fs/promises"
+import { dirname } from "node:path"
+import { parseArguments } from "./args.js"
+import { InputError } from "./errors.js"
+import { splitList } from "./filter.js"
+import { starterEvent } from "./generators.js"
+import * as suite from "./suite.js"
+import { resolveTargets } from "./target.js"
 
-export class InputError extends Error {}
+export { InputError }
+export { invoke, runSuite } from "./api.js"
+export { loadSettings } from "./config.js"
+export { defineLambdaTests } from "./jest.js"
+
+// the percentage by which durations can exceed a baseline
+const DEFAULT_THRESHOLD = 10
+
+function parseCount(value, name, { min = 1 } = {}) {
+  const count = Number(value)
+  if (!Number.isInteger(count) || count < min) {
+    const kind = min > 0 ? "a positive integer" : "a non-negative integer"
+    throw new InputError(`${name} must be ${kind}; got: ${value}`)
+  }
+  return count
+}
+
+// the deployments selected by --stack, --stage, --region, --profile and --qualifier
+function targetsFromOptions(options, stackName) {
+  return resolveTargets({
+    stacks: splitList(options.stack),
+    stages: splitList(options.stage),
+    regions: splitList(options.region),
+    stackName,
+    profile: options.profile,
+    qualifier: options.qualifier,
+  })
+}
+
+// the options for --bench, or undefined if not benchmarking
+function parseBench(options, mode) {
+  if (options.bench === undefined) {
+    const benchOnly = ["warmup", "coldStart", "baseline", "updateBaseline", "threshold"]
+    if (benchOnly.some((name) => options[name])) {
+      throw new InputError("--warmup, --cold-start, --baseline and --threshold need --bench")
+    }
+    return undefined
+  }
+  if (options.watch) {
+    throw new InputError("--bench cannot be used with --watch")
+  }
+  if (options.coldStart && mode !== "remote") {
+    throw new InputError("--cold-start only works in 'remote' mode")
+  }
+  // updating the configuration of $LATEST does not restart the runtimes of a published version or alias
+  if (options.coldStart && options.qualifier) {
+    throw new InputError("--cold-start cannot be used with --qualifier")
+  }
+  if (options.updateBaseline && !options.baseline) {
+    throw new InputError("--update-baseline needs --baseline")
+  }
+  const threshold = Number(options.threshold ?? DEFAULT_THRESHOLD)
+  if (Number.isNaN(threshold) || threshold < 0) {
+    throw new InputError(`threshold must be a non-negative number; got: ${options.threshold}`)
+  }
+  return {
+    runs: parseCount(options.bench, "bench"),
+    warmup:
+      options.warmup === undefined ? 0 : parseCount(options.warmup, "warmup", { min: 0 }),
+    coldStart: options.coldStart,
+    baselinePath: options.baseline,
+    updateBaseline: options.updateBaseline,
+    threshold,
+  }
+}
 
 /**
  * Run the lambdas given certain information about where to get inputs and put output.
+ * The first argument is the mode: "local" invokes lambdas with `sam local invoke`, "remote" invokes the deployed lambdas,
+ * and "node" imports each handler from CodeUri and calls it in this process.
+ * Any further arguments are lambda names or glob patterns like "users-*" that select which lambdas to run.
+ * --exclude skips lambdas and cases whose names match, and --tag selects cases whose event has a matching "_tags" entry.
+ * With --watch in local or node mode, lambdas are run again whenever their events, their function's CodeUri or the template change.
+ * With --bench N, each case is run N times after --warmup runs, optionally forcing a cold start before each run with --cold-start,
+ *  and statistics about durations and memory are printed. With --baseline, the statistics are compared with those stored in a file,
+ *  and a case fails if its p50 or p95 duration is more than --threshold percent (default 10) slower; --update-baseline stores them instead.
+ * --region and --profile select the AWS region and CLI named profile, and --qualifier the version or alias to invoke in remote mode.
+ * --stack replaces stackName and --stage uses the stack "<stackName>-<stage>", also setting the template's Stage parameter.
+ *  Each of --stack, --stage and --region can be given several times, or as a comma separated list, to run the suite against each
+ *  combination one after another; see resolveTargets. The results are then grouped by target.
+ * --timeout stops an invocation in remote or local mode after a number of seconds, and --retries retries invocations that are
+ *  throttled, fail with another transient error of the Lambda service or time out, waiting --retry-delay milliseconds (default 1000)
+ *  before the first retry and twice as long before each one after it. Results that only pass after retries are reported as flaky.
  * @param {Object} $1
  * @param {Array<string>} $1.argv process.argv
  * @param {string} $1.outputDir specifies where to put the responses of each lambda invocation. Makes this directory recursively if needed.
+ *  The response for a lambda with several events is put in "<lambda>/<case>.json".
  * @param {string} $1.eventsDir specifies a directory of JSON files. Each JSON file name should correspond to the end of a CodeURI in template.yaml
  *  For example, if EVENTS_DIR contained a JSON file called "query.json" and template.yaml contained "CodeUri: dist/users-query",
  *  then the script will associate calling that lambda with the event in the JSON file.
- *  Be careful that only one CodeUri matches for each JSON file (no same name but different directory support).
- * @param {string} $1.templateYamlPath specifies the path to find the template.yaml file.
- * @param {string=} $1.stackName specifies a prefix to the function name,
- *  which is used when looking up the deployed lambda using the function name written in template.yaml
+ *  If no CodeUri matches, the end of the module in each Handler is used instead, such as "src/query.handler".
+ *  If more than one function matches, the lambda errors; set "_function" in the event to the function's logical ID to pick one.
+ *  Expectations about a lambda's response can be put in "<name>.expect.json" or in an "_expect" section of the event.
+ *  To run several events against the same lambda, put them in an array in the JSON file or in a directory named after the lambda.
+ *  Events can contain placeholders such as "${env:NAME}" and "${stackOutput:Key}" and "$include" shared fixtures; see renderEvent.
+ *  A scenario in "<name>.scenario.json" runs a sequence of steps, each invoking a lambda, and stops at the first step that fails;
+ *  see runScenario.
+ *  Files and directories starting with "_" are not lambdas, so shared fixtures can be kept in a directory like "_fixtures".
+ * @param {string} $1.templateYamlPath specifies the path to find the template.yaml file. A path ending with ".json" is parsed as JSON.
+ * @param {string=} $1.stackName specifies the deployed stack. In remote mode, its resources are described once
+ *  to map each function's logical ID to its deployed name. If that fails or a function is not found,
+ *  the stack name is used as a prefix to the function name when looking up the deployed lambda.
+ * @param {string=} $1.parameterOverrides specifies template parameter values as "Key1=Value1 Key2=Value2",
+ *  which are used along with parameter defaults and stackName to resolve FunctionName properties like "!Sub ${AWS::StackName}-query".
+ *  A resolved FunctionName is invoked in remote mode instead of looking up the deployed function by prefix.
+ * @param {string=} $1.invokeBackend specifies how to invoke lambdas in remote mode: "cli" for the AWS CLI (default)
+ *  or "http" for the Lambda Invoke API, which needs AWS credentials in the environment. Overridden by --backend.
+ * @param {string=} $1.lambdaEndpointUrl specifies the endpoint of the Lambda Invoke API for the "http" backend,
+ *  such as a VPC endpoint or a local Lambda-compatible server. Overridden by --endpoint-url.
+ * @param {boolean=} $1.localEndpoint specifies that the endpoint is a local server such as `sam local start-lambda`, which names
+ *  functions by their logical ID, so the stack is not described and requests are not signed with a profile. Also set by --local-endpoint.
+ * @param {string=} $1.snapshotsDir specifies where to store snapshots of responses when running with --snapshot.
+ *  Defaults to "__snapshots__" in eventsDir.
+ * @param {Array<string>=} $1.snapshotIgnore specifies JSON paths into responses to ignore when comparing snapshots,
+ *  such as "$.body.createdAt" or "$.headers.date".
+ * @param {Object<string, string>=} $1.schemas maps lambda names or function logical IDs to JSON Schemas that their responses
+ *  must match, as paths to JSON or YAML files optionally followed by a pointer like "#/definitions/User".
+ *  A "schema" in a case's expectations takes precedence. Violations are reported with their JSON paths.
+ * @param {string=} $1.openapiPath specifies an OpenAPI document. The responses of API Gateway events without another schema
+ *  are checked against the schema of the operation for the event's method and path and the response's status code.
+ *  Overridden by --openapi.
+ * @param {string=} $1.reportPath specifies where to write a report of the results. Overridden by --report-path.
+ *  The format is given by --reporter or inferred from the extension: ".xml" for JUnit, ".tap" for TAP, otherwise JSON.
+ * @param {string|number=} $1.concurrency specifies how many lambdas to invoke at once. Overridden by --concurrency and --serial.
+ *  Defaults to invoking every lambda at once, except in node mode, where lambdas are invoked one at a time.
+ * @param {string|number=} $1.invokeTimeout specifies how many seconds an invocation can take. Overridden by --timeout.
+ * @param {string|number=} $1.retries specifies how many times to retry a transient failure. Overridden by --retries.
+ * @param {string|number=} $1.retryDelay specifies how many milliseconds to wait before the first retry. Overridden by --retry-delay.
+ * @param {AbortSignal=} $1.signal stops watching for changes when running with --watch
+ * @returns {Promise<Object>} a summary of the results with total, passed, failed, errored, duration, and results,
+ *  where each result is returned by runLambda. With --watch, this is the summary of the last run.
+ *  With --bench, it also has bench, the statistics for each case; see benchStats.
  */
-export async function main({ argv, outputDir, eventsDir, templateYamlPath, stackName }) {
-  const mode = argv[2]
-  if (mode !== "remote" && mode !== "local") {
-    throw new InputError("second argument must be 'remote' or 'local'")
+export async function main({
+  argv,
+  outputDir,
+  eventsDir,
+  templateYamlPath,
+  stackName,
+  snapshotsDir,
+  snapshotIgnore,
+  schemas,
+  openapiPath,
+  reportPath,
+  concurrency,
+  invokeTimeout,
+  retries,
+  retryDelay,
+  parameterOverrides,
+  invokeBackend,
+  lambdaEndpointUrl,
+  localEndpoint,
+  signal,
+}) {
+  const { positionals, options } = parseArguments(argv)
+  const mode = positionals[0]
+  if (!suite.MODES.includes(mode)) {
+    throw new InputError("second argument must be 'remote', 'local' or 'node'")
   }
-  await mkdir(outputDir, { recursive: true })
-
-  let lambdaFilenames = (await readdir(eventsDir)).map((lambdaFilename) => {
-    const lambda = basename(lambdaFilename, extname(lambdaFilename))
-    return lambda
+  return suite.runSuite({
+    targets: targetsFromOptions(options, stackName),
+    mode,
+    outputDir,
+    eventsDir,
+    templatePath: templateYamlPath,
+    patterns: positionals.slice(1),
+    exclude: splitList(options.exclude),
+    tags: splitList(options.tag),
+    stackName,
+    parameterOverrides,
+    backend: options.backend ?? invokeBackend,
+    endpointUrl: options.endpointUrl ?? lambdaEndpointUrl,
+    localEndpoint: options.localEndpoint || localEndpoint,
+    snapshot: options.snapshot,
+    updateSnapshots: options.updateSnapshots,
+    snapshotsDir,
+    snapshotIgnore,
+    schemas,
+    openapiPath: options.openapi ?? openapiPath,
+    reporter: options.reporter,
+    reportPath: options.reportPath ?? reportPath,
+    concurrency: options.serial ? 1 : options.concurrency ?? concurrency,
+    timeout: options.timeout ?? invokeTimeout,
+    retries: options.retries ?? retries,
+    retryDelay: options.retryDelay ?? retryDelay,
+    watch: options.watch,
+    bench: parseBench(options, mode),
+    signal,
   })
-  const filter = argv[3]
-  if (filter) {
-    lambdaFilenames = lambdaFilenames.filter((lambda) => lambda === filter)
+}
+
+/**
+ * Run each case in two modes and compare the responses, given arguments like "compare local remote [lambdas...]".
+ * This catches differences between the deployed functions and the local code, such as missing environment variables,
+ * missing permissions and layer versions that differ. Status codes, headers and bodies are compared after ignoring
+ * volatile headers like date, the paths in compareIgnore and those given by --ignore.
+ * --exclude, --tag, --concurrency, --serial, --reporter, --report-path, --backend, --endpoint-url, --local-endpoint, --region, --profile,
+ * --qualifier, --stack, --stage, --timeout, --retries and --retry-delay work as in main, except that only one target can be compared.
+ * @param {Object} $1
+ * @param {Array<string>} $1.argv process.argv
+ * @param {string} $1.outputDir the responses of each mode are put in "<outputDir>/<mode>"
+ * @param {string} $1.eventsDir
+ * @param {string} $1.templateYamlPath
+ * @param {Array<string>=} $1.compareIgnore JSON paths into responses to ignore, such as "$.body.requestId"
+ * @param {string=} $1.stackName
+ * @param {string=} $1.parameterOverrides
+ * @param {string=} $1.reportPath
+ * @param {string|number=} $1.concurrency
+ * @param {string|number=} $1.invokeTimeout
+ * @param {string|number=} $1.retries
+ * @param {string|number=} $1.retryDelay
+ * @param {string=} $1.invokeBackend
+ * @param {string=} $1.lambdaEndpointUrl
+ * @param {boolean=} $1.localEndpoint
+ * @returns {Promise<Object>} a summary of the comparisons with a result for each case; see compareResults
+ * @throws {InputError} if an option is invalid or nothing is selected
+ */
+export async function compare({
+  argv,
+  outputDir,
+  eventsDir,
+  templateYamlPath,
+  compareIgnore = [],
+  stackName,
+  parameterOverrides,
+  reportPath,
+  concurrency,
+  invokeTimeout,
+  retries,
+  retryDelay,
+  invokeBackend,
+  lambdaEndpointUrl,
+  localEndpoint,
+}) {
+  const { positionals, options } = parseArguments(argv)
+  const [, ...args] = positionals
+  const modes = args.slice(0, 2)
+  const unsupported = ["watch", "bench", "snapshot", "updateSnapshots"]
+  if (unsupported.some((name) => options[name])) {
+    throw new InputError("--watch, --bench and --snapshot cannot be used with compare")
   }
-  const document = YAML.parse((await readFile(templateYamlPath)).toString(), {
-    logLevel: "silent",
-  })
-  const promises = lambdaFilenames.map((lambdaFilename) => {
-    const lambda = basename(lambdaFilename, extname(lambdaFilename))
-    return runLambda({
-      outputDir,
-      eventsDir,
-      document,
-      lambda,
-      mode,
-      stackName,
-      filtered: Boolean(filter),
-    })
+  const targets = targetsFromOptions(options, stackName)
+  if (targets.length > 1) {
+    throw new InputError(
+      "compare runs against one target; give a single --stack, --stage or --region"
+    )
+  }
+  return suite.compareSuite({
+    modes,
+    outputDir,
+    eventsDir,
+    templatePath: templateYamlPath,
+    patterns: args.slice(2),
+    exclude: splitList(options.exclude),
+    tags: splitList(options.tag),
+    ignore: [...compareIgnore, ...splitList(options.ignore)],
+    stackName,
+    parameterOverrides,
+    ...targets[0],
+    backend: options.backend ?? invokeBackend,
+    endpointUrl: options.endpointUrl ?? lambdaEndpointUrl,
+    localEndpoint: options.localEndpoint || localEndpoint,
+    reporter: options.reporter,
+    reportPath: options.reportPath ?? reportPath,
+    concurrency: options.serial ? 1 : options.concurrency ?? concurrency,
+    timeout: options.timeout ?? invokeTimeout,
+    retries: options.retries ?? retries,
+    retryDelay: options.retryDelay ?? retryDelay,
   })
-  if (!promises.length) {
-    throw new InputError(`no lambdas specified; args: ${argv.slice(2).join(" ")}`)
+}
+
+/**
+ * Write a starter event for a common AWS trigger, given arguments like "generate <type> <name>".
+ * The event is a short spec, such as { "$sqs": { ... } }, that is expanded into a full event when the lambda runs.
+ * @param {Object} $1
+ * @param {Array<string>} $1.argv process.argv
+ * @param {string} $1.eventsDir
+ * @returns {Promise<string>} the path of the event, "<eventsDir>/<name>.json"
+ * @throws {InputError} if the type is unknown, the name is missing or the event already exists
+ */
+export async function generate({ argv, eventsDir }) {
+  const { positionals } = parseArguments(argv)
+  const [, type, name] = positionals
+  const event = starterEvent(type)
+  if (!name) {
+    throw new InputError("usage: generate <type> <name>")
+  }
+  const eventPath = `${eventsDir}/${name}.json`
+  await mkdir(dirname(eventPath), { recursive: true })
+  try {
+    await writeFile(eventPath, `${JSON.stringify(event, null, 2)}\n`, { flag: "wx" })
+  } catch (error) {
+    if (error.code === "EEXIST") {
+      throw new InputError(`${eventPath} already exists`)
+    }
+    throw error
   }
-  await Promise.allSettled(promises)
+  return eventPath
 }
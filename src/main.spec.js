@@ -4,40 +4,96 @@ import { jest } from "@jest/globals"
 const readFileMock = jest.fn()
 const readdirMock = jest.fn()
 const mkdirMock = jest.fn()
+const mkdtempMock = jest.fn()
+const rmMock = jest.fn()
+const writeFileMock = jest.fn()
+const loadCasesMock = jest.fn()
+const resolveReportMock = jest.fn()
+const writeReportMock = jest.fn()
+const describeStackResourcesMock = jest.fn()
+const describeStackOutputsMock = jest.fn()
 const YAMLParseMock = jest.fn()
 const runLambdaMock = jest.fn()
+const affectedLambdasMock = jest.fn()
+const watchFilesMock = jest.fn()
+const apiRunSuiteMock = jest.fn()
 
 jest.unstable_mockModule("node:fs/promises", () => ({
   mkdir: mkdirMock,
+  mkdtemp: mkdtempMock,
   readFile: readFileMock,
   readdir: readdirMock,
+  rm: rmMock,
+  writeFile: writeFileMock,
 }))
 jest.unstable_mockModule("yaml", () => ({
   default: { parse: YAMLParseMock },
 }))
+jest.unstable_mockModule("./events.js", () => ({
+  EXPECT_SUFFIX: ".expect.json",
+  loadCases: loadCasesMock,
+}))
+jest.unstable_mockModule("./report.js", () => ({
+  resolveReport: resolveReportMock,
+  writeReport: writeReportMock,
+}))
+jest.unstable_mockModule("./stack.js", () => ({
+  describeStackOutputs: describeStackOutputsMock,
+  describeStackResources: describeStackResourcesMock,
+}))
 jest.unstable_mockModule("./run-lambda.js", () => ({
   runLambda: runLambdaMock,
 }))
+jest.unstable_mockModule("./watch.js", () => ({
+  affectedLambdas: affectedLambdasMock,
+  watchFiles: watchFilesMock,
+}))
+// only re-exported by main
+jest.unstable_mockModule("./api.js", () => ({ invoke: jest.fn(), runSuite: apiRunSuiteMock }))
+jest.unstable_mockModule("./config.js", () => ({ loadSettings: jest.fn() }))
+jest.unstable_mockModule("./jest.js", () => ({ defineLambdaTests: jest.fn() }))
 
-const { main, InputError } = await import("./main.js")
+const { compare, generate, main, runSuite, InputError } = await import("./main.js")
+
+function passingResult({ lambda, name = lambda }) {
+  return Promise.resolve({ name, lambda, status: "passed", passed: true, duration: 1 })
+}
 
 describe("main", () => {
+  let logSpy
+
+  afterEach(() => {
+    logSpy.mockRestore()
+  })
+
   beforeEach(() => {
+    logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
     readdirMock.mockReset()
     readFileMock.mockReset()
     YAMLParseMock.mockReset()
     mkdirMock.mockReset()
+    writeFileMock.mockReset()
     runLambdaMock.mockReset()
+    rmMock.mockReset()
+    loadCasesMock.mockReset()
+    resolveReportMock.mockReset()
+    writeReportMock.mockReset()
+    describeStackResourcesMock.mockReset()
+    describeStackOutputsMock.mockReset()
+    mkdtempMock.mockResolvedValue("/tmp/test-lambda-1")
+    loadCasesMock.mockImplementation(async ({ eventsDir, lambda }) => [
+      { lambda, name: lambda, inputPath: `${eventsDir}/${lambda}.json` },
+    ])
   })
 
-  it("throws InputError if mode is not remote or local", async () => {
+  it("throws InputError if mode is not remote, local or node", async () => {
     const argv = ["/usr/bin/node", "main.js", "badmode"]
     await expect(
       main({ argv, outputDir: "/out", eventsDir: "/ev", templateYamlPath: "/template.yaml" })
     ).rejects.toThrow(InputError)
     await expect(
       main({ argv, outputDir: "/out", eventsDir: "/ev", templateYamlPath: "/template.yaml" })
-    ).rejects.toThrow("second argument must be 'remote' or 'local'")
+    ).rejects.toThrow("second argument must be 'remote', 'local' or 'node'")
   })
 
   it("calls mkdir with recursive:true before proceeding", async () => {
@@ -45,7 +101,7 @@ describe("main", () => {
     readdirMock.mockResolvedValue(["foo.json"])
     readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
     YAMLParseMock.mockReturnValue({ doc: true })
-    runLambdaMock.mockResolvedValue(undefined)
+    runLambdaMock.mockImplementation(passingResult)
 
     await main({
       argv,
@@ -61,7 +117,7 @@ describe("main", () => {
     readdirMock.mockResolvedValue(["foo.json", "bar.json"])
     readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
     YAMLParseMock.mockReturnValue({ doc: true })
-    runLambdaMock.mockResolvedValue(undefined)
+    runLambdaMock.mockImplementation(passingResult)
 
     await main({
       argv,
@@ -95,7 +151,7 @@ describe("main", () => {
     readdirMock.mockResolvedValue(["foo.json", "bar.json"])
     readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
     YAMLParseMock.mockReturnValue({ doc: true })
-    runLambdaMock.mockResolvedValue(undefined)
+    runLambdaMock.mockImplementation(passingResult)
 
     await main({
       argv,
@@ -112,12 +168,883 @@ describe("main", () => {
     )
   })
 
+  it("selects lambdas by names and glob patterns and excludes others", async () => {
+    const argv = [
+      "/usr/bin/node",
+      "main.js",
+      "local",
+      "users-*",
+      "orders",
+      "--exclude",
+      "users-delete",
+    ]
+    readdirMock.mockResolvedValue([
+      "users-get.json",
+      "users-delete.json",
+      "users-list",
+      "orders.json",
+      "payments.json",
+    ])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+    })
+    expect(runLambdaMock.mock.calls.map(([{ lambda }]) => lambda)).toEqual([
+      "users-get",
+      "users-list",
+      "orders",
+    ])
+    expect(runLambdaMock).toHaveBeenCalledWith(expect.objectContaining({ filtered: false }))
+  })
+
+  it("selects cases by tag", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local", "--tag", "smoke"]
+    readdirMock.mockResolvedValue(["foo.json", "bar.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+    loadCasesMock.mockImplementation(async ({ lambda }) => [
+      { lambda, name: `${lambda}/0`, tags: lambda === "foo" ? ["smoke"] : undefined },
+      { lambda, name: `${lambda}/1`, tags: ["full"] },
+    ])
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+    })
+    expect(runLambdaMock).toHaveBeenCalledTimes(1)
+    expect(runLambdaMock).toHaveBeenCalledWith(expect.objectContaining({ name: "foo/0" }))
+  })
+
+  it("throws InputError if no cases have the tag", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local", "--tag", "nope"]
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+
+    await expect(
+      main({ argv, outputDir: "/out", eventsDir: "/ev", templateYamlPath: "/template.yaml" })
+    ).rejects.toThrow("no cases selected; args: local --tag nope")
+    expect(runLambdaMock).not.toHaveBeenCalled()
+  })
+
+  it("skips expectation files and passes each lambda's event and expectations", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local"]
+    readdirMock.mockResolvedValue(["foo.json", "foo.expect.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+    loadCasesMock.mockResolvedValue([
+      {
+        lambda: "foo",
+        name: "foo",
+        inputPath: "/tmp/test-lambda-1/foo.json",
+        expect: { statusCode: 201 },
+      },
+    ])
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+    })
+    expect(loadCasesMock).toHaveBeenCalledWith({
+      eventsDir: "/ev",
+      lambda: "foo",
+      tmpDir: "/tmp/test-lambda-1",
+      render: { stackOutputs: undefined },
+    })
+    expect(runLambdaMock).toHaveBeenCalledTimes(1)
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        lambda: "foo",
+        inputPath: "/tmp/test-lambda-1/foo.json",
+        expect: { statusCode: 201 },
+      })
+    )
+    expect(rmMock).toHaveBeenCalledWith("/tmp/test-lambda-1", { recursive: true, force: true })
+  })
+
+  it("skips entries starting with _ and describes stack outputs only when rendering needs them", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local"]
+    readdirMock.mockResolvedValue(["_fixtures", "foo.json", "bar.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+    describeStackOutputsMock.mockReturnValue({ UserPoolId: "pool" })
+    const outputs = []
+    loadCasesMock.mockImplementation(async ({ lambda, render }) => {
+      outputs.push(render.stackOutputs())
+      return [{ lambda, name: lambda }]
+    })
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      stackName: "stack",
+    })
+    expect(loadCasesMock.mock.calls.map(([{ lambda }]) => lambda)).toEqual(["foo", "bar"])
+    expect(outputs).toEqual([{ UserPoolId: "pool" }, { UserPoolId: "pool" }])
+    expect(describeStackOutputsMock).toHaveBeenCalledTimes(1)
+    expect(describeStackOutputsMock).toHaveBeenCalledWith("stack", {})
+  })
+
+  it("runs the steps of a scenario in order and summarizes each step", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local"]
+    readdirMock.mockResolvedValue(["signup.scenario.json", "foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(async (options) => ({
+      ...(await passingResult(options)),
+      response: { statusCode: 200, body: JSON.stringify({ id: "u1" }) },
+    }))
+    loadCasesMock.mockImplementation(async ({ lambda }) =>
+      lambda === "signup"
+        ? [
+            {
+              lambda,
+              name: lambda,
+              scenario: {
+                name: "signup",
+                steps: [
+                  { name: "create", lambda: "create-user", event: {} },
+                  {
+                    name: "get",
+                    lambda: "get-user",
+                    event: { id: "${steps.create.body.id}" },
+                  },
+                ],
+              },
+            },
+          ]
+        : [{ lambda, name: lambda, inputPath: "/ev/foo.json" }]
+    )
+
+    const summary = await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+    })
+    expect(mkdirMock).toHaveBeenCalledWith("/out/signup", { recursive: true })
+    expect(writeFileMock).toHaveBeenCalledWith(
+      "/tmp/test-lambda-1/signup/get.json",
+      JSON.stringify({ id: "u1" })
+    )
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        lambda: "get-user",
+        name: "signup/get",
+        inputPath: "/tmp/test-lambda-1/signup/get.json",
+      })
+    )
+    expect(summary.results.map(({ name }) => name)).toEqual([
+      "signup/create",
+      "signup/get",
+      "foo",
+    ])
+  })
+
+  it("runs each case of a lambda and makes a directory for its responses", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local"]
+    readdirMock.mockResolvedValue(["foo", "foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+    loadCasesMock.mockResolvedValue([
+      { lambda: "foo", name: "foo/0", inputPath: "/tmp/test-lambda-1/foo/0.json" },
+      { lambda: "foo", name: "foo/bad", inputPath: "/ev/foo/bad.json" },
+    ])
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+    })
+    expect(loadCasesMock).toHaveBeenCalledTimes(1)
+    expect(mkdirMock).toHaveBeenCalledWith("/out/foo", { recursive: true })
+    expect(runLambdaMock).toHaveBeenCalledTimes(2)
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({ lambda: "foo", name: "foo/0" })
+    )
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        lambda: "foo",
+        name: "foo/bad",
+        inputPath: "/ev/foo/bad.json",
+      })
+    )
+  })
+
+  it("passes snapshot options to runLambda and skips the snapshots directory", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local", "--snapshot"]
+    readdirMock.mockResolvedValue(["foo.json", "__snapshots__"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      snapshotIgnore: ["$.body.id"],
+    })
+    expect(runLambdaMock).toHaveBeenCalledTimes(1)
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        lambda: "foo",
+        snapshot: { snapshotsDir: "/ev/__snapshots__", ignore: ["$.body.id"], update: false },
+      })
+    )
+  })
+
+  it("returns and prints a summary of the results", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local"]
+    readdirMock.mockResolvedValue(["foo.json", "bar.json", "baz.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(async ({ lambda }) => {
+      if (lambda === "bar") {
+        return { name: "bar", status: "failed", passed: false, reason: "status code 500" }
+      }
+      if (lambda === "baz") {
+        throw new Error("boom")
+      }
+      return passingResult({ lambda })
+    })
+    const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {})
+
+    const summary = await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+    })
+    expect(summary).toEqual(
+      expect.objectContaining({ total: 3, passed: 1, failed: 1, errored: 1 })
+    )
+    expect(summary.results[2]).toEqual({
+      name: "baz",
+      lambda: "baz",
+      mode: "local",
+      status: "error",
+      passed: false,
+      reason: "boom",
+    })
+    expect(logSpy).toHaveBeenCalledWith(
+      expect.stringContaining("❌ 1 passed, 1 failed, 1 errored (3 total)")
+    )
+    errorSpy.mockRestore()
+  })
+
+  it("writes a report if a reporter is given", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local", "--reporter", "junit"]
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+    // only the report of every target is written
+    resolveReportMock.mockReturnValueOnce({ reporter: "junit", reportPath: "/out/report.xml" })
+
+    const summary = await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      reportPath: "/env/report.xml",
+    })
+    expect(resolveReportMock).toHaveBeenCalledWith({
+      reporter: "junit",
+      reportPath: "/env/report.xml",
+      outputDir: "/out",
+    })
+    expect(writeReportMock).toHaveBeenCalledWith({
+      summary,
+      reporter: "junit",
+      reportPath: "/out/report.xml",
+    })
+  })
+
+  it("invokes one lambda at a time with --serial", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local", "--serial"]
+    readdirMock.mockResolvedValue(["foo.json", "bar.json", "baz.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    let pending = 0
+    let maxPending = 0
+    runLambdaMock.mockImplementation(async (options) => {
+      pending++
+      maxPending = Math.max(maxPending, pending)
+      await new Promise((resolve) => setTimeout(resolve, 0))
+      pending--
+      return passingResult(options)
+    })
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      concurrency: "2",
+    })
+    expect(runLambdaMock).toHaveBeenCalledTimes(3)
+    expect(maxPending).toBe(1)
+  })
+
+  it("invokes handlers in node mode one at a time relative to the template", async () => {
+    const argv = ["/usr/bin/node", "main.js", "node"]
+    readdirMock.mockResolvedValue(["foo.json", "bar.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    let pending = 0
+    let maxPending = 0
+    runLambdaMock.mockImplementation(async (options) => {
+      pending++
+      maxPending = Math.max(maxPending, pending)
+      await new Promise((resolve) => setTimeout(resolve, 0))
+      pending--
+      return passingResult(options)
+    })
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/app/template.yaml",
+      stackName: "stack",
+    })
+    expect(maxPending).toBe(1)
+    expect(describeStackResourcesMock).not.toHaveBeenCalled()
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({ mode: "node", templateDir: "/app" })
+    )
+  })
+
+  it("runs affected lambdas again when files change with --watch", async () => {
+    const argv = ["/usr/bin/node", "main.js", "node", "--watch"]
+    readdirMock.mockResolvedValue(["foo.json", "bar.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({
+      Resources: {
+        Foo: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "dist/foo" } },
+      },
+    })
+    runLambdaMock.mockImplementation(async (options) => ({
+      ...(await passingResult(options)),
+      functionName: "Foo",
+    }))
+    affectedLambdasMock.mockReturnValue(["foo"])
+    watchFilesMock.mockImplementation(async ({ onChange }) => {
+      await onChange(["/app/dist/foo/index.js"])
+    })
+
+    const summary = await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/app/template.yaml",
+    })
+    expect(watchFilesMock).toHaveBeenCalledWith(
+      expect.objectContaining({ paths: ["/ev", "/app/template.yaml", "/app/dist/foo"] })
+    )
+    expect(affectedLambdasMock).toHaveBeenCalledWith(["/app/dist/foo/index.js"], {
+      lambdas: ["foo", "bar"],
+      eventsDir: "/ev",
+      templatePath: "/app/template.yaml",
+      codeDirs: { Foo: "/app/dist/foo" },
+      lambdaFunctions: new Map([
+        ["foo", new Set(["Foo"])],
+        ["bar", new Set(["Foo"])],
+      ]),
+      ignore: ["/out", "/ev/__snapshots__"],
+    })
+    expect(runLambdaMock.mock.calls.map(([{ lambda }]) => lambda)).toEqual([
+      "foo",
+      "bar",
+      "foo",
+    ])
+    // handlers run in a worker so that changes to the modules they import are seen
+    expect(runLambdaMock.mock.calls.every(([{ isolate }]) => isolate)).toBe(true)
+    expect(summary.total).toBe(1)
+    expect(logSpy).toHaveBeenCalledWith("\n🔁 foo")
+  })
+
+  it("runs each case several times after warm-up runs with --bench", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local", "--bench", "3", "--warmup", "1"]
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    let run = 0
+    runLambdaMock.mockImplementation(async (options) => ({
+      ...(await passingResult(options)),
+      metrics: { duration: [50, 10, 30, 20][run++], maxMemoryUsed: 64 },
+    }))
+
+    const summary = await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+    })
+    expect(runLambdaMock).toHaveBeenCalledTimes(4)
+    expect(runLambdaMock).toHaveBeenCalledWith(expect.objectContaining({ coldStart: false }))
+    expect(summary.total).toBe(3)
+    expect(summary.bench).toEqual({
+      foo: {
+        runs: 3,
+        failures: 0,
+        duration: { min: 10, p50: 20, p95: 30, max: 30 },
+        initDuration: undefined,
+        maxMemoryUsed: 64,
+      },
+    })
+    expect(logSpy).toHaveBeenCalledWith(
+      "⏱️ foo (3 runs), duration min 10 / p50 20 / p95 30 / max 30 ms, memory 64 MB"
+    )
+  })
+
+  it("fails a case whose durations regress from the baseline", async () => {
+    const argv = [
+      "/usr/bin/node",
+      "main.js",
+      "remote",
+      "--bench",
+      "2",
+      "--baseline",
+      "/b.json",
+    ]
+    readdirMock.mockResolvedValue(["foo.json", "bar.json"])
+    const baseline = {
+      foo: { duration: { min: 10, p50: 10, p95: 10, max: 10 } },
+      bar: { duration: { min: 10, p50: 10, p95: 10, max: 10 } },
+    }
+    readFileMock.mockImplementation(async (path) =>
+      Buffer.from(path === "/b.json" ? JSON.stringify(baseline) : "yamlfile")
+    )
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(async (options) => ({
+      ...(await passingResult(options)),
+      metrics: { duration: options.lambda === "foo" ? 12 : 10.5 },
+    }))
+
+    const summary = await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+    })
+    expect(summary).toEqual(
+      expect.objectContaining({ total: 5, passed: 4, failed: 1, bench: expect.any(Object) })
+    )
+    expect(summary.results[4]).toEqual({
+      name: "foo (baseline)",
+      lambda: "foo",
+      status: "failed",
+      passed: false,
+      reason:
+        "regressed by more than 10%: p50 duration 10 → 12 ms (+20%), p95 duration 10 → 12 ms (+20%)",
+    })
+  })
+
+  it("stores a baseline with --update-baseline", async () => {
+    const argv = [
+      "/usr/bin/node",
+      "main.js",
+      "local",
+      "--bench",
+      "1",
+      "--baseline",
+      "/b.json",
+      "--update-baseline",
+    ]
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockImplementation(async (path) => {
+      if (path === "/b.json") {
+        throw Object.assign(new Error("missing"), { code: "ENOENT" })
+      }
+      return Buffer.from("yamlfile")
+    })
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+    })
+    expect(writeFileMock).toHaveBeenCalledWith("/b.json", expect.stringContaining('"foo": {'))
+  })
+
+  it("throws InputError for invalid bench options", async () => {
+    const run = (...args) =>
+      main({
+        argv: ["/usr/bin/node", "main.js", ...args],
+        outputDir: "/out",
+        eventsDir: "/ev",
+        templateYamlPath: "/template.yaml",
+      })
+    await expect(run("local", "--bench", "0")).rejects.toThrow(
+      "bench must be a positive integer; got: 0"
+    )
+    await expect(run("local", "--warmup", "2")).rejects.toThrow("need --bench")
+    await expect(run("local", "--bench", "2", "--cold-start")).rejects.toThrow(
+      "--cold-start only works in 'remote' mode"
+    )
+    await expect(
+      run("remote", "--bench", "2", "--cold-start", "--qualifier", "live")
+    ).rejects.toThrow(new InputError("--cold-start cannot be used with --qualifier"))
+    await expect(run("local", "--bench", "2", "--threshold", "x")).rejects.toThrow(
+      "threshold must be a non-negative number; got: x"
+    )
+  })
+
+  it("throws InputError if --watch is used in remote mode", async () => {
+    const argv = ["/usr/bin/node", "main.js", "remote", "--watch"]
+    await expect(
+      main({ argv, outputDir: "/out", eventsDir: "/ev", templateYamlPath: "/template.yaml" })
+    ).rejects.toThrow("--watch only works in 'local' or 'node' mode")
+  })
+
+  it("throws InputError if concurrency is not a positive integer", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local", "--concurrency", "0"]
+    await expect(
+      main({ argv, outputDir: "/out", eventsDir: "/ev", templateYamlPath: "/template.yaml" })
+    ).rejects.toThrow("concurrency must be a positive integer; got: 0")
+  })
+
+  it("parses a JSON template and passes parameter overrides", async () => {
+    const argv = ["/usr/bin/node", "main.js", "remote"]
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify({ Resources: {} })))
+    runLambdaMock.mockImplementation(passingResult)
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.json",
+      parameterOverrides: "Stage=prod",
+    })
+    expect(YAMLParseMock).not.toHaveBeenCalled()
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({ document: { Resources: {} }, parameters: { Stage: "prod" } })
+    )
+  })
+
+  it("describes the stack once in remote mode and passes physical IDs", async () => {
+    const argv = ["/usr/bin/node", "main.js", "remote"]
+    readdirMock.mockResolvedValue(["foo.json", "bar.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+    describeStackResourcesMock.mockReturnValue({ Foo: "stack-Foo-123" })
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      stackName: "stack",
+    })
+    expect(describeStackResourcesMock).toHaveBeenCalledTimes(1)
+    expect(describeStackResourcesMock).toHaveBeenCalledWith("stack", {})
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({ physicalIds: { Foo: "stack-Foo-123" } })
+    )
+  })
+
+  it("passes the region, profile and qualifier to the stack description and invocations", async () => {
+    const argv = [
+      "/usr/bin/node",
+      "main.js",
+      "remote",
+      "--region",
+      "eu-west-1",
+      "--profile",
+      "prod",
+      "--qualifier",
+      "live",
+    ]
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      stackName: "stack",
+    })
+    expect(describeStackResourcesMock).toHaveBeenCalledWith("stack", {
+      region: "eu-west-1",
+      profile: "prod",
+    })
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        stackName: "stack",
+        region: "eu-west-1",
+        profile: "prod",
+        qualifier: "live",
+        outputDir: "/out",
+      })
+    )
+  })
+
+  it("retries transient failures and reports a later pass as flaky", async () => {
+    const argv = ["/usr/bin/node", "main.js", "remote", "--timeout", "5", "--retry-delay", "0"]
+    readdirMock.mockResolvedValue(["foo.json", "bar.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(async ({ lambda }) => {
+      const throttled = lambda === "foo" && runLambdaMock.mock.calls.length === 1
+      return throttled
+        ? {
+            name: lambda,
+            lambda,
+            status: "error",
+            reason: "exited with code 254",
+            transient: true,
+          }
+        : { name: lambda, lambda, status: "passed", passed: true }
+    })
+
+    const summary = await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      retries: 2,
+    })
+    expect(runLambdaMock).toHaveBeenCalledTimes(3)
+    expect(runLambdaMock).toHaveBeenCalledWith(expect.objectContaining({ timeout: 5 }))
+    expect(summary).toEqual(expect.objectContaining({ total: 2, passed: 2, flaky: 1 }))
+    expect(summary.results[0]).toEqual(
+      expect.objectContaining({ name: "foo", flaky: true, attempts: 2 })
+    )
+    expect(logSpy).toHaveBeenCalledWith(
+      "🔁 foo exited with code 254; retrying in 0 ms (1 of 2)"
+    )
+  })
+
+  it("throws InputError for an invalid timeout before invoking", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local", "--timeout", "never"]
+    readdirMock.mockResolvedValue(["foo.json"])
+    await expect(
+      main({ argv, outputDir: "/out", eventsDir: "/ev", templateYamlPath: "/template.yaml" })
+    ).rejects.toThrow("timeout must be a positive number of seconds; got: never")
+    expect(runLambdaMock).not.toHaveBeenCalled()
+  })
+
+  it("runs against each stage and groups the results by target", async () => {
+    const argv = ["/usr/bin/node", "main.js", "remote", "--stage", "dev,prod"]
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ Parameters: { Stage: { Type: "String" } } })
+    // only the report of every target is written
+    resolveReportMock.mockReturnValueOnce({ reporter: "junit", reportPath: "/out/report.xml" })
+    runLambdaMock.mockImplementation(async ({ lambda, stackName }) => ({
+      name: lambda,
+      lambda,
+      status: stackName === "app-prod" ? "failed" : "passed",
+      passed: stackName !== "app-prod",
+      reason: "status code 500",
+    }))
+
+    const summary = await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      stackName: "app",
+    })
+    expect(describeStackResourcesMock.mock.calls.map(([stack]) => stack)).toEqual([
+      "app-dev",
+      "app-prod",
+    ])
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        stackName: "app-dev",
+        parameters: { Stage: "dev" },
+        outputDir: "/out/dev",
+      })
+    )
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        stackName: "app-prod",
+        parameters: { Stage: "prod" },
+        outputDir: "/out/prod",
+      })
+    )
+    expect(summary).toEqual(expect.objectContaining({ total: 2, passed: 1, failed: 1 }))
+    expect(summary.results.map(({ target }) => target)).toEqual(["dev", "prod"])
+    expect(logSpy).toHaveBeenCalledWith("\n🎯 dev")
+    expect(logSpy).toHaveBeenCalledWith(
+      "\n❌ 1 passed, 1 failed (2 total)\n  ❌ [prod] foo: status code 500"
+    )
+    expect(writeReportMock).toHaveBeenCalledTimes(1)
+    expect(writeReportMock).toHaveBeenCalledWith(expect.objectContaining({ summary }))
+  })
+
+  it("throws InputError for targets that cannot be combined", async () => {
+    const options = {
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      stackName: "app",
+    }
+    const argv = (...args) => ["/usr/bin/node", "main.js", "local", ...args]
+    await expect(
+      main({ argv: argv("--stack", "a", "--stage", "dev"), ...options })
+    ).rejects.toThrow("--stack and --stage cannot be used together")
+    await expect(
+      main({ argv: argv("--stack", "a,b", "--watch"), ...options })
+    ).rejects.toThrow("--watch and --bench cannot be used with several targets")
+    expect(runLambdaMock).not.toHaveBeenCalled()
+  })
+
+  it("falls back to prefix lookups if the stack cannot be described", async () => {
+    const argv = ["/usr/bin/node", "main.js", "remote"]
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+    describeStackResourcesMock.mockImplementation(() => {
+      throw new Error("Failed to describe stack resources: nope")
+    })
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      stackName: "stack",
+    })
+    expect(logSpy).toHaveBeenCalledWith(
+      "Failed to describe stack resources: nope; falling back to looking up functions by name prefix"
+    )
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({ physicalIds: undefined })
+    )
+  })
+
+  it("passes the backend and endpoint and skips describing the stack for a local endpoint", async () => {
+    const argv = [
+      "/usr/bin/node",
+      "main.js",
+      "remote",
+      "--backend",
+      "http",
+      "--local-endpoint",
+    ]
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    runLambdaMock.mockImplementation(passingResult)
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      stackName: "stack",
+      lambdaEndpointUrl: "http://127.0.0.1:3001",
+    })
+    expect(describeStackResourcesMock).not.toHaveBeenCalled()
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        backend: "http",
+        endpointUrl: "http://127.0.0.1:3001",
+        localEndpoint: true,
+      })
+    )
+  })
+
+  it("describes the stack for an endpoint that is not local", async () => {
+    const argv = ["/usr/bin/node", "main.js", "remote", "--backend", "http"]
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    describeStackResourcesMock.mockReturnValue({ Foo: "stack-Foo-1" })
+    runLambdaMock.mockImplementation(passingResult)
+
+    await main({
+      argv,
+      outputDir: "/out",
+      eventsDir: "/ev",
+      templateYamlPath: "/template.yaml",
+      stackName: "stack",
+      lambdaEndpointUrl: "https://vpce-123.lambda.us-east-1.vpce.amazonaws.com",
+    })
+    expect(describeStackResourcesMock).toHaveBeenCalledWith("stack", {})
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({ physicalIds: { Foo: "stack-Foo-1" }, localEndpoint: false })
+    )
+  })
+
+  it("throws InputError if --local-endpoint is used without an endpoint", async () => {
+    const argv = ["/usr/bin/node", "main.js", "remote", "--local-endpoint"]
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    await expect(
+      main({ argv, outputDir: "/out", eventsDir: "/ev", templateYamlPath: "/template.yaml" })
+    ).rejects.toThrow("--local-endpoint needs the http backend and an endpoint URL")
+  })
+
+  it("throws InputError if the backend is unknown", async () => {
+    const argv = ["/usr/bin/node", "main.js", "remote"]
+    await expect(
+      main({
+        argv,
+        outputDir: "/out",
+        eventsDir: "/ev",
+        templateYamlPath: "/template.yaml",
+        invokeBackend: "sdk",
+      })
+    ).rejects.toThrow("backend must be one of: cli, http")
+  })
+
+  it("throws InputError if the events directory or template does not exist", async () => {
+    const argv = ["/usr/bin/node", "main.js", "local"]
+    const missing = Object.assign(new Error("ENOENT"), { code: "ENOENT" })
+    readdirMock.mockRejectedValue(missing)
+    await expect(
+      main({ argv, outputDir: "/out", eventsDir: "/ev", templateYamlPath: "/template.yaml" })
+    ).rejects.toThrow(
+      "events directory /ev does not exist; set EVENTS_DIR or eventsDir in a config file"
+    )
+    readdirMock.mockResolvedValue(["foo.json"])
+    readFileMock.mockRejectedValue(missing)
+    await expect(
+      main({ argv, outputDir: "/out", eventsDir: "/ev", templateYamlPath: "/template.yaml" })
+    ).rejects.toThrow("template /template.yaml does not exist")
+    await expect(
+      main({ argv, outputDir: "/out", templateYamlPath: "/t.yaml" })
+    ).rejects.toThrow("eventsDir is required")
+  })
+
   it("throws InputError if no lambdas specified", async () => {
     const argv = ["/usr/bin/node", "main.js", "local"]
     readdirMock.mockResolvedValue([])
     readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
     YAMLParseMock.mockReturnValue({ doc: true })
-    runLambdaMock.mockResolvedValue(undefined)
+    runLambdaMock.mockImplementation(passingResult)
 
     await expect(
       main({ argv, outputDir: "/out", eventsDir: "/ev", templateYamlPath: "/template.yaml" })
@@ -135,7 +1062,7 @@ describe("main", () => {
     YAMLParseMock.mockReturnValue({
       Resources: { MyFunc: { Properties: { CodeUri: "foo" } } },
     })
-    runLambdaMock.mockResolvedValue(undefined)
+    runLambdaMock.mockImplementation(passingResult)
 
     await main({
       argv,
@@ -153,6 +1080,176 @@ describe("main", () => {
   })
 })
 
+describe("compare", () => {
+  let logSpy
+  const settings = { outputDir: "/out", eventsDir: "/ev", templateYamlPath: "/template.yaml" }
+  const argv = (...args) => ["/usr/bin/node", "main.js", "compare", ...args]
+  const response = (body, headers = {}) => ({
+    statusCode: 200,
+    headers,
+    body: JSON.stringify(body),
+  })
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+    jest.clearAllMocks()
+    mkdtempMock.mockResolvedValue("/tmp/test-lambda-1")
+    readdirMock.mockResolvedValue(["foo.json", "bar.json"])
+    readFileMock.mockResolvedValue(Buffer.from("yamlfile"))
+    YAMLParseMock.mockReturnValue({ doc: true })
+    resolveReportMock.mockReturnValue(undefined)
+    loadCasesMock.mockImplementation(async ({ eventsDir, lambda }) => [
+      { lambda, name: lambda, inputPath: `${eventsDir}/${lambda}.json` },
+    ])
+  })
+
+  afterEach(() => {
+    logSpy.mockRestore()
+  })
+
+  it("runs each case in both modes and compares the responses", async () => {
+    runLambdaMock.mockImplementation(async ({ lambda, mode }) => ({
+      name: lambda,
+      lambda,
+      mode,
+      status: "passed",
+      passed: true,
+      duration: 1,
+      response: response(
+        { count: lambda === "foo" && mode === "remote" ? 2 : 1 },
+        { Date: mode, "content-type": "application/json" }
+      ),
+    }))
+
+    const summary = await compare({ argv: argv("local", "remote"), ...settings })
+
+    expect(runLambdaMock).toHaveBeenCalledTimes(4)
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({ lambda: "foo", mode: "local", outputDir: "/out/local" })
+    )
+    expect(runLambdaMock).toHaveBeenCalledWith(
+      expect.objectContaining({ lambda: "foo", mode: "remote", outputDir: "/out/remote" })
+    )
+    // events are loaded once for both modes
+    expect(loadCasesMock).toHaveBeenCalledTimes(2)
+    expect(summary).toEqual(expect.objectContaining({ total: 2, passed: 1, failed: 1 }))
+    expect(summary.results[0]).toEqual(
+      expect.objectContaining({ name: "foo", mode: "compare", status: "failed" })
+    )
+    expect(logSpy).toHaveBeenCalledWith(
+      "❌ foo\n  - local\n  + remote\n  - $.body.count: 1\n  + $.body.count: 2"
+    )
+    expect(logSpy).toHaveBeenCalledWith("✅ bar")
+  })
+
+  it("ignores paths given by compareIgnore and --ignore", async () => {
+    runLambdaMock.mockImplementation(async ({ lambda, mode }) => ({
+      name: lambda,
+      lambda,
+      status: "passed",
+      passed: true,
+      response: response({ requestId: mode, etag: mode }),
+    }))
+
+    const summary = await compare({
+      argv: argv("local", "remote", "foo", "--ignore", "$.body.etag"),
+      ...settings,
+      compareIgnore: ["$.body.requestId"],
+    })
+
+    expect(summary).toEqual(expect.objectContaining({ total: 1, passed: 1 }))
+  })
+
+  it("reports an error if a mode cannot invoke the lambda", async () => {
+    runLambdaMock.mockImplementation(async ({ lambda, mode, log }) => {
+      if (mode === "remote") {
+        log("💥 foo function not found")
+        return {
+          name: lambda,
+          lambda,
+          status: "error",
+          passed: false,
+          reason: "function not found",
+        }
+      }
+      return { name: lambda, lambda, status: "passed", passed: true, response: response({}) }
+    })
+
+    const summary = await compare({ argv: argv("local", "remote", "foo"), ...settings })
+
+    expect(summary.results).toEqual([
+      expect.objectContaining({ status: "error", reason: "remote: function not found" }),
+    ])
+    expect(logSpy).toHaveBeenCalledWith("💥 foo function not found")
+  })
+
+  it("throws InputError for invalid modes and options", async () => {
+    await expect(compare({ argv: argv("local"), ...settings })).rejects.toThrow(
+      "compare needs two modes: 'remote', 'local' or 'node'"
+    )
+    await expect(compare({ argv: argv("local", "local"), ...settings })).rejects.toThrow(
+      "compare needs two different modes"
+    )
+    await expect(
+      compare({ argv: argv("local", "remote", "--watch"), ...settings })
+    ).rejects.toThrow(InputError)
+    await expect(
+      compare({
+        argv: argv("local", "remote", "--region", "us-east-1,eu-west-1"),
+        ...settings,
+      })
+    ).rejects.toThrow(
+      "compare runs against one target; give a single --stack, --stage or --region"
+    )
+  })
+})
+
+describe("generate", () => {
+  beforeEach(() => {
+    mkdirMock.mockReset()
+    writeFileMock.mockReset()
+  })
+
+  it("writes a starter event", async () => {
+    const argv = ["/usr/bin/node", "main.js", "generate", "sqs", "jobs/retry"]
+    expect(await generate({ argv, eventsDir: "/ev" })).toBe("/ev/jobs/retry.json")
+    expect(mkdirMock).toHaveBeenCalledWith("/ev/jobs", { recursive: true })
+    expect(writeFileMock).toHaveBeenCalledWith(
+      "/ev/jobs/retry.json",
+      expect.stringContaining('"$sqs"'),
+      { flag: "wx" }
+    )
+  })
+
+  it("throws InputError if the event exists", async () => {
+    writeFileMock.mockRejectedValue(Object.assign(new Error("EEXIST"), { code: "EEXIST" }))
+    const argv = ["/usr/bin/node", "main.js", "generate", "sqs", "jobs"]
+    await expect(generate({ argv, eventsDir: "/ev" })).rejects.toThrow(
+      new InputError("/ev/jobs.json already exists")
+    )
+  })
+
+  it("throws InputError for an unknown type or a missing name", async () => {
+    await expect(
+      generate({
+        argv: ["/usr/bin/node", "main.js", "generate", "nope", "x"],
+        eventsDir: "/ev",
+      })
+    ).rejects.toThrow("event type must be one of:")
+    await expect(
+      generate({ argv: ["/usr/bin/node", "main.js", "generate", "sqs"], eventsDir: "/ev" })
+    ).rejects.toThrow("usage: generate <type> <name>")
+  })
+})
+
+describe("runSuite", () => {
+  it("is the runSuite of the API, which reads the config file", async () => {
+    apiRunSuiteMock.mockResolvedValue({ passed: 1 })
+    expect(await runSuite({ mode: "node" })).toEqual({ passed: 1 })
+    expect(apiRunSuiteMock).toHaveBeenCalledWith({ mode: "node" })
+  })
+})
+
 describe("InputError", () => {
   it("is an Error subclass", () => {
     const err = new InputError("bad input")
@@ -0,0 +1,8 @@
+/**
+ * Check whether a value is an object that is not null or an array, such as parsed JSON or YAML.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+}
@@ -0,0 +1,127 @@
+import { isPlainObject } from "./object.js"
+import { resolvePointer } from "./schema.js"
+
+/**
+ * Get the HTTP method and path of an API Gateway event.
+ * @param {any} event a REST API (v1) or HTTP API (v2) proxy event
+ * @returns {{method: string, path: string, route: string=}|undefined} route is the resource or route key's path, such as
+ *  "/users/{id}", if the event has one; undefined if the event is not from API Gateway
+ */
+export function eventRoute(event) {
+  if (!isPlainObject(event)) {
+    return undefined
+  }
+  const http = event.requestContext?.http
+  if (http?.method) {
+    const [, route] = String(event.routeKey ?? "").split(" ")
+    return { method: http.method, path: event.rawPath ?? http.path, route }
+  }
+  if (event.httpMethod) {
+    return { method: event.httpMethod, path: event.path, route: event.resource }
+  }
+  return undefined
+}
+
+// the path that the paths of the document are relative to, without a trailing "/"
+function basePath(document) {
+  let path = document.basePath
+  if (path === undefined && document.servers?.[0]?.url) {
+    try {
+      path = new URL(document.servers[0].url, "http://localhost").pathname
+    } catch {
+      path = undefined
+    }
+  }
+  return (path ?? "").replace(/\/$/u, "")
+}
+
+function templatePattern(template) {
+  const source = template
+    .split(/(\{[^}]+\})/u)
+    .map((part) => {
+      if (!part.startsWith("{")) {
+        return part.replace(/[$()*+.?[\\\]^{|}]/gu, "\\$&")
+      }
+      // API Gateway's greedy parameters like {proxy+} match several segments
+      return part.endsWith("+}") ? ".+" : "[^/]+"
+    })
+    .join("")
+  return new RegExp(`^${source}/?$`, "u")
+}
+
+function findPath(paths, path) {
+  if (Object.hasOwn(paths, path)) {
+    return path
+  }
+  return Object.keys(paths).find(
+    (template) => template.includes("{") && templatePattern(template).test(path)
+  )
+}
+
+function findResponse(document, responses = {}, statusCode) {
+  const code = String(statusCode)
+  const response =
+    responses[code] ??
+    responses[`${code[0]}XX`] ??
+    responses[`${code[0]}xx`] ??
+    responses.default
+  if (response?.$ref) {
+    return resolvePointer(document, response.$ref) ?? {}
+  }
+  return response
+}
+
+function responseSchema(response) {
+  // Swagger 2 puts the schema on the response, while OpenAPI 3 puts it under a media type
+  if (response.schema) {
+    return response.schema
+  }
+  const content = response.content ?? {}
+  const mediaType =
+    Object.keys(content).find((type) => type === "application/json") ??
+    Object.keys(content).find((type) => /[+/]json\b/u.test(type))
+  return mediaType === undefined ? undefined : content[mediaType].schema
+}
+
+/**
+ * Find the schema of a response in an OpenAPI 3 or Swagger 2 document, by the method and path of the event that caused it
+ * and the response's status code. A literal path is preferred to a template like "/users/{id}" that also matches.
+ * The server's base path is removed from the event's path if the paths in the document do not include it.
+ * @param {Object} document
+ * @param {any} event
+ * @param {number} statusCode
+ * @returns {{operation: string, found: boolean, documented: boolean, schema: Object=}|undefined} undefined if the event
+ *  is not from API Gateway. operation is like "GET /users/{id}"; found is whether the document has it, and documented is whether
+ *  it documents the status code. schema is undefined if the response has no JSON content.
+ */
+export function findResponseSchema(document, event, statusCode) {
+  const route = eventRoute(event)
+  if (!route) {
+    return undefined
+  }
+  const method = route.method.toLowerCase()
+  const paths = document.paths ?? {}
+  const base = basePath(document)
+  const candidates = [route.route, route.path]
+  if (base && route.path?.startsWith(`${base}/`)) {
+    candidates.push(route.path.slice(base.length))
+  }
+  for (const candidate of candidates.filter(Boolean)) {
+    const template = findPath(paths, candidate)
+    const operation = template === undefined ? undefined : paths[template][method]
+    if (operation) {
+      const response = findResponse(document, operation.responses, statusCode)
+      return {
+        operation: `${route.method.toUpperCase()} ${template}`,
+        found: true,
+        documented: response !== undefined,
+        schema: response === undefined ? undefined : responseSchema(response),
+      }
+    }
+  }
+  return {
+    operation: `${route.method.toUpperCase()} ${route.path}`,
+    found: false,
+    documented: false,
+  }
+}
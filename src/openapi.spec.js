@@ -0,0 +1,124 @@
+import { eventRoute, findResponseSchema } from "./openapi.js"
+
+const user = { type: "object", required: ["id"] }
+
+const document = {
+  openapi: "3.0.3",
+  servers: [{ url: "https://api.example.com/v1" }],
+  paths: {
+    "/users/{id}": {
+      get: {
+        responses: {
+          200: { content: { "application/json": { schema: user } } },
+          "4XX": { $ref: "#/components/responses/Error" },
+        },
+      },
+    },
+    "/users/me": {
+      get: {
+        responses: {
+          200: { content: { "application/json": { schema: { type: "string" } } } },
+        },
+      },
+    },
+    "/files/{proxy+}": {
+      get: { responses: { default: { content: { "text/plain": {} } } } },
+    },
+  },
+  components: {
+    responses: {
+      Error: { content: { "application/problem+json": { schema: { required: ["title"] } } } },
+    },
+  },
+}
+
+const restEvent = (path, resource) => ({ httpMethod: "GET", path, resource })
+
+describe("eventRoute", () => {
+  it("reads REST API events", () => {
+    expect(eventRoute(restEvent("/users/1", "/users/{id}"))).toEqual({
+      method: "GET",
+      path: "/users/1",
+      route: "/users/{id}",
+    })
+  })
+
+  it("reads HTTP API events", () => {
+    expect(
+      eventRoute({
+        routeKey: "POST /users",
+        rawPath: "/users",
+        requestContext: { http: { method: "POST", path: "/users" } },
+      })
+    ).toEqual({ method: "POST", path: "/users", route: "/users" })
+  })
+
+  it("returns undefined for other events", () => {
+    expect(eventRoute({ Records: [] })).toBeUndefined()
+    expect(eventRoute("text")).toBeUndefined()
+  })
+})
+
+describe("findResponseSchema", () => {
+  it("matches a path template", () => {
+    expect(findResponseSchema(document, restEvent("/users/1"), 200)).toEqual({
+      operation: "GET /users/{id}",
+      found: true,
+      documented: true,
+      schema: user,
+    })
+  })
+
+  it("prefers a literal path and uses the event's resource", () => {
+    expect(findResponseSchema(document, restEvent("/users/me"), 200).schema).toEqual({
+      type: "string",
+    })
+    expect(
+      findResponseSchema(document, restEvent("/users/me", "/users/{id}"), 200).schema
+    ).toBe(user)
+  })
+
+  it("matches status code ranges, references and JSON media types", () => {
+    expect(findResponseSchema(document, restEvent("/users/1"), 404).schema).toEqual({
+      required: ["title"],
+    })
+  })
+
+  it("reports an undocumented status code", () => {
+    expect(findResponseSchema(document, restEvent("/users/1"), 500)).toEqual({
+      operation: "GET /users/{id}",
+      found: true,
+      documented: false,
+      schema: undefined,
+    })
+  })
+
+  it("removes the server's base path and matches greedy parameters", () => {
+    expect(findResponseSchema(document, restEvent("/v1/users/1"), 200).operation).toBe(
+      "GET /users/{id}"
+    )
+    expect(findResponseSchema(document, restEvent("/files/a/b.txt"), 200)).toEqual({
+      operation: "GET /files/{proxy+}",
+      found: true,
+      documented: true,
+      schema: undefined,
+    })
+  })
+
+  it("reports an operation that is not in the document", () => {
+    expect(
+      findResponseSchema(document, { ...restEvent("/users/1"), httpMethod: "DELETE" }, 204)
+    ).toEqual({ operation: "DELETE /users/1", found: false, documented: false })
+  })
+
+  it("reads Swagger 2 documents", () => {
+    const swagger = {
+      swagger: "2.0",
+      basePath: "/api",
+      paths: { "/items": { get: { responses: { 200: { schema: { type: "array" } } } } } },
+    }
+    expect(findResponseSchema(swagger, restEvent("/api/items"), 200).schema).toEqual({
+      type: "array",
+    })
+  })
+})
@@ -0,0 +1,65 @@
+/**
+ * Map items to promises with at most `limit` pending at once, preserving the order of results.
+ * @param {Array<any>} items
+ * @param {number} limit a positive integer or Infinity
+ * @param {function(any, number): Promise<any>} fn called with each item and its index
+ * @returns {Promise<Array<any>>} rejects with the first error, after pending promises have settled
+ */
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  let failure
+  const worker = async () => {
+    while (next < items.length && !failure) {
+      const index = next++
+      try {
+        results[index] = await fn(items[index], index)
+      } catch (error) {
+        failure ??= { error }
+      }
+    }
+  }
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker)
+  await Promise.all(workers)
+  if (failure) {
+    throw failure.error
+  }
+  return results
+}
+
+/**
+ * Create loggers that print in order even when the tasks using them run in parallel.
+ * Output from the earliest unfinished task is printed immediately; output from later tasks is buffered
+ * until every earlier task has finished.
+ * @param {number} count the number of tasks
+ * @param {function(...any): void=} write
+ * @returns {{logger: function(number): function(...any): void, finish: function(number): void}}
+ */
+export function createOrderedOutput(count, write = console.log) {
+  const buffers = Array.from({ length: count }, () => [])
+  const finished = new Array(count).fill(false)
+  let current = 0
+  return {
+    logger: (index) => {
+      return (...args) => {
+        if (index === current) {
+          write(...args)
+        } else {
+          buffers[index].push(args)
+        }
+      }
+    },
+    finish: (index) => {
+      finished[index] = true
+      while (current < count && finished[current]) {
+        current++
+        for (const args of buffers[current] ?? []) {
+          write(...args)
+        }
+        if (current < count) {
+          buffers[current] = []
+        }
+      }
+    },
+  }
+}
@@ -0,0 +1,56 @@
+import { jest } from "@jest/globals"
+import { createOrderedOutput, mapLimit } from "./pool.js"
+
+describe("mapLimit", () => {
+  it("returns results in order while limiting pending promises", async () => {
+    let pending = 0
+    let maxPending = 0
+    const results = await mapLimit([30, 10, 20, 0], 2, async (delay, index) => {
+      pending++
+      maxPending = Math.max(maxPending, pending)
+      await new Promise((resolve) => setTimeout(resolve, delay))
+      pending--
+      return `${index}:${delay}`
+    })
+    expect(results).toEqual(["0:30", "1:10", "2:20", "3:0"])
+    expect(maxPending).toBe(2)
+  })
+
+  it("runs everything at once with an infinite limit", async () => {
+    let pending = 0
+    let maxPending = 0
+    await mapLimit([1, 2, 3], Infinity, async () => {
+      pending++
+      maxPending = Math.max(maxPending, pending)
+      await new Promise((resolve) => setTimeout(resolve, 0))
+      pending--
+    })
+    expect(maxPending).toBe(3)
+  })
+
+  it("rejects with the first error", async () => {
+    await expect(
+      mapLimit([1, 2], 1, async (item) => {
+        throw new Error(`fail ${item}`)
+      })
+    ).rejects.toThrow("fail 1")
+  })
+})
+
+describe("createOrderedOutput", () => {
+  it("prints output in task order", () => {
+    const write = jest.fn()
+    const output = createOrderedOutput(3, write)
+    const logs = [0, 1, 2].map((index) => output.logger(index))
+    logs[1]("b1")
+    logs[0]("a1")
+    logs[2]("c1")
+    output.finish(1)
+    expect(write.mock.calls).toEqual([["a1"]])
+    logs[0]("a2")
+    output.finish(0)
+    logs[2]("c2")
+    output.finish(2)
+    expect(write.mock.calls).toEqual([["a1"], ["a2"], ["b1"], ["c1"], ["c2"]])
+  })
+})
@@ -0,0 +1,162 @@
+import { mkdir, writeFile } from "node:fs/promises"
+import { dirname, extname } from "node:path"
+import YAML from "yaml"
+import { InputError } from "./errors.js"
+import { summarize } from "./summary.js"
+
+export const REPORTERS = ["junit", "json", "tap"]
+
+const EXTENSIONS = { junit: ".xml", json: ".json", tap: ".tap" }
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/gu, "&amp;")
+    .replace(/</gu, "&lt;")
+    .replace(/>/gu, "&gt;")
+    .replace(/"/gu, "&quot;")
+}
+
+function seconds(duration = 0) {
+  return (duration / 1000).toFixed(3)
+}
+
+function failureMessage({ reason, details }) {
+  return details ? `${reason}\n${details}` : reason
+}
+
+function formatTestcase(result) {
+  const { name, lambda, status, reason, response } = result
+  const time = seconds(result.duration)
+  const lines = [
+    `    <testcase classname="${escapeXml(lambda)}" name="${escapeXml(name)}" time="${time}">`,
+  ]
+  // earlier attempts of a flaky result are reported like Maven Surefire's reruns
+  for (const retryReason of result.flaky ? result.retryReasons : []) {
+    lines.push(`      <flakyFailure message="${escapeXml(retryReason)}"/>`)
+  }
+  if (status !== "passed") {
+    const tag = status === "error" ? "error" : "failure"
+    lines.push(
+      `      <${tag} message="${escapeXml(reason)}">${escapeXml(
+        failureMessage(result)
+      )}</${tag}>`
+    )
+  }
+  if (response !== undefined) {
+    lines.push(
+      `      <system-out>${escapeXml(JSON.stringify(response, null, 2))}</system-out>`
+    )
+  }
+  lines.push("    </testcase>")
+  return lines.join("\n")
+}
+
+function junitCounts({ total, failed, errored, duration }) {
+  const time = seconds(duration)
+  return `tests="${total}" failures="${failed}" errors="${errored}" time="${time}"`
+}
+
+/**
+ * Format a summary as JUnit XML with one test case per lambda invocation.
+ * Results with a target are put in a test suite named after it, and each earlier attempt of a flaky result is a flakyFailure.
+ * @param {Object} summary as returned by summarize()
+ * @returns {string}
+ */
+export function formatJunit(summary) {
+  const suites = new Map([["test-lambda", []]])
+  for (const result of summary.results) {
+    const suite = result.target ?? "test-lambda"
+    suites.set(suite, [...(suites.get(suite) ?? []), result])
+  }
+  if (!suites.get("test-lambda").length && suites.size > 1) {
+    suites.delete("test-lambda")
+  }
+  const testsuites = [...suites].flatMap(([name, results]) => [
+    `  <testsuite name="${escapeXml(name)}" ${junitCounts(summarize(results))}>`,
+    ...results.map(formatTestcase),
+    "  </testsuite>",
+  ])
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="test-lambda" ${junitCounts(summary)}>`,
+    ...testsuites,
+    "</testsuites>",
+    "",
+  ].join("\n")
+}
+
+/**
+ * Format a summary as TAP version 13 with a YAML diagnostic block for each invocation.
+ * The description of a result with a target starts with the target in brackets, and the diagnostics of a retried result
+ * have its attempts and the reasons of the earlier ones.
+ * @param {Object} summary as returned by summarize()
+ * @returns {string}
+ */
+export function formatTap({ total, results }) {
+  const lines = ["TAP version 13", `1..${total}`]
+  results.forEach((result, index) => {
+    const { name, target, passed, duration, response } = result
+    const description = target ? `[${target}] ${name}` : name
+    lines.push(`${passed ? "ok" : "not ok"} ${index + 1} - ${description}`)
+    const diagnostics = { duration_ms: duration }
+    if (result.attempts) {
+      Object.assign(diagnostics, { attempts: result.attempts, retried: result.retryReasons })
+    }
+    if (!passed) {
+      diagnostics.message = failureMessage(result)
+      diagnostics.severity = result.status === "error" ? "error" : "fail"
+    }
+    if (response !== undefined) {
+      diagnostics.response = response
+    }
+    const yaml = YAML.stringify(diagnostics).trimEnd().replace(/^/gmu, "  ")
+    lines.push("  ---", yaml, "  ...")
+  })
+  return `${lines.join("\n")}\n`
+}
+
+/**
+ * Format a summary as JSON.
+ * @param {Object} summary as returned by summarize()
+ * @returns {string}
+ */
+export function formatJson(summary) {
+  return `${JSON.stringify(summary, null, 2)}\n`
+}
+
+const FORMATTERS = { junit: formatJunit, json: formatJson, tap: formatTap }
+
+/**
+ * Determine which reporter to use and where to write its report.
+ * @param {Object} $1
+ * @param {string=} $1.reporter "junit", "json" or "tap"; inferred from reportPath's extension if not given
+ * @param {string=} $1.reportPath defaults to "test-lambda-report" in outputDir with the reporter's extension
+ * @param {string} $1.outputDir
+ * @returns {{reporter: string, reportPath: string}|undefined} undefined if neither reporter nor reportPath is given
+ */
+export function resolveReport({ reporter, reportPath, outputDir }) {
+  if (!reporter && !reportPath) {
+    return undefined
+  }
+  if (!reporter) {
+    const extension = extname(reportPath)
+    reporter = Object.keys(EXTENSIONS).find((key) => EXTENSIONS[key] === extension) ?? "json"
+  }
+  if (!REPORTERS.includes(reporter)) {
+    throw new InputError(`reporter must be one of: ${REPORTERS.join(", ")}`)
+  }
+  reportPath ??= `${outputDir}/test-lambda-report${EXTENSIONS[reporter]}`
+  return { reporter, reportPath }
+}
+
+/**
+ * Write a report of a summary to a file.
+ * @param {Object} $1
+ * @param {Object} $1.summary as returned by summarize()
+ * @param {string} $1.reporter
+ * @param {string} $1.reportPath
+ */
+export async function writeReport({ summary, reporter, reportPath }) {
+  await mkdir(dirname(reportPath), { recursive: true })
+  await writeFile(reportPath, FORMATTERS[reporter](summary))
+}
@@ -0,0 +1,169 @@
+import { jest } from "@jest/globals"
+
+const mkdirMock = jest.fn()
+const writeFileMock = jest.fn()
+
+jest.unstable_mockModule("node:fs/promises", () => ({
+  mkdir: mkdirMock,
+  writeFile: writeFileMock,
+}))
+
+const { formatJson, formatJunit, formatTap, resolveReport, writeReport } = await import(
+  "./report.js"
+)
+const { InputError } = await import("./errors.js")
+
+const summary = {
+  total: 3,
+  passed: 1,
+  failed: 1,
+  errored: 1,
+  duration: 1500,
+  results: [
+    {
+      name: "foo",
+      lambda: "foo",
+      status: "passed",
+      passed: true,
+      duration: 1000,
+      response: { statusCode: 200 },
+    },
+    {
+      name: "bar/<1>",
+      lambda: "bar",
+      status: "failed",
+      passed: false,
+      duration: 500,
+      reason: "expectations not met",
+      details: "  - $.statusCode: 201\n  + $.statusCode: 200",
+      response: { statusCode: 200 },
+    },
+    {
+      name: "baz",
+      lambda: "baz",
+      status: "error",
+      passed: false,
+      reason: "exited with code 1",
+    },
+  ],
+}
+
+describe("formatJunit", () => {
+  it("formats a test case per result with failures, errors and responses", () => {
+    const xml = formatJunit(summary)
+    expect(xml).toContain(
+      '<testsuites name="test-lambda" tests="3" failures="1" errors="1" time="1.500">'
+    )
+    expect(xml).toContain('<testcase classname="foo" name="foo" time="1.000">')
+    expect(xml).toContain('<testcase classname="bar" name="bar/&lt;1&gt;" time="0.500">')
+    expect(xml).toContain(
+      '<failure message="expectations not met">expectations not met\n  - $.statusCode: 201\n  + $.statusCode: 200</failure>'
+    )
+    expect(xml).toContain('<error message="exited with code 1">exited with code 1</error>')
+    expect(xml).toContain("<system-out>{\n  &quot;statusCode&quot;: 200\n}</system-out>")
+  })
+
+  it("reports the earlier attempts of a flaky result", () => {
+    const xml = formatJunit({
+      ...summary,
+      results: [
+        {
+          ...summary.results[0],
+          flaky: true,
+          attempts: 2,
+          retryReasons: ["exited with code 254"],
+        },
+      ],
+    })
+    expect(xml).toContain(
+      '<testcase classname="foo" name="foo" time="1.000">\n      <flakyFailure message="exited with code 254"/>'
+    )
+  })
+
+  it("puts the results of each target in a test suite", () => {
+    const [foo, bar, baz] = summary.results
+    const xml = formatJunit({
+      ...summary,
+      results: [
+        { ...foo, target: "dev" },
+        { ...bar, target: "dev" },
+        { ...baz, target: "prod" },
+      ],
+    })
+    expect(xml).not.toContain('<testsuite name="test-lambda"')
+    expect(xml).toContain(
+      '<testsuite name="dev" tests="2" failures="1" errors="0" time="1.500">'
+    )
+    expect(xml).toContain(
+      '<testsuite name="prod" tests="1" failures="0" errors="1" time="0.000">\n    <testcase classname="baz"'
+    )
+  })
+})
+
+describe("formatTap", () => {
+  it("formats a test point per result with diagnostics", () => {
+    const tap = formatTap(summary)
+    expect(tap.split("\n").slice(0, 3)).toEqual(["TAP version 13", "1..3", "ok 1 - foo"])
+    expect(tap).toContain("not ok 2 - bar/<1>\n  ---\n  duration_ms: 500\n")
+    expect(tap).toContain("  severity: fail\n  response:\n    statusCode: 200\n  ...")
+    expect(tap).toContain("not ok 3 - baz")
+    expect(tap).toContain("  severity: error\n  ...\n")
+  })
+
+  it("adds the attempts of a retried result", () => {
+    const tap = formatTap({
+      ...summary,
+      results: [
+        { ...summary.results[0], attempts: 2, retryReasons: ["timed out after 5 seconds"] },
+      ],
+    })
+    expect(tap).toContain("  attempts: 2\n  retried:\n    - timed out after 5 seconds\n")
+  })
+
+  it("prefixes descriptions with the target", () => {
+    const tap = formatTap({ ...summary, results: [{ ...summary.results[0], target: "dev" }] })
+    expect(tap).toContain("ok 1 - [dev] foo")
+  })
+})
+
+describe("formatJson", () => {
+  it("formats the summary as JSON", () => {
+    expect(JSON.parse(formatJson(summary))).toEqual(summary)
+  })
+})
+
+describe("resolveReport", () => {
+  it("returns undefined if no reporter or path is given", () => {
+    expect(resolveReport({ outputDir: "/out" })).toBeUndefined()
+  })
+
+  it("defaults the path from the reporter", () => {
+    expect(resolveReport({ reporter: "junit", outputDir: "/out" })).toEqual({
+      reporter: "junit",
+      reportPath: "/out/test-lambda-report.xml",
+    })
+  })
+
+  it("infers the reporter from the path", () => {
+    expect(resolveReport({ reportPath: "/r/report.tap", outputDir: "/out" })).toEqual({
+      reporter: "tap",
+      reportPath: "/r/report.tap",
+    })
+    expect(resolveReport({ reportPath: "/r/report.txt", outputDir: "/out" })).toEqual({
+      reporter: "json",
+      reportPath: "/r/report.txt",
+    })
+  })
+
+  it("throws InputError for an unknown reporter", () => {
+    expect(() => resolveReport({ reporter: "html", outputDir: "/out" })).toThrow(InputError)
+  })
+})
+
+describe("writeReport", () => {
+  it("writes the formatted report", async () => {
+    await writeReport({ summary, reporter: "json", reportPath: "/r/report.json" })
+    expect(mkdirMock).toHaveBeenCalledWith("/r", { recursive: true })
+    expect(writeFileMock).toHaveBeenCalledWith("/r/report.json", formatJson(summary))
+  })
+})
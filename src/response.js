@@ -0,0 +1,91 @@
+import { isPlainObject } from "./object.js"
+
+/**
+ * Parse the payload returned by a lambda, which is usually JSON but can be any text.
+ * @param {string} text
+ * @returns {any} the parsed JSON or, if it is not JSON, the text itself
+ */
+export function parsePayload(text) {
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+// the payload that Lambda returns when a handler throws, such as { errorType, errorMessage, trace }
+function isErrorPayload(payload) {
+  return (
+    isPlainObject(payload) &&
+    payload.statusCode === undefined &&
+    typeof payload.errorMessage === "string" &&
+    (payload.errorType !== undefined ||
+      payload.trace !== undefined ||
+      payload.stackTrace !== undefined)
+  )
+}
+
+function describeError(payload) {
+  if (!isPlainObject(payload)) {
+    return { type: "Error", message: String(payload ?? "unknown"), trace: [] }
+  }
+  // Node.js uses trace, while Python and Java use stackTrace
+  const trace = payload.trace ?? payload.stackTrace ?? []
+  return {
+    type: payload.errorType ?? "Error",
+    message: payload.errorMessage ?? "unknown",
+    trace: (Array.isArray(trace) ? trace : [trace]).map((line) =>
+      typeof line === "string" ? line : JSON.stringify(line)
+    ),
+  }
+}
+
+function decodeBody(response) {
+  if (response.body === undefined || response.body === null) {
+    return {}
+  }
+  if (typeof response.body !== "string") {
+    return response.body
+  }
+  const text = response.isBase64Encoded
+    ? Buffer.from(response.body, "base64").toString()
+    : response.body
+  return parsePayload(text)
+}
+
+/**
+ * Determine what kind of response a lambda returned.
+ * - "error": the function failed, either as reported by functionError or because the payload is an error payload
+ *   such as { errorType, errorMessage, trace }
+ * - "http": the payload has a numeric statusCode, as returned to API Gateway; its body is decoded if isBase64Encoded and
+ *   parsed if it is JSON, and is {} if missing
+ * - "value": any other payload, such as a plain object, array, string or number, which is also the body
+ * @param {any} payload as returned by parsePayload
+ * @param {Object=} $2
+ * @param {string=} $2.functionError as returned by the Lambda Invoke API, such as "Unhandled"
+ * @returns {{kind: string, body: any, error: {type: string, message: string, trace: Array<string>}=}}
+ */
+export function interpretResponse(payload, { functionError } = {}) {
+  if (functionError || isErrorPayload(payload)) {
+    return { kind: "error", error: describeError(payload) }
+  }
+  if (isPlainObject(payload) && typeof payload.statusCode === "number") {
+    return { kind: "http", body: decodeBody(payload) }
+  }
+  return { kind: "value", body: payload }
+}
+
+/**
+ * Format an error as a line with its type and message followed by its indented stack trace.
+ * @param {{type: string, message: string, trace: Array<string>}} error as returned by interpretResponse
+ * @param {string=} indent
+ * @returns {string}
+ */
+export function formatError({ type, message, trace }, indent = "  ") {
+  // the first line of a Node.js trace repeats the type and message
+  const lines = trace.flatMap((line) => line.split("\n")).map((line) => line.trim())
+  const stack = lines[0] === `${type}: ${message}` ? lines.slice(1) : lines
+  return [`${type}: ${message}`, ...stack.filter(Boolean).map((line) => `  ${line}`)]
+    .map((line) => `${indent}${line}`)
+    .join("\n")
+}
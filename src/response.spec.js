@@ -0,0 +1,81 @@
+import { describe, expect, it } from "@jest/globals"
+import { formatError, interpretResponse, parsePayload } from "./response.js"
+
+describe("parsePayload", () => {
+  it("parses JSON and keeps other text as is", () => {
+    expect(parsePayload('{"a":1}')).toEqual({ a: 1 })
+    expect(parsePayload('"text"')).toBe("text")
+    expect(parsePayload("not json")).toBe("not json")
+  })
+})
+
+describe("interpretResponse", () => {
+  it("parses the body of an API Gateway response", () => {
+    expect(interpretResponse({ statusCode: 200, body: '{"id":"a"}' })).toEqual({
+      kind: "http",
+      body: { id: "a" },
+    })
+    expect(interpretResponse({ statusCode: 200, body: "<p>hi</p>" })).toEqual({
+      kind: "http",
+      body: "<p>hi</p>",
+    })
+    expect(interpretResponse({ statusCode: 204 })).toEqual({ kind: "http", body: {} })
+  })
+
+  it("decodes a base64 encoded body", () => {
+    const body = Buffer.from('{"id":"a"}').toString("base64")
+    expect(interpretResponse({ statusCode: 200, body, isBase64Encoded: true })).toEqual({
+      kind: "http",
+      body: { id: "a" },
+    })
+  })
+
+  it("treats other payloads as plain values", () => {
+    expect(interpretResponse({ id: "a" })).toEqual({ kind: "value", body: { id: "a" } })
+    expect(interpretResponse([1, 2])).toEqual({ kind: "value", body: [1, 2] })
+    expect(interpretResponse("ok")).toEqual({ kind: "value", body: "ok" })
+    expect(interpretResponse(null)).toEqual({ kind: "value", body: null })
+    expect(interpretResponse({ errorMessage: "a field" })).toEqual({
+      kind: "value",
+      body: { errorMessage: "a field" },
+    })
+  })
+
+  it("detects error payloads", () => {
+    expect(
+      interpretResponse({ errorType: "TypeError", errorMessage: "boom", trace: ["at a"] })
+    ).toEqual({
+      kind: "error",
+      error: { type: "TypeError", message: "boom", trace: ["at a"] },
+    })
+    expect(interpretResponse({ errorMessage: "boom", stackTrace: ["at b"] })).toEqual({
+      kind: "error",
+      error: { type: "Error", message: "boom", trace: ["at b"] },
+    })
+  })
+
+  it("uses functionError to detect errors", () => {
+    expect(interpretResponse("boom", { functionError: "Unhandled" })).toEqual({
+      kind: "error",
+      error: { type: "Error", message: "boom", trace: [] },
+    })
+  })
+})
+
+describe("formatError", () => {
+  it("formats the type, message and trace without repeating the message", () => {
+    const error = {
+      type: "TypeError",
+      message: "boom",
+      trace: [
+        "TypeError: boom",
+        "    at handler (/app/index.js:3:5)",
+        "    at run (node:a:1:1)",
+      ],
+    }
+    expect(formatError(error)).toBe(
+      "  TypeError: boom\n    at handler (/app/index.js:3:5)\n    at run (node:a:1:1)"
+    )
+    expect(formatError({ type: "Error", message: "x", trace: [] }, "")).toBe("Error: x")
+  })
+})
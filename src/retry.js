@@ -0,0 +1,104 @@
+import { setTimeout as sleep } from "node:timers/promises"
+import { InputError } from "./errors.js"
+
+/**
+ * The types of Lambda errors that are worth retrying, since they come from throttling or the service rather than the function.
+ */
+export const TRANSIENT_ERRORS = [
+  "TooManyRequestsException",
+  "ThrottlingException",
+  "EC2ThrottledException",
+  "ResourceNotReadyException",
+  "ServiceException",
+]
+
+const DEFAULT_RETRY_DELAY = 1000
+
+/**
+ * Check whether an error from invoking a lambda is transient.
+ * @param {Object} $1
+ * @param {number=} $1.statusCode of a failed request to the Lambda Invoke API
+ * @param {string=} $1.errorType such as "TooManyRequestsException"
+ * @param {string=} $1.output what the AWS CLI wrote to stderr, which names the error type
+ * @returns {boolean} true for throttling (status code 429) and errors of the service (status codes of 500 and above)
+ */
+export function isTransientError({ statusCode, errorType, output = "" }) {
+  if (statusCode === 429 || statusCode >= 500) {
+    return true
+  }
+  return TRANSIENT_ERRORS.some((type) => type === errorType || output.includes(`(${type})`))
+}
+
+// an option that may be a string from the command line or the environment; undefined if not given
+function parseNumber(value, name, description, isValid) {
+  if (value === undefined || value === "") {
+    return undefined
+  }
+  const number = Number(value)
+  if (Number.isNaN(number) || !isValid(number)) {
+    throw new InputError(`${name} must be ${description}; got: ${value}`)
+  }
+  return number
+}
+
+/**
+ * Check the options for timing out and retrying invocations.
+ * @param {Object} $1
+ * @param {string|number=} $1.timeout in seconds
+ * @param {string|number=} $1.retries
+ * @param {string|number=} $1.retryDelay in milliseconds
+ * @returns {{timeout: number=, retries: number, retryDelay: number}} retries defaults to 0 and retryDelay to 1000
+ * @throws {InputError} if an option is not a valid number
+ */
+export function parseRetryOptions({ timeout, retries, retryDelay }) {
+  return {
+    timeout: parseNumber(timeout, "timeout", "a positive number of seconds", (n) => n > 0),
+    retries:
+      parseNumber(
+        retries,
+        "retries",
+        "a non-negative integer",
+        (n) => Number.isInteger(n) && n >= 0
+      ) ?? 0,
+    retryDelay:
+      parseNumber(
+        retryDelay,
+        "retryDelay",
+        "a non-negative number of milliseconds",
+        (n) => n >= 0
+      ) ?? DEFAULT_RETRY_DELAY,
+  }
+}
+
+/**
+ * Run an invocation again while its result is transient, waiting twice as long before each retry.
+ * A result is transient if runLambda set transient, such as for throttling or a timeout.
+ * @param {function(): Promise<Object>} run resolves to a result as returned by runLambda
+ * @param {Object=} $2
+ * @param {number=} $2.retries how many times to retry
+ * @param {number=} $2.retryDelay milliseconds to wait before the first retry
+ * @param {function(...any): void=} $2.log
+ * @returns {Promise<Object>} the result of the last attempt. If it was retried, this also has attempts, the reason of each
+ *  earlier attempt as retryReasons and, if it passed, flaky set to true.
+ */
+export async function withRetries(
+  run,
+  { retries = 0, retryDelay = DEFAULT_RETRY_DELAY, log = console.log } = {}
+) {
+  const retryReasons = []
+  for (let attempt = 1; ; attempt++) {
+    const result = await run()
+    if (!result.transient || attempt > retries) {
+      if (attempt > 1) {
+        Object.assign(result, { attempts: attempt, retryReasons, flaky: result.passed })
+      }
+      return result
+    }
+    retryReasons.push(result.reason)
+    const delay = retryDelay * 2 ** (attempt - 1)
+    log(
+      `🔁 ${result.name} ${result.reason}; retrying in ${delay} ms (${attempt} of ${retries})`
+    )
+    await sleep(delay)
+  }
+}
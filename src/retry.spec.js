@@ -0,0 +1,103 @@
+import { jest } from "@jest/globals"
+import { InputError } from "./errors.js"
+import { isTransientError, parseRetryOptions, withRetries } from "./retry.js"
+
+describe("isTransientError", () => {
+  it("recognizes throttling and errors of the service", () => {
+    expect(isTransientError({ statusCode: 429 })).toBe(true)
+    expect(isTransientError({ statusCode: 502 })).toBe(true)
+    expect(isTransientError({ statusCode: 400, errorType: "EC2ThrottledException" })).toBe(
+      true
+    )
+    expect(
+      isTransientError({
+        output:
+          "An error occurred (TooManyRequestsException) when calling the Invoke operation: Rate Exceeded.",
+      })
+    ).toBe(true)
+  })
+
+  it("does not recognize other errors", () => {
+    expect(isTransientError({ statusCode: 403, errorType: "AccessDeniedException" })).toBe(
+      false
+    )
+    expect(isTransientError({ output: "An error occurred (ResourceNotFoundException)" })).toBe(
+      false
+    )
+    expect(isTransientError(new Error("ENOENT"))).toBe(false)
+  })
+})
+
+describe("parseRetryOptions", () => {
+  it("parses the options and applies defaults", () => {
+    expect(parseRetryOptions({ timeout: "30", retries: "2", retryDelay: "500" })).toEqual({
+      timeout: 30,
+      retries: 2,
+      retryDelay: 500,
+    })
+    expect(parseRetryOptions({})).toEqual({ timeout: undefined, retries: 0, retryDelay: 1000 })
+  })
+
+  it("throws InputError for invalid options", () => {
+    expect(() => parseRetryOptions({ timeout: "0" })).toThrow(
+      "timeout must be a positive number of seconds; got: 0"
+    )
+    expect(() => parseRetryOptions({ retries: "1.5" })).toThrow(
+      "retries must be a non-negative integer; got: 1.5"
+    )
+    expect(() => parseRetryOptions({ retryDelay: "soon" })).toThrow(InputError)
+  })
+})
+
+describe("withRetries", () => {
+  const transient = {
+    name: "foo",
+    status: "error",
+    passed: false,
+    reason: "throttled",
+    transient: true,
+  }
+  const passed = { name: "foo", status: "passed", passed: true }
+
+  it("retries transient results with backoff and marks a later pass as flaky", async () => {
+    const run = jest
+      .fn()
+      .mockResolvedValueOnce({ ...transient })
+      .mockResolvedValueOnce({ ...transient, reason: "timed out after 1 seconds" })
+      .mockResolvedValueOnce({ ...passed })
+    const log = jest.fn()
+
+    const result = await withRetries(run, { retries: 3, retryDelay: 1, log })
+
+    expect(run).toHaveBeenCalledTimes(3)
+    expect(result).toEqual({
+      ...passed,
+      attempts: 3,
+      retryReasons: ["throttled", "timed out after 1 seconds"],
+      flaky: true,
+    })
+    expect(log.mock.calls).toEqual([
+      ["🔁 foo throttled; retrying in 1 ms (1 of 3)"],
+      ["🔁 foo timed out after 1 seconds; retrying in 2 ms (2 of 3)"],
+    ])
+  })
+
+  it("returns the last result once retries run out", async () => {
+    const run = jest.fn().mockImplementation(async () => ({ ...transient }))
+
+    const result = await withRetries(run, { retries: 1, retryDelay: 0, log: () => {} })
+
+    expect(run).toHaveBeenCalledTimes(2)
+    expect(result).toEqual(
+      expect.objectContaining({ status: "error", attempts: 2, flaky: false })
+    )
+  })
+
+  it("does not retry results that are not transient", async () => {
+    const failed = { name: "foo", status: "failed", passed: false, reason: "status code 500" }
+    const run = jest.fn().mockResolvedValue(failed)
+
+    expect(await withRetries(run, { retries: 2, retryDelay: 0 })).toEqual(failed)
+    expect(run).toHaveBeenCalledTimes(1)
+  })
+})
@@ -1,31 +1,48 @@
-import { execSync, spawn } from "node:child_process"
-import { open, readFile } from "node:fs/promises"
+import { execFileSync } from "node:child_process"
+import { open, readFile, writeFile } from "node:fs/promises"
+import { forceColdStart } from "./bench.js"
+import { checkExpectations, formatDifferences } from "./expect.js"
+import { invokeHandler } from "./invoke-node.js"
+import { credentialsFromProfile, invokeFunction } from "./lambda-http.js"
+import { formatLogs, parseReportLine } from "./logs.js"
+import { formatError, interpretResponse, parsePayload } from "./response.js"
+import { isTransientError } from "./retry.js"
+import { matchSnapshot } from "./snapshot.js"
+import { spawnInvocation } from "./spawn.js"
+import { awsCliOptions } from "./target.js"
+import { findFunction } from "./template.js"
 
-export function findFunctionName(object, codeUri, parents = []) {
-  if (object && typeof object === "object") {
-    for (const [key, value] of Object.entries(object)) {
-      if (key === "CodeUri") {
-        if (value.endsWith(codeUri)) {
-          // parents should be FunctionName then Properties
-          return parents[parents.length - 2]
-        }
-      }
-      const result = findFunctionName(value, codeUri, [...parents, key])
-      if (result) {
-        return result
-      }
-    }
+/**
+ * Get the deployed name of a function from its logical ID.
+ * Uses the stack's physical IDs if given and otherwise the first deployed function whose name starts with
+ * "<stackName>-<logicalId>".
+ * @param {string} prefix the logical ID
+ * @param {Object=} $2
+ * @param {string=} $2.stackName
+ * @param {Object<string, string>=} $2.physicalIds maps logical IDs to physical IDs; see describeStackResources
+ * @param {string=} $2.region where to look for the function; defaults to the AWS CLI's configuration
+ * @param {string=} $2.profile an AWS CLI named profile
+ * @returns {string}
+ */
+export function resolveFunctionName(prefix, { stackName, physicalIds, region, profile } = {}) {
+  if (physicalIds?.[prefix]) {
+    return physicalIds[prefix]
   }
-  return undefined
-}
-
-export function resolveFunctionName(prefix, { stackName } = {}) {
   if (stackName) {
     prefix = `${stackName}-${prefix}`
   }
   try {
-    const output = execSync(
-      `aws lambda list-functions --query "Functions[?starts_with(FunctionName, '${prefix}')].FunctionName | [0]" --output text`,
+    const output = execFileSync(
+      "aws",
+      [
+        "lambda",
+        "list-functions",
+        "--query",
+        `Functions[?starts_with(FunctionName, '${prefix}')].FunctionName | [0]`,
+        "--output",
+        "text",
+        ...awsCliOptions({ region, profile }),
+      ],
       { encoding: "utf-8" }
     ).trim()
     if (!output || output === "None") {
@@ -37,88 +54,362 @@ export function resolveFunctionName(prefix, { stackName } = {}) {
   }
 }
 
+// the error type named by the AWS CLI when it fails, as in "An error occurred (TooManyRequestsException) when calling ..."
+function cliErrorType(errorOutput) {
+  return /An error occurred \((\w+)\)/u.exec(errorOutput)?.[1]
+}
+
+// the output of `aws lambda invoke`, which describes the invocation while the payload is written to a file
+function parseInvokeOutput(output) {
+  try {
+    const { FunctionError, LogResult, ExecutedVersion } = JSON.parse(output)
+    return {
+      functionError: FunctionError,
+      executedVersion: ExecutedVersion,
+      logs: LogResult ? Buffer.from(LogResult, "base64").toString() : undefined,
+    }
+  } catch {
+    return {}
+  }
+}
+
+async function invokeCli({
+  mode,
+  functionName,
+  remoteFunctionName,
+  inputPath,
+  stdoutPath,
+  target,
+  timeout,
+  log,
+}) {
+  if (mode === "local") {
+    const args = [
+      "local",
+      "invoke",
+      functionName,
+      "--event",
+      inputPath,
+      ...awsCliOptions(target),
+    ]
+    const stdoutFd = await open(stdoutPath, "w")
+    // the container's logs are written to stderr
+    const { code, output, timedOut } = await spawnInvocation(
+      "sam",
+      args,
+      { stdoutFd, capture: "stderr", timeout },
+      log
+    )
+    await stdoutFd.close()
+    return { code, timedOut, logs: output }
+  }
+  // does make more sense to use `sam remote invoke` but cannot specify boto config when using that
+  // this results in the CLI timing out when invoking a lambda that lasts more than 10 seconds
+  const payloadPath = `file://${inputPath}`
+  const args = [
+    "lambda",
+    "invoke",
+    "--function-name",
+    remoteFunctionName,
+    "--payload",
+    payloadPath,
+    "--cli-binary-format",
+    "raw-in-base64-out",
+    "--cli-read-timeout",
+    "0", // "If the value is set to 0, the socket read will be blocking and not timeout"
+    "--log-type",
+    "Tail",
+    "--output",
+    "json",
+    ...(target.qualifier ? ["--qualifier", target.qualifier] : []),
+    ...awsCliOptions(target),
+    stdoutPath,
+  ]
+  const { code, output, errorOutput, timedOut } = await spawnInvocation(
+    "aws",
+    args,
+    { capture: "stdout", timeout },
+    log
+  )
+  return { code, timedOut, errorOutput, ...parseInvokeOutput(output) }
+}
+
+// the expectations that checkResponse looks at
+function responseExpectations(expect) {
+  if (expect?.schema === undefined) {
+    return expect
+  }
+  const { schema, ...rest } = expect
+  // a schema alone does not replace the default checks of the status code and errors
+  return Object.keys(rest).length ? rest : undefined
+}
+
+function checkResponse({ kind, response, body, expect }) {
+  if (expect) {
+    const actual = kind === "http" ? { ...response, body } : { body }
+    const differences = checkExpectations(actual, expect)
+    if (differences.length) {
+      return { reason: "expectations not met", details: formatDifferences(differences) }
+    }
+    return {}
+  }
+  // a plain value passes as long as the function did not fail
+  if (kind !== "http") {
+    return {}
+  }
+  if (response.statusCode !== 200) {
+    return { reason: `status code ${response.statusCode}` }
+  }
+  if (response.errors && body.errors && body.errors.length) {
+    return { reason: "response has errors" }
+  }
+  return {}
+}
+
+/**
+ * Invoke a lambda with an event and check its response.
+ * Output is written with `log`, which defaults to console.log.
+ * In remote mode, the lambda is invoked with the AWS CLI or, if backend is "http", the Lambda Invoke API.
+ * In node mode, its handler is imported from CodeUri relative to templateDir and called in this process or, if isolate is true,
+ * in a worker that loads its modules afresh; see invokeHandler.
+ * If coldStart is true in remote mode, a cold start is forced before invoking; see forceColdStart.
+ * If contract is given, the response is also checked against a JSON Schema; see createContractCheck.
+ * In remote mode, region and profile select where and as whom the lambda is invoked, and qualifier a version or alias of it.
+ * If localEndpoint is true, endpointUrl is a local server such as `sam local start-lambda`, where functions are named by their logical ID.
+ * In remote and local mode, an invocation that takes longer than timeout seconds is stopped and errors.
+ * @returns {Promise<Object>} a result with name, lambda, functionName, mode, exitCode, statusCode,
+ *  duration in milliseconds, status ("passed", "failed" or "error"), passed, a reason if not passed,
+ *  details such as differences from expectations, and the response.
+ *  The response can be an API Gateway response, which is checked by its statusCode and body, or any other value, which
+ *  passes unless it is checked by expectations. If the function failed, the result has an error with its type, message and trace.
+ *  In remote mode, it also has functionError and executedVersion; in node mode, functionError.
+ *  Except in node mode, the invocation's logs are captured: the tail of its CloudWatch logs in remote mode and the container's
+ *  output in local mode. They are kept as logs, written to "<outputDir>/<name>.log" and printed if the lambda does not pass
+ *  or filtered is true, and their REPORT line is kept as metrics; see parseReportLine.
+ *  transient is true if the result may differ when invoked again: throttling and other errors of the Lambda service, timeouts and
+ *  functions that time out, such as during a cold start; see withRetries.
+ */
 export async function runLambda({
   eventsDir,
   outputDir,
   document,
   lambda,
+  name = lambda,
+  functionId,
   mode,
   stackName,
+  physicalIds,
+  parameters,
+  region,
+  profile,
+  qualifier,
+  backend = "cli",
+  endpointUrl,
+  localEndpoint = false,
+  templateDir = ".",
   filtered,
+  inputPath = `${eventsDir}/${lambda}.json`,
+  expect,
+  snapshot,
+  contract,
+  coldStart = false,
+  timeout,
+  isolate = false,
+  log = console.log,
 }) {
-  const inputPath = `${eventsDir}/${lambda}.json`
-  const stdoutPath = `${outputDir}/${lambda}.json`
+  const stdoutPath = `${outputDir}/${name}.json`
+  const result = { name, lambda, mode }
+  const finish = (status, reason) =>
+    Object.assign(result, { status, passed: status === "passed", reason })
 
-  const functionName = findFunctionName(document, lambda)
-  if (!functionName) {
-    console.log(`could not find function name for ${lambda}`)
-    return undefined
+  let fn, functionName, deployedFunctionName
+  const context = {
+    stackName,
+    parameters,
+    region: region ?? process.env.AWS_REGION ?? process.env.AWS_DEFAULT_REGION,
   }
-
-  let command, args, stdoutFd
-  if (mode === "local") {
-    command = "sam"
-    args = ["local", "invoke", functionName, "--event", inputPath]
-    stdoutFd = await open(stdoutPath, "w")
-  } else {
-    // does make more sense to use `sam remote invoke` but cannot specify boto config when using that
-    // this results in the CLI timing out when invoking a lambda that lasts more than 10 seconds
-    command = "aws"
-    const actualFunctionName = resolveFunctionName(functionName, { stackName })
-    const payloadPath = `file://${inputPath}`
-    args = [
-      "lambda",
-      "invoke",
-      "--function-name",
-      actualFunctionName,
-      "--payload",
-      payloadPath,
-      "--cli-binary-format",
-      "raw-in-base64-out",
-      "--cli-read-timeout",
-      "0", // "If the value is set to 0, the socket read will be blocking and not timeout"
-      stdoutPath,
-    ]
-    stdoutFd = { fd: "ignore", close: () => {} }
+  try {
+    fn = findFunction(document, lambda, { logicalId: functionId, context })
+    functionName = fn.logicalId
+    deployedFunctionName = fn.functionName
+  } catch (error) {
+    log(error.message)
+    return finish("error", error.message)
   }
-  console.log(`command: ${command} ${args.join(" ")}`)
-  const subprocess = spawn(command, args, {
-    stdio: ["inherit", stdoutFd.fd, "inherit"],
-  })
-
-  // unclear when this has effect
-  subprocess.on("error", console.error)
+  result.functionName = functionName
 
-  return new Promise((resolve) => {
-    subprocess.on("close", async (code) => {
-      await stdoutFd.close()
-
-      if (code !== 0) {
-        console.log(`💥 ${lambda} exited with code ${code}`)
-        resolve()
-        return
+  let remoteFunctionName
+  if (mode === "remote") {
+    try {
+      // a local endpoint such as `sam local start-lambda` uses logical IDs as function names.
+      // The deployed stack knows the real name, while a FunctionName may have resolved with parameter defaults
+      remoteFunctionName = localEndpoint
+        ? functionName
+        : physicalIds?.[functionName] ??
+          deployedFunctionName ??
+          resolveFunctionName(functionName, { stackName, region, profile })
+      if (coldStart) {
+        forceColdStart(remoteFunctionName, { region, profile })
       }
+    } catch (error) {
+      log(`💥 ${name} ${error.message}`)
+      return finish("error", error.message)
+    }
+  }
 
-      const buffer = await readFile(stdoutPath)
-      if (!buffer || !buffer.length) {
-        console.log(`❌ ${lambda} - empty response`)
-        resolve()
-        return
-      }
-      const result = JSON.parse(buffer.toString())
-      const body = JSON.parse(result.body ?? "{}")
-      if (
-        result.statusCode === 200 &&
-        (!result.errors || !body.errors || !body.errors.length)
-      ) {
-        console.log(`✅ ${lambda}`)
+  // the type of error named by the AWS CLI if it fails
+  let exitError
+  const start = Date.now()
+  if (mode === "node" || (mode === "remote" && backend === "http")) {
+    try {
+      let invocation
+      if (mode === "node") {
+        log(`invoke: ${fn.handler} in ${fn.codeUri ?? templateDir}`)
+        invocation = await invokeHandler({
+          fn,
+          payload: await readFile(inputPath),
+          templateDir,
+          context: { ...context, document },
+          isolate,
+        })
       } else {
-        console.log(`❌ ${lambda}`)
+        log(`invoke: ${remoteFunctionName} ${endpointUrl ?? ""}`.trimEnd())
+        invocation = await invokeFunction({
+          functionName: remoteFunctionName,
+          payload: await readFile(inputPath),
+          endpointUrl,
+          region,
+          qualifier,
+          // a local endpoint does not check credentials
+          credentials: profile && !localEndpoint ? credentialsFromProfile(profile) : undefined,
+          signal: timeout ? AbortSignal.timeout(timeout * 1000) : undefined,
+        })
       }
-      if (filtered) {
-        console.log(result)
+      result.duration = Date.now() - start
+      result.functionError = invocation.functionError
+      result.executedVersion = invocation.executedVersion
+      result.logs = invocation.logResult
+      await writeFile(stdoutPath, invocation.payload)
+    } catch (error) {
+      result.duration = Date.now() - start
+      if (error.name === "TimeoutError") {
+        result.transient = true
+        log(`💥 ${name} timed out after ${timeout} seconds`)
+        return finish("error", `timed out after ${timeout} seconds`)
       }
-      resolve()
-    })
+      if (isTransientError(error)) {
+        result.transient = true
+      }
+      log(`💥 ${name} ${error.message}`)
+      return finish("error", error.message)
+    }
+  } else {
+    const { code, timedOut, errorOutput, logs, functionError, executedVersion } =
+      await invokeCli({
+        mode,
+        functionName,
+        remoteFunctionName,
+        inputPath,
+        stdoutPath,
+        target: { region, profile, qualifier },
+        timeout,
+        log,
+      })
+    result.duration = Date.now() - start
+    if (timedOut) {
+      result.transient = true
+      log(`💥 ${name} timed out after ${timeout} seconds`)
+      return finish("error", `timed out after ${timeout} seconds`)
+    }
+    result.exitCode = code
+    // the AWS CLI names the error, such as "(TooManyRequestsException)", when it fails
+    if (code !== 0) {
+      exitError = cliErrorType(errorOutput)
+      if (isTransientError({ output: errorOutput })) {
+        result.transient = true
+      }
+    }
+    result.functionError = functionError
+    result.executedVersion = executedVersion
+    result.logs = logs || undefined
+  }
+  if (result.logs) {
+    await writeFile(`${outputDir}/${name}.log`, result.logs)
+    result.metrics = parseReportLine(result.logs)
+  }
+  const printLogs = () => {
+    if (result.logs) {
+      log(formatLogs(result.logs))
+    }
+  }
+  if (result.exitCode !== undefined && result.exitCode !== 0) {
+    const reason = [`exited with code ${result.exitCode}`, exitError]
+      .filter(Boolean)
+      .join(": ")
+    log(`💥 ${name} ${reason}`)
+    printLogs()
+    return finish("error", reason)
+  }
+
+  const buffer = await readFile(stdoutPath)
+  if (!buffer || !buffer.length) {
+    log(`❌ ${name} - empty response`)
+    printLogs()
+    return finish("failed", "empty response")
+  }
+  const response = parsePayload(buffer.toString())
+  const { kind, body, error } = interpretResponse(response, {
+    functionError: result.functionError,
   })
+  result.response = response
+  if (kind === "error") {
+    // an error of the runtime rather than the function's code, such as a cold start that takes longer than the function's timeout
+    if (
+      error.type === "Sandbox.Timedout" ||
+      String(error.message).includes("Task timed out after")
+    ) {
+      result.transient = true
+    }
+    result.error = error
+    result.details = formatError(error)
+    log(`❌ ${name}\n${result.details}`)
+    printLogs()
+    return finish("failed", `${error.type}: ${error.message}`)
+  }
+  if (kind === "http") {
+    result.statusCode = response.statusCode
+  }
+
+  const checks = [
+    checkResponse({ kind, response, body, expect: responseExpectations(expect) }),
+  ]
+  if (contract) {
+    checks.push(
+      await contract({ lambda, functionName, expect, inputPath, kind, response, body })
+    )
+  }
+  const reasons = checks.map(({ reason }) => reason).filter(Boolean)
+  const details = checks.map(({ details }) => details).filter(Boolean)
+  if (snapshot) {
+    const { status, differences } = await matchSnapshot({
+      ...snapshot,
+      name,
+      response: kind === "http" ? { ...response, body } : { body },
+    })
+    if (status === "failed") {
+      reasons.push("snapshot differs")
+      details.push(`  snapshot differs:\n${formatDifferences(differences, "    ")}`)
+    } else if (status !== "matched") {
+      details.push(`  📸 snapshot ${status}`)
+    }
+  }
+  log([`${reasons.length ? "❌" : "✅"} ${name}`, ...details].join("\n"))
+  result.details = details.join("\n") || undefined
+  if (filtered) {
+    log(response)
+  }
+  if (filtered || reasons.length) {
+    printLogs()
+  }
+  return finish(reasons.length ? "failed" : "passed", reasons.join("; ") || undefined)
 }
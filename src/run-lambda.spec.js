@@ -3,114 +3,67 @@ import { jest } from "@jest/globals"
 import { sleep } from "@tim-code/my-util"
 
 // Mocks for external modules and functions
-const execSyncMock = jest.fn()
+const execFileSyncMock = jest.fn()
 const spawnMock = jest.fn()
 const openMock = jest.fn()
 const readFileMock = jest.fn()
+const mkdirMock = jest.fn()
+const writeFileMock = jest.fn()
+const invokeFunctionMock = jest.fn()
+const credentialsFromProfileMock = jest.fn()
+const invokeHandlerMock = jest.fn()
 
 jest.unstable_mockModule("node:child_process", () => ({
-  execSync: execSyncMock,
+  execFileSync: execFileSyncMock,
   spawn: spawnMock,
 }))
 jest.unstable_mockModule("node:fs/promises", () => ({
+  mkdir: mkdirMock,
   open: openMock,
   readFile: readFileMock,
+  writeFile: writeFileMock,
+}))
+jest.unstable_mockModule("./invoke-node.js", () => ({
+  invokeHandler: invokeHandlerMock,
+}))
+jest.unstable_mockModule("./lambda-http.js", () => ({
+  credentialsFromProfile: credentialsFromProfileMock,
+  invokeFunction: invokeFunctionMock,
 }))
 
-const { findFunctionName, resolveFunctionName, runLambda } = await import("./run-lambda.js")
-
-describe("findFunctionName", () => {
-  it("returns the function name when CodeUri matches at correct depth", () => {
-    const doc = {
-      Resources: {
-        MyFunc: {
-          Type: "AWS::Lambda::Function",
-          Properties: {
-            CodeUri: "dist/foo",
-          },
-        },
-      },
-    }
-    expect(findFunctionName(doc, "dist/foo")).toBe("MyFunc")
-  })
-
-  it("returns undefined if CodeUri does not match", () => {
-    const doc = {
-      Resources: {
-        MyFunc: {
-          Type: "AWS::Lambda::Function",
-          Properties: {
-            CodeUri: "dist/bar",
-          },
-        },
-      },
-    }
-    expect(findFunctionName(doc, "dist/foo")).toBeUndefined()
-  })
-
-  // not supported for now
-  // it("finds deeply nested CodeUri and returns correct parent", () => {
-  //   const doc = {
-  //     Resources: {
-  //       MyFunc: {
-  //         Nested: {
-  //           Properties: {
-  //             CodeUri: "dist/deep",
-  //           },
-  //         },
-  //       },
-  //     },
-  //   }
-  //   expect(findFunctionName(doc, "dist/deep")).toBe("MyFunc")
-  // })
-
-  it("returns undefined for non-object input", () => {
-    expect(findFunctionName(null, "foo")).toBeUndefined()
-    expect(findFunctionName(42, "foo")).toBeUndefined()
-  })
-
-  it("returns first match if multiple CodeUri present", () => {
-    const doc = {
-      Resources: {
-        Func1: { Properties: { CodeUri: "dist/foo" } },
-        Func2: { Properties: { CodeUri: "dist/foo" } },
-      },
-    }
-    // Should return the first encountered, which is Func1
-    expect(findFunctionName(doc, "dist/foo")).toBe("Func1")
-  })
-})
+const { resolveFunctionName, runLambda } = await import("./run-lambda.js")
 
 describe("resolveFunctionName", () => {
   beforeEach(() => {
-    execSyncMock.mockReset()
+    execFileSyncMock.mockReset()
   })
 
-  it("returns function name from execSync output", () => {
-    execSyncMock.mockReturnValue("mypkg-abc-func\n")
+  it("returns function name from the AWS CLI output", () => {
+    execFileSyncMock.mockReturnValue("mypkg-abc-func\n")
     expect(resolveFunctionName("abc-func", { stackName: "mypkg" })).toBe("mypkg-abc-func")
-    expect(execSyncMock).toHaveBeenCalledWith(
-      expect.stringContaining("aws lambda list-functions"),
+    expect(execFileSyncMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining(["lambda", "list-functions"]),
       expect.objectContaining({ encoding: "utf-8" })
     )
   })
 
-  it("throws if execSync output is empty", () => {
-    execSyncMock.mockReturnValue("")
+  it("throws if the AWS CLI output is empty", () => {
+    execFileSyncMock.mockReturnValue("")
     expect(() => resolveFunctionName("abc", { stackName: "mypkg" })).toThrow(
       "No function found with prefix: mypkg-abc"
     )
   })
 
-  it('throws if execSync output is "None"', () => {
-    execSyncMock.mockReturnValue("None\n")
+  it('throws if the AWS CLI output is "None"', () => {
+    execFileSyncMock.mockReturnValue("None\n")
     expect(() => resolveFunctionName("def", { stackName: "mypkg" })).toThrow(
       "No function found with prefix: mypkg-def"
     )
   })
 
-  it("throws with error message if execSync throws", () => {
-    execSyncMock.mockImplementation(() => {
+  it("throws with error message if the AWS CLI fails", () => {
+    execFileSyncMock.mockImplementation(() => {
       throw new Error("fail")
     })
     expect(() => resolveFunctionName("x", { stackName: "mypkg" })).toThrow(
@@ -119,35 +72,80 @@ describe("resolveFunctionName", () => {
   })
 
   it("uses stackName as prefix if provided", () => {
-    execSyncMock.mockReturnValue("stack-foo-bar\n")
+    execFileSyncMock.mockReturnValue("stack-foo-bar\n")
     expect(resolveFunctionName("bar", { stackName: "stack-foo" })).toBe("stack-foo-bar")
-    expect(execSyncMock).toHaveBeenCalledWith(
-      expect.stringContaining("starts_with(FunctionName, 'stack-foo-bar')"),
+    expect(execFileSyncMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining([
+        expect.stringContaining("starts_with(FunctionName, 'stack-foo-bar')"),
+      ]),
       expect.any(Object)
     )
   })
 
   it("falls back to no stackName if not provided", () => {
-    execSyncMock.mockReturnValue("baz\n")
+    execFileSyncMock.mockReturnValue("baz\n")
     expect(resolveFunctionName("baz")).toBe("baz")
-    expect(execSyncMock).toHaveBeenCalledWith(
-      expect.stringContaining("starts_with(FunctionName, 'baz')"),
+    expect(execFileSyncMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining([expect.stringContaining("starts_with(FunctionName, 'baz')")]),
+      expect.any(Object)
+    )
+  })
+
+  it("uses the physical ID of the logical ID if given", () => {
+    expect(
+      resolveFunctionName("Query", {
+        stackName: "stack",
+        physicalIds: { Query: "stack-Query-123", QueryAll: "stack-QueryAll-456" },
+      })
+    ).toBe("stack-Query-123")
+    expect(execFileSyncMock).not.toHaveBeenCalled()
+  })
+
+  it("falls back to the prefix if the logical ID has no physical ID", () => {
+    execFileSyncMock.mockReturnValue("stack-Other-789\n")
+    expect(
+      resolveFunctionName("Other", { stackName: "stack", physicalIds: { Query: "q" } })
+    ).toBe("stack-Other-789")
+    expect(execFileSyncMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining([
+        expect.stringContaining("starts_with(FunctionName, 'stack-Other')"),
+      ]),
+      expect.any(Object)
+    )
+  })
+
+  it("looks up the function in the region and profile of a target", () => {
+    execFileSyncMock.mockReturnValue("stack-Query\n")
+    resolveFunctionName("Query", { stackName: "stack", region: "eu-west-1", profile: "prod" })
+    expect(execFileSyncMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining(["--region", "eu-west-1", "--profile", "prod"]),
       expect.any(Object)
     )
   })
 
   it("does not use stackName if it's an empty string", () => {
-    execSyncMock.mockReturnValue("abc\n")
+    execFileSyncMock.mockReturnValue("abc\n")
     expect(resolveFunctionName("abc", { stackName: "" })).toBe("abc")
-    expect(execSyncMock).toHaveBeenCalledWith(
-      expect.stringContaining("starts_with(FunctionName, 'abc')"),
+    expect(execFileSyncMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining([expect.stringContaining("starts_with(FunctionName, 'abc')")]),
       expect.any(Object)
     )
   })
 })
 
 describe("runTest", () => {
-  let closeMock, onMock, subprocessMock
+  let closeMock, onMock, subprocessMock, stdoutOnMock, stderrOnMock
+
+  // emits data from a captured stream of the subprocess
+  function emit(onStreamMock, text) {
+    const [, handler] = onStreamMock.mock.calls.find(([event]) => event === "data")
+    handler(Buffer.from(text))
+  }
 
   beforeEach(() => {
     closeMock = jest.fn().mockResolvedValue()
@@ -155,11 +153,13 @@ describe("runTest", () => {
     readFileMock.mockReset()
     spawnMock.mockReset()
     onMock = jest.fn()
-    subprocessMock = { on: onMock }
+    stdoutOnMock = jest.fn()
+    stderrOnMock = jest.fn()
+    subprocessMock = { on: onMock, stdout: { on: stdoutOnMock }, stderr: { on: stderrOnMock } }
     spawnMock.mockReturnValue(subprocessMock)
   })
 
-  it("returns undefined if functionName not found", async () => {
+  it("returns an error result if functionName not found", async () => {
     const document = {}
     const lambda = "foo"
     const spy = jest.spyOn(console, "log").mockImplementation(() => {})
@@ -170,13 +170,86 @@ describe("runTest", () => {
       eventsDir: "/ev",
       outputDir: "/out",
     })
-    expect(result).toBeUndefined()
+    expect(result).toEqual(
+      expect.objectContaining({
+        name: "foo",
+        status: "error",
+        passed: false,
+        reason: "could not find function name for foo",
+      })
+    )
     expect(spy).toHaveBeenCalledWith(expect.stringContaining("could not find function name"))
     spy.mockRestore()
   })
 
+  it("returns an error result if more than one function matches", async () => {
+    const document = {
+      Resources: {
+        Func1: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "dist/foo" } },
+        Func2: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "src/foo" } },
+      },
+    }
+    const spy = jest.spyOn(console, "log").mockImplementation(() => {})
+    const result = await runLambda({
+      document,
+      lambda: "foo",
+      mode: "local",
+      eventsDir: "/ev",
+      outputDir: "/out",
+    })
+    expect(result).toEqual(
+      expect.objectContaining({
+        status: "error",
+        reason: expect.stringContaining("ambiguous function for foo: matches Func1, Func2"),
+      })
+    )
+    expect(spawnMock).not.toHaveBeenCalled()
+    spy.mockRestore()
+  })
+
+  it("invokes the function given by functionId", async () => {
+    const document = {
+      Resources: {
+        Func1: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "dist/foo" } },
+        Func2: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "src/foo" } },
+      },
+    }
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify({ statusCode: 200 })))
+    openMock.mockResolvedValue({ fd: 1, close: closeMock })
+    const spy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda: "foo",
+      functionId: "Func2",
+      mode: "local",
+      eventsDir: "/ev",
+      outputDir: "/out",
+    })
+    await sleep(0)
+    await closeHandler(0)
+    const result = await promise
+
+    expect(result.functionName).toBe("Func2")
+    expect(spawnMock).toHaveBeenCalledWith(
+      "sam",
+      expect.arrayContaining(["invoke", "Func2"]),
+      expect.any(Object)
+    )
+    spy.mockRestore()
+  })
+
   it("runs local mode and handles success path", async () => {
-    const document = { Resources: { MyFunc: { Properties: { CodeUri: "foo" } } } }
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
     const lambda = "foo"
     let closeHandler
     onMock.mockImplementation((event, cb) => {
@@ -198,8 +271,22 @@ describe("runTest", () => {
     })
     await sleep(0)
     await closeHandler(0)
-    await promise
+    const result = await promise
 
+    expect(result).toEqual({
+      name: "foo",
+      lambda: "foo",
+      functionName: "MyFunc",
+      mode: "local",
+      exitCode: 0,
+      statusCode: 200,
+      duration: expect.any(Number),
+      status: "passed",
+      passed: true,
+      reason: undefined,
+      details: undefined,
+      response,
+    })
     expect(spawnMock).toHaveBeenCalledWith(
       "sam",
       expect.arrayContaining(["local", "invoke", "MyFunc"]),
@@ -212,10 +299,14 @@ describe("runTest", () => {
   })
 
   it("runs remote mode and handles non-200/error status", async () => {
-    const document = { Resources: { MyFunc: { Properties: { CodeUri: "foo" } } } }
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
     const lambda = "foo"
     // ISSUE: Cannot mock resolveFunctionName since it's in the same file. Should be moved to separate module for full isolation.
-    execSyncMock.mockReturnValue("MyFunc\n")
+    execFileSyncMock.mockReturnValue("MyFunc\n")
     let closeHandler
     onMock.mockImplementation((event, cb) => {
       if (event === "close") closeHandler = cb
@@ -236,8 +327,11 @@ describe("runTest", () => {
     })
     await sleep(0)
     await closeHandler(0)
-    await promise
+    const result = await promise
 
+    expect(result).toEqual(
+      expect.objectContaining({ status: "failed", passed: false, reason: "status code 500" })
+    )
     expect(spawnMock).toHaveBeenCalledWith(
       "aws",
       expect.arrayContaining(["lambda", "invoke"]),
@@ -248,10 +342,276 @@ describe("runTest", () => {
     logSpy.mockRestore()
   })
 
+  it("captures the container's logs in local mode", async () => {
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    const response = { statusCode: 500 }
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify(response)))
+    writeFileMock.mockReset()
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda: "foo",
+      mode: "local",
+      eventsDir: "/ev",
+      outputDir: "/out",
+    })
+    await sleep(0)
+    emit(stderrOnMock, "START RequestId: 1\nsomething broke\n")
+    emit(
+      stderrOnMock,
+      "REPORT RequestId: 1  Init Duration: 0.5 ms  Duration: 12.3 ms  Billed Duration: 13 ms  Memory Size: 128 MB  Max Memory Used: 64 MB\n"
+    )
+    await closeHandler(0)
+    const result = await promise
+
+    expect(spawnMock).toHaveBeenCalledWith("sam", expect.any(Array), {
+      stdio: ["inherit", 9, "pipe"],
+      detached: false,
+    })
+    expect(result.metrics).toEqual({
+      initDuration: 0.5,
+      duration: 12.3,
+      billedDuration: 13,
+      memorySize: 128,
+      maxMemoryUsed: 64,
+    })
+    expect(writeFileMock).toHaveBeenCalledWith("/out/foo.log", result.logs)
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining("  something broke\n"))
+    logSpy.mockRestore()
+  })
+
+  it("requests the tail of the logs in remote mode", async () => {
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
+    execFileSyncMock.mockReturnValue("MyFunc\n")
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify({ statusCode: 200 })))
+    const logs =
+      "START RequestId: 1\nREPORT RequestId: 1\tDuration: 2.5 ms\tBilled Duration: 3 ms\n"
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda: "foo",
+      mode: "remote",
+      eventsDir: "/ev",
+      outputDir: "/out",
+    })
+    await sleep(0)
+    emit(
+      stdoutOnMock,
+      JSON.stringify({
+        StatusCode: 200,
+        LogResult: Buffer.from(logs).toString("base64"),
+        ExecutedVersion: "$LATEST",
+      })
+    )
+    await closeHandler(0)
+    const result = await promise
+
+    expect(spawnMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining(["--log-type", "Tail", "--output", "json"]),
+      { stdio: ["inherit", "pipe", "pipe"], detached: false }
+    )
+    expect(result).toEqual(
+      expect.objectContaining({
+        status: "passed",
+        logs,
+        executedVersion: "$LATEST",
+        metrics: { duration: 2.5, billedDuration: 3 },
+      })
+    )
+    // logs are only printed for failures or when filtered
+    expect(logSpy).not.toHaveBeenCalledWith(expect.stringContaining("START RequestId"))
+    logSpy.mockRestore()
+  })
+
+  it("invokes the qualifier in the region and profile of a target in remote mode", async () => {
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
+    execFileSyncMock.mockReturnValue("stack-MyFunc\n")
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify({ statusCode: 200 })))
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda: "foo",
+      mode: "remote",
+      eventsDir: "/ev",
+      outputDir: "/out",
+      stackName: "stack",
+      region: "eu-west-1",
+      profile: "prod",
+      qualifier: "live",
+    })
+    await sleep(0)
+    await closeHandler(0)
+    await promise
+
+    const [, args] = spawnMock.mock.calls[0]
+    expect(args.slice(args.indexOf("--qualifier"), -1)).toEqual([
+      "--qualifier",
+      "live",
+      "--region",
+      "eu-west-1",
+      "--profile",
+      "prod",
+    ])
+    expect(args.at(-1)).toBe("/out/foo.json")
+    logSpy.mockRestore()
+  })
+
+  it("marks a throttled invocation as transient", async () => {
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
+    execFileSyncMock.mockReturnValue("MyFunc\n")
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    const stderrSpy = jest.spyOn(process.stderr, "write").mockImplementation(() => true)
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda: "foo",
+      mode: "remote",
+      eventsDir: "/ev",
+      outputDir: "/out",
+    })
+    await sleep(0)
+    const message =
+      "An error occurred (TooManyRequestsException) when calling the Invoke operation: Rate Exceeded.\n"
+    emit(stderrOnMock, message)
+    await closeHandler(254)
+    const result = await promise
+
+    expect(result).toEqual(
+      expect.objectContaining({
+        status: "error",
+        reason: "exited with code 254: TooManyRequestsException",
+        transient: true,
+      })
+    )
+    // stderr is still shown
+    expect(stderrSpy).toHaveBeenCalledWith(Buffer.from(message))
+    stderrSpy.mockRestore()
+    logSpy.mockRestore()
+  })
+
+  it("kills the subprocess if it takes longer than the timeout", async () => {
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    subprocessMock.pid = 123
+    const killSpy = jest.spyOn(process, "kill").mockImplementation(() => closeHandler(null))
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const result = await runLambda({
+      document,
+      lambda: "foo",
+      mode: "local",
+      eventsDir: "/ev",
+      outputDir: "/out",
+      timeout: 0.01,
+    })
+
+    // the command runs in its own process group, which is stopped as a whole
+    expect(spawnMock).toHaveBeenCalledWith(
+      "sam",
+      expect.any(Array),
+      expect.objectContaining({ detached: true })
+    )
+    expect(killSpy).toHaveBeenCalledWith(-123, "SIGTERM")
+    killSpy.mockRestore()
+    expect(result).toEqual(
+      expect.objectContaining({
+        status: "error",
+        reason: "timed out after 0.01 seconds",
+        transient: true,
+      })
+    )
+    expect(logSpy).toHaveBeenCalledWith("💥 foo timed out after 0.01 seconds")
+    logSpy.mockRestore()
+  })
+
+  it("marks a function that timed out as transient", async () => {
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
+    execFileSyncMock.mockReturnValue("MyFunc\n")
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    const errorMessage = "2024-01-01T00:00:00.000Z 1 Task timed out after 3.00 seconds"
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify({ errorMessage })))
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda: "foo",
+      mode: "remote",
+      eventsDir: "/ev",
+      outputDir: "/out",
+    })
+    await sleep(0)
+    emit(stdoutOnMock, JSON.stringify({ StatusCode: 200, FunctionError: "Unhandled" }))
+    await closeHandler(0)
+    const result = await promise
+
+    expect(result).toEqual(expect.objectContaining({ status: "failed", transient: true }))
+    logSpy.mockRestore()
+  })
+
   it("passes stackName to resolveFunctionName in remote mode", async () => {
-    const document = { Resources: { MyFunc: { Properties: { CodeUri: "foo" } } } }
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
     const lambda = "foo"
-    execSyncMock.mockReturnValue("stack-MyFunc\n")
+    execFileSyncMock.mockReturnValue("stack-MyFunc\n")
     let closeHandler
     onMock.mockImplementation((event, cb) => {
       if (event === "close") closeHandler = cb
@@ -275,16 +635,23 @@ describe("runTest", () => {
     await closeHandler(0)
     await promise
 
-    // The execSyncMock should have been called with a query containing the stackName prefix
-    expect(execSyncMock).toHaveBeenCalledWith(
-      expect.stringContaining("starts_with(FunctionName, 'stack-MyFunc')"),
+    // The execFileSyncMock should have been called with a query containing the stackName prefix
+    expect(execFileSyncMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining([
+        expect.stringContaining("starts_with(FunctionName, 'stack-MyFunc')"),
+      ]),
       expect.any(Object)
     )
     logSpy.mockRestore()
   })
 
   it("logs and resolves if subprocess exits nonzero", async () => {
-    const document = { Resources: { MyFunc: { Properties: { CodeUri: "foo" } } } }
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
     const lambda = "foo"
     let closeHandler
     onMock.mockImplementation((event, cb) => {
@@ -304,14 +671,21 @@ describe("runTest", () => {
     })
     await sleep(0)
     await closeHandler(1)
-    await promise
+    const result = await promise
 
+    expect(result).toEqual(
+      expect.objectContaining({ exitCode: 1, status: "error", reason: "exited with code 1" })
+    )
     expect(logSpy).toHaveBeenCalledWith(expect.stringContaining("💥"))
     logSpy.mockRestore()
   })
 
   it("logs and resolves if output file is empty", async () => {
-    const document = { Resources: { MyFunc: { Properties: { CodeUri: "foo" } } } }
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
     const lambda = "foo"
     let closeHandler
     onMock.mockImplementation((event, cb) => {
@@ -339,7 +713,11 @@ describe("runTest", () => {
   })
 
   it("logs result if filtered is true", async () => {
-    const document = { Resources: { MyFunc: { Properties: { CodeUri: "foo" } } } }
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
     const lambda = "foo"
     let closeHandler
     onMock.mockImplementation((event, cb) => {
@@ -367,4 +745,740 @@ describe("runTest", () => {
     expect(logSpy).toHaveBeenCalledWith(response)
     logSpy.mockRestore()
   })
+
+  it("checks expectations and logs differences", async () => {
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
+    const lambda = "foo"
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    const response = { statusCode: 200, body: JSON.stringify({ id: "a" }) }
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify(response)))
+    openMock.mockResolvedValue({ fd: 1, close: closeMock })
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda,
+      mode: "local",
+      eventsDir: "/ev",
+      outputDir: "/out",
+      inputPath: "/tmp/foo.json",
+      expect: { statusCode: 201, body: { id: "a" } },
+    })
+    await sleep(0)
+    await closeHandler(0)
+    await promise
+
+    expect(spawnMock).toHaveBeenCalledWith(
+      "sam",
+      expect.arrayContaining(["--event", "/tmp/foo.json"]),
+      expect.any(Object)
+    )
+    expect(logSpy).toHaveBeenCalledWith("❌ foo\n  - $.statusCode: 201\n  + $.statusCode: 200")
+    logSpy.mockRestore()
+  })
+
+  it("passes when expectations allow a non-200 status code", async () => {
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
+    const lambda = "foo"
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    const response = { statusCode: 204 }
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify(response)))
+    openMock.mockResolvedValue({ fd: 1, close: closeMock })
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda,
+      mode: "local",
+      eventsDir: "/ev",
+      outputDir: "/out",
+      expect: { statusCode: 204 },
+    })
+    await sleep(0)
+    await closeHandler(0)
+    await promise
+
+    expect(logSpy).toHaveBeenCalledWith("✅ foo")
+    logSpy.mockRestore()
+  })
+
+  it("writes the response and logs using the case name", async () => {
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    const response = { statusCode: 200, body: JSON.stringify({}) }
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify(response)))
+    openMock.mockResolvedValue({ fd: 1, close: closeMock })
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda: "foo",
+      name: "foo/happy",
+      mode: "local",
+      eventsDir: "/ev",
+      outputDir: "/out",
+      inputPath: "/ev/foo/happy.json",
+    })
+    await sleep(0)
+    await closeHandler(0)
+    await promise
+
+    expect(openMock).toHaveBeenCalledWith("/out/foo/happy.json", "w")
+    expect(readFileMock).toHaveBeenCalledWith("/out/foo/happy.json")
+    expect(logSpy).toHaveBeenCalledWith("✅ foo/happy")
+    logSpy.mockRestore()
+  })
+
+  it("fails if the response differs from its snapshot", async () => {
+    const document = {
+      Resources: {
+        MyFunc: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    const response = { statusCode: 200, body: JSON.stringify({ id: "b", at: 2 }) }
+    const snapshot = { statusCode: 200, body: { id: "a", at: "[ignored]" } }
+    readFileMock.mockImplementation(async (path) =>
+      Buffer.from(JSON.stringify(path === "/snap/foo.json" ? snapshot : response))
+    )
+    openMock.mockResolvedValue({ fd: 1, close: closeMock })
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda: "foo",
+      mode: "local",
+      eventsDir: "/ev",
+      outputDir: "/out",
+      snapshot: { snapshotsDir: "/snap", ignore: ["$.body.at"] },
+    })
+    await sleep(0)
+    await closeHandler(0)
+    await promise
+
+    expect(readFileMock).toHaveBeenCalledWith("/snap/foo.json")
+    expect(logSpy).toHaveBeenCalledWith(
+      '❌ foo\n  snapshot differs:\n    - $.body.id: "a"\n    + $.body.id: "b"'
+    )
+    logSpy.mockRestore()
+  })
+
+  it("invokes a resolved FunctionName in remote mode without looking it up", async () => {
+    const document = {
+      Resources: {
+        MyFunc: {
+          Type: "AWS::Serverless::Function",
+          Properties: {
+            CodeUri: "foo",
+            FunctionName: { "Fn::Sub": "${AWS::StackName}-${Stage}" },
+          },
+        },
+      },
+    }
+    execFileSyncMock.mockReset()
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify({ statusCode: 200 })))
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda: "foo",
+      mode: "remote",
+      eventsDir: "/ev",
+      outputDir: "/out",
+      stackName: "stack",
+      parameters: { Stage: "prod" },
+    })
+    await sleep(0)
+    await closeHandler(0)
+    await promise
+
+    expect(execFileSyncMock).not.toHaveBeenCalled()
+    expect(spawnMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining(["--function-name", "stack-prod"]),
+      expect.any(Object)
+    )
+    logSpy.mockRestore()
+  })
+
+  it("prefers the physical ID from the stack over a resolved FunctionName", async () => {
+    const document = {
+      Resources: {
+        QueryFunction: {
+          Type: "AWS::Serverless::Function",
+          Properties: {
+            CodeUri: "foo",
+            FunctionName: { "Fn::Sub": "${AWS::StackName}-${Stage}-query" },
+          },
+        },
+      },
+    }
+    execFileSyncMock.mockReset()
+    let closeHandler
+    onMock.mockImplementation((event, cb) => {
+      if (event === "close") closeHandler = cb
+      return subprocessMock
+    })
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify({ statusCode: 200 })))
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+    const promise = runLambda({
+      document,
+      lambda: "foo",
+      mode: "remote",
+      eventsDir: "/ev",
+      outputDir: "/out",
+      stackName: "mystack",
+      physicalIds: { QueryFunction: "mystack-QueryFunction-ABC" },
+      parameters: { Stage: "dev" },
+    })
+    await sleep(0)
+    await closeHandler(0)
+    await promise
+
+    expect(execFileSyncMock).not.toHaveBeenCalled()
+    expect(spawnMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining(["--function-name", "mystack-QueryFunction-ABC"]),
+      expect.any(Object)
+    )
+    logSpy.mockRestore()
+  })
+
+  describe("with the http backend", () => {
+    const document = {
+      Resources: {
+        Query: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "foo" } },
+      },
+    }
+
+    beforeEach(() => {
+      invokeFunctionMock.mockReset()
+      writeFileMock.mockReset()
+      execFileSyncMock.mockReset()
+    })
+
+    it("invokes the deployed function and records the invocation", async () => {
+      const payload = Buffer.from(JSON.stringify({ statusCode: 200, body: "{}" }))
+      readFileMock.mockResolvedValueOnce(Buffer.from("{}")).mockResolvedValueOnce(payload)
+      invokeFunctionMock.mockResolvedValue({
+        statusCode: 200,
+        payload,
+        executedVersion: "$LATEST",
+        logResult: "REPORT Duration: 1 ms",
+      })
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "remote",
+        backend: "http",
+        eventsDir: "/ev",
+        outputDir: "/out",
+        physicalIds: { Query: "stack-Query-123" },
+        filtered: true,
+      })
+
+      expect(spawnMock).not.toHaveBeenCalled()
+      expect(invokeFunctionMock).toHaveBeenCalledWith({
+        functionName: "stack-Query-123",
+        payload: Buffer.from("{}"),
+        endpointUrl: undefined,
+      })
+      expect(readFileMock).toHaveBeenNthCalledWith(1, "/ev/foo.json")
+      expect(writeFileMock).toHaveBeenCalledWith("/out/foo.json", payload)
+      expect(result).toEqual(
+        expect.objectContaining({
+          status: "passed",
+          functionName: "Query",
+          executedVersion: "$LATEST",
+          logs: "REPORT Duration: 1 ms",
+          metrics: { duration: 1 },
+        })
+      )
+      expect(writeFileMock).toHaveBeenCalledWith("/out/foo.log", "REPORT Duration: 1 ms")
+      expect(logSpy).toHaveBeenCalledWith("  REPORT Duration: 1 ms")
+      logSpy.mockRestore()
+    })
+
+    it("forces a cold start before invoking", async () => {
+      const payload = Buffer.from(JSON.stringify({ statusCode: 200 }))
+      readFileMock.mockResolvedValue(payload)
+      invokeFunctionMock.mockResolvedValue({ statusCode: 200, payload })
+      execFileSyncMock.mockReset().mockReturnValue("null")
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "remote",
+        backend: "http",
+        eventsDir: "/ev",
+        outputDir: "/out",
+        physicalIds: { Query: "stack-Query-123" },
+        coldStart: true,
+      })
+
+      expect(execFileSyncMock).toHaveBeenCalledWith(
+        "aws",
+        expect.arrayContaining(["update-function-configuration", "stack-Query-123"]),
+        expect.any(Object)
+      )
+      expect(invokeFunctionMock.mock.invocationCallOrder[0]).toBeGreaterThan(
+        execFileSyncMock.mock.invocationCallOrder[2]
+      )
+      expect(result.status).toBe("passed")
+      logSpy.mockRestore()
+    })
+
+    it("invokes with the region, qualifier and credentials of a profile", async () => {
+      const payload = Buffer.from(JSON.stringify({ statusCode: 200 }))
+      readFileMock.mockResolvedValue(payload)
+      invokeFunctionMock.mockResolvedValue({ statusCode: 200, payload })
+      credentialsFromProfileMock.mockReturnValue({ accessKeyId: "a", secretAccessKey: "b" })
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      await runLambda({
+        document,
+        lambda: "foo",
+        mode: "remote",
+        backend: "http",
+        eventsDir: "/ev",
+        outputDir: "/out",
+        physicalIds: { Query: "stack-Query-123" },
+        region: "eu-west-1",
+        profile: "prod",
+        qualifier: "3",
+      })
+
+      expect(credentialsFromProfileMock).toHaveBeenCalledWith("prod")
+      expect(invokeFunctionMock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          functionName: "stack-Query-123",
+          region: "eu-west-1",
+          qualifier: "3",
+          credentials: { accessKeyId: "a", secretAccessKey: "b" },
+        })
+      )
+      logSpy.mockRestore()
+    })
+
+    it("invokes the logical ID at a local endpoint", async () => {
+      readFileMock.mockResolvedValue(Buffer.from(JSON.stringify({ statusCode: 200 })))
+      invokeFunctionMock.mockResolvedValue({ statusCode: 200, payload: Buffer.from("{}") })
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      await runLambda({
+        document,
+        lambda: "foo",
+        mode: "remote",
+        backend: "http",
+        endpointUrl: "http://127.0.0.1:3001",
+        localEndpoint: true,
+        eventsDir: "/ev",
+        outputDir: "/out",
+        stackName: "stack",
+      })
+
+      expect(execFileSyncMock).not.toHaveBeenCalled()
+      expect(invokeFunctionMock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          functionName: "Query",
+          endpointUrl: "http://127.0.0.1:3001",
+        })
+      )
+      logSpy.mockRestore()
+    })
+
+    it("invokes the deployed name at an endpoint that is not local", async () => {
+      readFileMock.mockResolvedValue(Buffer.from(JSON.stringify({ statusCode: 200 })))
+      invokeFunctionMock.mockResolvedValue({ statusCode: 200, payload: Buffer.from("{}") })
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      await runLambda({
+        document,
+        lambda: "foo",
+        mode: "remote",
+        backend: "http",
+        endpointUrl: "https://vpce-123.lambda.us-east-1.vpce.amazonaws.com",
+        eventsDir: "/ev",
+        outputDir: "/out",
+        stackName: "stack",
+        physicalIds: { Query: "stack-Query-123" },
+      })
+
+      expect(invokeFunctionMock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          functionName: "stack-Query-123",
+          endpointUrl: "https://vpce-123.lambda.us-east-1.vpce.amazonaws.com",
+        })
+      )
+      logSpy.mockRestore()
+    })
+
+    it("fails on a function error", async () => {
+      const payload = Buffer.from(JSON.stringify({ errorMessage: "boom", errorType: "Error" }))
+      readFileMock.mockResolvedValue(payload)
+      invokeFunctionMock.mockResolvedValue({
+        statusCode: 200,
+        payload,
+        functionError: "Unhandled",
+      })
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "remote",
+        backend: "http",
+        endpointUrl: "http://127.0.0.1:3001",
+        localEndpoint: true,
+        eventsDir: "/ev",
+        outputDir: "/out",
+      })
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          status: "failed",
+          functionError: "Unhandled",
+          reason: "Error: boom",
+          error: { type: "Error", message: "boom", trace: [] },
+        })
+      )
+      logSpy.mockRestore()
+    })
+
+    it("returns an error result if the request fails", async () => {
+      readFileMock.mockResolvedValue(Buffer.from("{}"))
+      invokeFunctionMock.mockRejectedValue(new Error("Invoke failed with status 403"))
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "remote",
+        backend: "http",
+        endpointUrl: "http://127.0.0.1:3001",
+        localEndpoint: true,
+        eventsDir: "/ev",
+        outputDir: "/out",
+      })
+
+      expect(result).toEqual(
+        expect.objectContaining({ status: "error", reason: "Invoke failed with status 403" })
+      )
+      expect(logSpy).toHaveBeenCalledWith("💥 foo Invoke failed with status 403")
+      expect(result.transient).toBeUndefined()
+      logSpy.mockRestore()
+    })
+
+    it("marks a throttled request as transient", async () => {
+      readFileMock.mockResolvedValue(Buffer.from("{}"))
+      invokeFunctionMock.mockRejectedValue(
+        Object.assign(new Error("Invoke failed with status 429"), {
+          statusCode: 429,
+          errorType: "TooManyRequestsException",
+        })
+      )
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "remote",
+        backend: "http",
+        endpointUrl: "http://127.0.0.1:3001",
+        localEndpoint: true,
+        eventsDir: "/ev",
+        outputDir: "/out",
+      })
+
+      expect(result).toEqual(expect.objectContaining({ status: "error", transient: true }))
+      logSpy.mockRestore()
+    })
+
+    it("aborts the request after the timeout", async () => {
+      readFileMock.mockResolvedValue(Buffer.from("{}"))
+      invokeFunctionMock.mockImplementation(
+        ({ signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener("abort", () => reject(signal.reason))
+          })
+      )
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "remote",
+        backend: "http",
+        endpointUrl: "http://127.0.0.1:3001",
+        localEndpoint: true,
+        eventsDir: "/ev",
+        outputDir: "/out",
+        timeout: 0.01,
+      })
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          status: "error",
+          reason: "timed out after 0.01 seconds",
+          transient: true,
+        })
+      )
+      logSpy.mockRestore()
+    })
+  })
+  describe("in node mode", () => {
+    const document = {
+      Resources: {
+        Query: {
+          Type: "AWS::Serverless::Function",
+          Properties: { CodeUri: "dist/foo", Handler: "index.handler" },
+        },
+      },
+    }
+
+    beforeEach(() => {
+      invokeHandlerMock.mockReset()
+      writeFileMock.mockReset()
+    })
+
+    it("calls the handler in this process", async () => {
+      const payload = Buffer.from(JSON.stringify({ statusCode: 200, body: "{}" }))
+      readFileMock.mockResolvedValueOnce(Buffer.from("{}")).mockResolvedValueOnce(payload)
+      invokeHandlerMock.mockResolvedValue({ statusCode: 200, payload })
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "node",
+        eventsDir: "/ev",
+        outputDir: "/out",
+        templateDir: "/app",
+        parameters: { Stage: "dev" },
+      })
+
+      expect(spawnMock).not.toHaveBeenCalled()
+      expect(invokeHandlerMock).toHaveBeenCalledWith({
+        fn: expect.objectContaining({ logicalId: "Query", handler: "index.handler" }),
+        payload: Buffer.from("{}"),
+        templateDir: "/app",
+        context: expect.objectContaining({ document, parameters: { Stage: "dev" } }),
+        isolate: false,
+      })
+      expect(writeFileMock).toHaveBeenCalledWith("/out/foo.json", payload)
+      expect(result).toEqual(expect.objectContaining({ status: "passed", mode: "node" }))
+      expect(logSpy).toHaveBeenCalledWith("invoke: index.handler in dist/foo")
+      logSpy.mockRestore()
+    })
+
+    it("passes a plain value and checks expectations against it", async () => {
+      const payload = Buffer.from(JSON.stringify({ id: "a", items: [1, 2] }))
+      readFileMock.mockResolvedValueOnce(Buffer.from("{}")).mockResolvedValueOnce(payload)
+      invokeHandlerMock.mockResolvedValue({ statusCode: 200, payload })
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const passed = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "node",
+        eventsDir: "/ev",
+        outputDir: "/out",
+      })
+      readFileMock.mockResolvedValueOnce(Buffer.from("{}")).mockResolvedValueOnce(payload)
+      const failed = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "node",
+        eventsDir: "/ev",
+        outputDir: "/out",
+        expect: { paths: { "$.items[1]": 3 } },
+      })
+
+      expect(passed).toEqual(expect.objectContaining({ status: "passed" }))
+      expect(passed.statusCode).toBeUndefined()
+      expect(failed).toEqual(
+        expect.objectContaining({ status: "failed", reason: "expectations not met" })
+      )
+      expect(logSpy).toHaveBeenCalledWith(
+        "❌ foo\n  - $.body.items[1]: 3\n  + $.body.items[1]: 2"
+      )
+      logSpy.mockRestore()
+    })
+
+    it("checks the response against a contract along with the default checks", async () => {
+      const payload = Buffer.from(JSON.stringify({ statusCode: 200, body: '{"id":1}' }))
+      readFileMock.mockResolvedValueOnce(Buffer.from("{}")).mockResolvedValueOnce(payload)
+      invokeHandlerMock.mockResolvedValue({ statusCode: 200, payload })
+      const contract = jest.fn().mockResolvedValue({
+        reason: "response does not match schema",
+        details: "  schema not met:\n    $.body.id must be string; got number",
+      })
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "node",
+        eventsDir: "/ev",
+        outputDir: "/out",
+        expect: { schema: "user.json" },
+        contract,
+      })
+
+      expect(contract).toHaveBeenCalledWith({
+        lambda: "foo",
+        functionName: "Query",
+        expect: { schema: "user.json" },
+        inputPath: "/ev/foo.json",
+        kind: "http",
+        response: { statusCode: 200, body: '{"id":1}' },
+        body: { id: 1 },
+      })
+      expect(result).toEqual(
+        expect.objectContaining({ status: "failed", reason: "response does not match schema" })
+      )
+      expect(logSpy).toHaveBeenCalledWith(
+        "❌ foo\n  schema not met:\n    $.body.id must be string; got number"
+      )
+      logSpy.mockRestore()
+    })
+
+    it("passes a payload that is not JSON", async () => {
+      readFileMock
+        .mockResolvedValueOnce(Buffer.from("{}"))
+        .mockResolvedValueOnce(Buffer.from("not json"))
+      invokeHandlerMock.mockResolvedValue({
+        statusCode: 200,
+        payload: Buffer.from("not json"),
+      })
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "node",
+        eventsDir: "/ev",
+        outputDir: "/out",
+        expect: { body: "not json" },
+      })
+
+      expect(result).toEqual(
+        expect.objectContaining({ status: "passed", response: "not json" })
+      )
+      logSpy.mockRestore()
+    })
+
+    it("decodes a base64 encoded body", async () => {
+      const response = {
+        statusCode: 200,
+        body: Buffer.from(JSON.stringify({ id: "a" })).toString("base64"),
+        isBase64Encoded: true,
+      }
+      const payload = Buffer.from(JSON.stringify(response))
+      readFileMock.mockResolvedValueOnce(Buffer.from("{}")).mockResolvedValueOnce(payload)
+      invokeHandlerMock.mockResolvedValue({ statusCode: 200, payload })
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "node",
+        eventsDir: "/ev",
+        outputDir: "/out",
+        expect: { body: { id: "a" } },
+      })
+
+      expect(result).toEqual(expect.objectContaining({ status: "passed", statusCode: 200 }))
+      logSpy.mockRestore()
+    })
+
+    it("reports an error payload with its type, message and trace", async () => {
+      const payload = Buffer.from(
+        JSON.stringify({
+          errorType: "TypeError",
+          errorMessage: "x is undefined",
+          trace: ["TypeError: x is undefined", "    at handler (/app/index.js:3:5)"],
+        })
+      )
+      readFileMock.mockResolvedValueOnce(Buffer.from("{}")).mockResolvedValueOnce(payload)
+      invokeHandlerMock.mockResolvedValue({ statusCode: 200, payload })
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "node",
+        eventsDir: "/ev",
+        outputDir: "/out",
+      })
+
+      expect(result).toEqual(
+        expect.objectContaining({ status: "failed", reason: "TypeError: x is undefined" })
+      )
+      expect(logSpy).toHaveBeenCalledWith(
+        "❌ foo\n  TypeError: x is undefined\n    at handler (/app/index.js:3:5)"
+      )
+      logSpy.mockRestore()
+    })
+
+    it("returns an error result if the handler cannot be loaded", async () => {
+      readFileMock.mockResolvedValue(Buffer.from("{}"))
+      invokeHandlerMock.mockRejectedValue(new Error("could not find handler module"))
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {})
+
+      const result = await runLambda({
+        document,
+        lambda: "foo",
+        mode: "node",
+        eventsDir: "/ev",
+        outputDir: "/out",
+      })
+
+      expect(result).toEqual(
+        expect.objectContaining({ status: "error", reason: "could not find handler module" })
+      )
+      logSpy.mockRestore()
+    })
+  })
 })
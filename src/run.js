@@ -1,25 +1,49 @@
 #!/usr/bin/env node
 
-import { InputError, main } from "./main.js"
+import { applyAwsSettings, loadSettings } from "./config.js"
+import { InputError, compare, generate, main } from "./main.js"
 
-let {
-  OUTPUT_DIR: outputDir,
-  EVENTS_DIR: eventsDir,
-  TEMPLATE_PATH: templateYamlPath,
-  STACK_NAME: stackName,
-  USE_PACKAGE_NAME: usePackageName = true,
-} = process.env
+async function run() {
+  const settings = await loadSettings({ argv: process.argv })
+  applyAwsSettings(settings)
 
-if (!stackName && usePackageName) {
-  stackName = process.env.npm_package_name
+  if (process.argv[2] === "generate") {
+    const eventPath = await generate({ argv: process.argv, eventsDir: settings.eventsDir })
+    console.log(`wrote ${eventPath}`)
+    return
+  }
+  const command = process.argv[2] === "compare" ? compare : main
+  const summary = await command({
+    argv: process.argv,
+    stackName: settings.stackName,
+    outputDir: settings.outputDir,
+    eventsDir: settings.eventsDir,
+    templateYamlPath: settings.templatePath,
+    snapshotsDir: settings.snapshotsDir,
+    snapshotIgnore: settings.snapshotIgnore,
+    compareIgnore: settings.compareIgnore,
+    schemas: settings.schemas,
+    openapiPath: settings.openapiPath,
+    reportPath: settings.reportPath,
+    concurrency: settings.concurrency,
+    invokeTimeout: settings.invokeTimeout,
+    retries: settings.retries,
+    retryDelay: settings.retryDelay,
+    parameterOverrides: settings.parameterOverrides,
+    invokeBackend: settings.invokeBackend,
+    lambdaEndpointUrl: settings.endpointUrl,
+    localEndpoint: settings.localEndpoint,
+  })
+  if (summary.passed !== summary.total) {
+    process.exitCode = 1
+  }
 }
 
-main({ argv: process.argv, stackName, outputDir, eventsDir, templateYamlPath }).catch(
-  (error) => {
-    if (error instanceof InputError) {
-      console.error(error.message)
-    } else {
-      console.error(error)
-    }
+run().catch((error) => {
+  if (error instanceof InputError) {
+    console.error(error.message)
+  } else {
+    console.error(error)
   }
-)
+  process.exitCode = 1
+})
@@ -0,0 +1,108 @@
+import { mkdir, writeFile } from "node:fs/promises"
+import { dirname } from "node:path"
+import { InputError } from "./errors.js"
+import { renderEvent } from "./event-template.js"
+import { interpretResponse } from "./response.js"
+
+export const SCENARIO_SUFFIX = ".scenario.json"
+
+/**
+ * Check a scenario read from "<name>.scenario.json" and name its steps.
+ * @param {string} name
+ * @param {Object} scenario with steps, each with a lambda, an optional name, event, expect and function
+ * @returns {{name: string, steps: Array<{name: string, lambda: string, event: any, expect: Object=, function: string=}>}}
+ *  steps are named by their index if they do not have a name
+ * @throws {InputError} if the scenario has no steps, a step has no lambda, or step names repeat
+ */
+export function parseScenario(name, scenario) {
+  if (!Array.isArray(scenario?.steps) || !scenario.steps.length) {
+    throw new InputError(`scenario ${name} must have a non-empty "steps" array`)
+  }
+  const steps = scenario.steps.map((step, index) => {
+    if (typeof step?.lambda !== "string") {
+      throw new InputError(`step ${index} of scenario ${name} must have a "lambda"`)
+    }
+    return { ...step, name: String(step.name ?? index), event: step.event ?? {} }
+  })
+  const names = steps.map((step) => step.name)
+  const repeated = names.find((stepName, index) => names.indexOf(stepName) !== index)
+  if (repeated !== undefined) {
+    throw new InputError(`scenario ${name} has more than one step named ${repeated}`)
+  }
+  return { name, steps }
+}
+
+// a step's response as seen by later steps, with the body parsed; a plain value is the body
+function stepResponse(response) {
+  const { kind, body } = interpretResponse(response)
+  return kind === "http" ? { ...response, body } : { body }
+}
+
+/**
+ * Run the steps of a scenario in order, stopping at the first step that does not pass.
+ * Each step's event and expectations are rendered just before it runs, so they can refer to the responses
+ * of earlier steps, such as "${steps.create.body.id}"; see renderEvent.
+ * @param {Object} $1
+ * @param {Object} $1.scenario as returned by parseScenario
+ * @param {string} $1.eventsDir include paths in steps are relative to this
+ * @param {string} $1.tmpDir where to write rendered events
+ * @param {Object=} $1.render options for renderEvent
+ * @param {function(Object): Promise<Object>} $1.runStep runs a step given its lambda, name, functionId, inputPath and
+ *  expect, returning a result like runLambda
+ * @param {function(...any): void=} $1.log
+ * @returns {Promise<Array<Object>>} the results of the steps that ran, named "<scenario>/<step>" and with the scenario's name
+ */
+export async function runScenario({
+  scenario,
+  eventsDir,
+  tmpDir,
+  render = {},
+  runStep,
+  log = console.log,
+}) {
+  const responses = {}
+  const results = []
+  for (const [index, step] of scenario.steps.entries()) {
+    const name = `${scenario.name}/${step.name}`
+    let rendered
+    try {
+      rendered = await renderEvent(
+        { event: step.event, expect: step.expect },
+        { dir: eventsDir, ...render, steps: responses }
+      )
+    } catch (error) {
+      log(`💥 ${name} ${error.message}`)
+      results.push({
+        name,
+        lambda: step.lambda,
+        scenario: scenario.name,
+        status: "error",
+        passed: false,
+        reason: error.message,
+      })
+      break
+    }
+    const inputPath = `${tmpDir}/${name}.json`
+    await mkdir(dirname(inputPath), { recursive: true })
+    await writeFile(inputPath, JSON.stringify(rendered.event))
+    const result = await runStep({
+      lambda: step.lambda,
+      name,
+      functionId: step.function,
+      inputPath,
+      expect: rendered.expect,
+    })
+    results.push({ ...result, scenario: scenario.name })
+    if (!result.passed) {
+      const skipped = scenario.steps.length - index - 1
+      if (skipped) {
+        log(
+          `⏭️ ${scenario.name}: skipped ${skipped} remaining step${skipped === 1 ? "" : "s"}`
+        )
+      }
+      break
+    }
+    responses[step.name] = stepResponse(result.response)
+  }
+  return results
+}
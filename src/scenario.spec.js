@@ -0,0 +1,173 @@
+import { jest } from "@jest/globals"
+
+const mkdirMock = jest.fn()
+const readFileMock = jest.fn()
+const writeFileMock = jest.fn()
+
+jest.unstable_mockModule("node:fs/promises", () => ({
+  mkdir: mkdirMock,
+  readFile: readFileMock,
+  writeFile: writeFileMock,
+}))
+
+const { parseScenario, runScenario } = await import("./scenario.js")
+
+function stepResult({ lambda, name }, response, passed = true) {
+  return {
+    name,
+    lambda,
+    status: passed ? "passed" : "failed",
+    passed,
+    reason: passed ? undefined : "status code 500",
+    response,
+  }
+}
+
+describe("parseScenario", () => {
+  it("names steps by their index by default", () => {
+    expect(
+      parseScenario("signup", {
+        steps: [{ lambda: "create-user", name: "create" }, { lambda: "get-user" }],
+      })
+    ).toEqual({
+      name: "signup",
+      steps: [
+        { lambda: "create-user", name: "create", event: {} },
+        { lambda: "get-user", name: "1", event: {} },
+      ],
+    })
+  })
+
+  it("throws InputError for a scenario without steps, a step without a lambda, or repeated names", () => {
+    expect(() => parseScenario("signup", { steps: [] })).toThrow(
+      'scenario signup must have a non-empty "steps" array'
+    )
+    expect(() => parseScenario("signup", { steps: [{ name: "a" }] })).toThrow(
+      'step 0 of scenario signup must have a "lambda"'
+    )
+    expect(() =>
+      parseScenario("signup", {
+        steps: [
+          { lambda: "a", name: "x" },
+          { lambda: "b", name: "x" },
+        ],
+      })
+    ).toThrow("scenario signup has more than one step named x")
+  })
+})
+
+describe("runScenario", () => {
+  const scenario = parseScenario("signup", {
+    steps: [
+      {
+        name: "create",
+        lambda: "create-user",
+        event: { body: '{"name":"alice"}' },
+        expect: { statusCode: 201 },
+      },
+      {
+        name: "get",
+        lambda: "get-user",
+        event: {
+          pathParameters: { id: "${steps.create.body.id}" },
+          count: "${steps.create.body.count}",
+        },
+        expect: { paths: { "$.id": "${steps.create.body.id}" } },
+        function: "GetUser",
+      },
+      { name: "delete", lambda: "delete-user" },
+    ],
+  })
+
+  beforeEach(() => {
+    mkdirMock.mockReset()
+    writeFileMock.mockReset()
+  })
+
+  it("runs steps in order, passing values from earlier responses", async () => {
+    const runStep = jest.fn(async (step) =>
+      stepResult(step, { statusCode: 200, body: JSON.stringify({ id: "u1", count: 2 }) })
+    )
+    const results = await runScenario({
+      scenario,
+      eventsDir: "/ev",
+      tmpDir: "/tmp/x",
+      runStep,
+      log: () => {},
+    })
+
+    expect(results.map(({ name, scenario: scenarioName }) => [name, scenarioName])).toEqual([
+      ["signup/create", "signup"],
+      ["signup/get", "signup"],
+      ["signup/delete", "signup"],
+    ])
+    expect(runStep).toHaveBeenNthCalledWith(2, {
+      lambda: "get-user",
+      name: "signup/get",
+      functionId: "GetUser",
+      inputPath: "/tmp/x/signup/get.json",
+      expect: { paths: { "$.id": "u1" } },
+    })
+    expect(mkdirMock).toHaveBeenCalledWith("/tmp/x/signup", { recursive: true })
+    expect(writeFileMock).toHaveBeenCalledWith(
+      "/tmp/x/signup/get.json",
+      JSON.stringify({ pathParameters: { id: "u1" }, count: 2 })
+    )
+  })
+
+  it("uses a plain value returned by a step as its body", async () => {
+    const runStep = jest.fn(async (step) => stepResult(step, { id: "u1", count: 2 }))
+    await runScenario({
+      scenario,
+      eventsDir: "/ev",
+      tmpDir: "/tmp/x",
+      runStep,
+      log: () => {},
+    })
+
+    expect(writeFileMock).toHaveBeenCalledWith(
+      "/tmp/x/signup/get.json",
+      JSON.stringify({ pathParameters: { id: "u1" }, count: 2 })
+    )
+  })
+
+  it("stops at the first step that does not pass", async () => {
+    const log = jest.fn()
+    const runStep = jest.fn(async (step) => stepResult(step, { statusCode: 500 }, false))
+    const results = await runScenario({
+      scenario,
+      eventsDir: "/ev",
+      tmpDir: "/tmp/x",
+      runStep,
+      log,
+    })
+
+    expect(runStep).toHaveBeenCalledTimes(1)
+    expect(results).toEqual([
+      expect.objectContaining({ name: "signup/create", passed: false }),
+    ])
+    expect(log).toHaveBeenCalledWith("⏭️ signup: skipped 2 remaining steps")
+  })
+
+  it("returns an error result if a step refers to a missing value", async () => {
+    const log = jest.fn()
+    const runStep = jest.fn(async (step) => stepResult(step, { statusCode: 200, body: "{}" }))
+    const results = await runScenario({
+      scenario,
+      eventsDir: "/ev",
+      tmpDir: "/tmp/x",
+      runStep,
+      log,
+    })
+
+    expect(runStep).toHaveBeenCalledTimes(1)
+    expect(results[1]).toEqual({
+      name: "signup/get",
+      lambda: "get-user",
+      scenario: "signup",
+      status: "error",
+      passed: false,
+      reason: "${steps.create.body.id} is not defined by an earlier step",
+    })
+  })
+})
@@ -0,0 +1,281 @@
+import { InputError } from "./errors.js"
+import { diffValues } from "./expect.js"
+import { formatPath } from "./json-path.js"
+import { isPlainObject } from "./object.js"
+
+// how far from a multiple a number can be, relative to multipleOf, and still count as one
+const MULTIPLE_EPSILON = 1e-9
+
+// formats that are checked; others are ignored, as JSON Schema allows
+const FORMATS = {
+  "date-time": /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})$/u,
+  date: /^\d{4}-\d{2}-\d{2}$/u,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/u,
+  uuid: /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/iu,
+  uri: /^[a-z][\d+.a-z-]*:\S*$/iu,
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return "null"
+  }
+  if (Array.isArray(value)) {
+    return "array"
+  }
+  return typeof value
+}
+
+function matchesType(type, value) {
+  if (type === "integer") {
+    return Number.isInteger(value)
+  }
+  return typeOf(value) === type
+}
+
+function isEqual(a, b) {
+  return diffValues(a, b, [], { exact: true }).length === 0
+}
+
+/**
+ * Get the value at a JSON pointer like "#/components/schemas/User" in a document.
+ * @param {any} document
+ * @param {string} pointer
+ * @returns {any} undefined if the pointer does not exist
+ */
+export function resolvePointer(document, pointer) {
+  const segments = pointer
+    .replace(/^#/u, "")
+    .split("/")
+    .slice(1)
+    .map((segment) => decodeURIComponent(segment).replaceAll("~1", "/").replaceAll("~0", "~"))
+  let value = document
+  for (const segment of segments) {
+    if (value === null || typeof value !== "object" || !Object.hasOwn(value, segment)) {
+      return undefined
+    }
+    value = value[segment]
+  }
+  return value
+}
+
+function validateString(schema, value, violation) {
+  const violations = []
+  const length = [...value].length
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    violations.push(violation(`must have at least ${schema.minLength} characters`))
+  }
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    violations.push(violation(`must have at most ${schema.maxLength} characters`))
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {
+    violations.push(violation(`must match pattern ${schema.pattern}`))
+  }
+  if (Object.hasOwn(FORMATS, schema.format ?? "") && !FORMATS[schema.format].test(value)) {
+    violations.push(violation(`must be a ${schema.format}`))
+  }
+  return violations
+}
+
+function validateNumber(schema, value, violation) {
+  const violations = []
+  // OpenAPI 3.0 and draft 4 use booleans to make minimum and maximum exclusive
+  const exclusiveMinimum =
+    typeof schema.exclusiveMinimum === "number"
+      ? schema.exclusiveMinimum
+      : schema.exclusiveMinimum === true
+      ? schema.minimum
+      : undefined
+  const exclusiveMaximum =
+    typeof schema.exclusiveMaximum === "number"
+      ? schema.exclusiveMaximum
+      : schema.exclusiveMaximum === true
+      ? schema.maximum
+      : undefined
+  if (exclusiveMinimum !== undefined && value <= exclusiveMinimum) {
+    violations.push(violation(`must be > ${exclusiveMinimum}`))
+  } else if (schema.minimum !== undefined && value < schema.minimum) {
+    violations.push(violation(`must be >= ${schema.minimum}`))
+  }
+  if (exclusiveMaximum !== undefined && value >= exclusiveMaximum) {
+    violations.push(violation(`must be < ${exclusiveMaximum}`))
+  } else if (schema.maximum !== undefined && value > schema.maximum) {
+    violations.push(violation(`must be <= ${schema.maximum}`))
+  }
+  if (schema.multipleOf !== undefined && !isMultipleOf(value, schema.multipleOf)) {
+    violations.push(violation(`must be a multiple of ${schema.multipleOf}`))
+  }
+  return violations
+}
+
+// decimal steps are inexact in floating point, so 0.3 % 0.1 is almost 0.1 rather than 0
+function isMultipleOf(value, step) {
+  const remainder = Math.abs(value % step)
+  return Math.min(remainder, step - remainder) <= MULTIPLE_EPSILON * step
+}
+
+function validateArray(schema, value, path, root, violation) {
+  const violations = []
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    violations.push(violation(`must have at least ${schema.minItems} items`))
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    violations.push(violation(`must have at most ${schema.maxItems} items`))
+  }
+  if (schema.uniqueItems) {
+    const duplicate = value.findIndex((item, index) =>
+      value.slice(0, index).some((other) => isEqual(item, other))
+    )
+    if (duplicate !== -1) {
+      violations.push(
+        violation(`must not have duplicate items; [${duplicate}] is a duplicate`)
+      )
+    }
+  }
+  // a list of items, as in draft 4, or prefixItems describe the first items; items then describes the rest
+  const prefixItems = Array.isArray(schema.items) ? schema.items : schema.prefixItems ?? []
+  const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items
+  for (const [index, item] of value.entries()) {
+    const itemSchema = index < prefixItems.length ? prefixItems[index] : rest
+    violations.push(...validate(itemSchema, item, [...path, index], root))
+  }
+  return violations
+}
+
+function validateObject(schema, value, path, root, violation) {
+  const violations = []
+  const keys = Object.keys(value)
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    violations.push(violation(`must have at least ${schema.minProperties} properties`))
+  }
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    violations.push(violation(`must have at most ${schema.maxProperties} properties`))
+  }
+  for (const key of schema.required ?? []) {
+    if (value[key] === undefined) {
+      violations.push(violation("is required", [...path, key]))
+    }
+  }
+  const properties = schema.properties ?? {}
+  const patterns = Object.entries(schema.patternProperties ?? {}).map(
+    ([pattern, patternSchema]) => [new RegExp(pattern, "u"), patternSchema]
+  )
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) {
+      continue
+    }
+    const keyPath = [...path, key]
+    const matching = patterns.filter(([pattern]) => pattern.test(key))
+    for (const [, patternSchema] of matching) {
+      violations.push(...validate(patternSchema, item, keyPath, root))
+    }
+    if (Object.hasOwn(properties, key)) {
+      violations.push(...validate(properties[key], item, keyPath, root))
+    } else if (!matching.length && schema.additionalProperties !== undefined) {
+      violations.push(...validate(schema.additionalProperties, item, keyPath, root))
+    }
+  }
+  return violations
+}
+
+function validateCombinations(schema, value, path, root, violation) {
+  const violations = []
+  for (const subschema of schema.allOf ?? []) {
+    violations.push(...validate(subschema, value, path, root))
+  }
+  const matches = (subschema) => validate(subschema, value, path, root).length === 0
+  if (schema.anyOf && !schema.anyOf.some(matches)) {
+    violations.push(violation("must match a schema in anyOf"))
+  }
+  if (schema.oneOf) {
+    const count = schema.oneOf.filter(matches).length
+    if (count !== 1) {
+      violations.push(violation(`must match exactly one schema in oneOf; matches ${count}`))
+    }
+  }
+  if (schema.not !== undefined && matches(schema.not)) {
+    violations.push(violation("must not match the schema in not"))
+  }
+  return violations
+}
+
+function validate(schema, value, path, root) {
+  const violation = (message, at = path) => ({ path: formatPath(at), message })
+  if (schema === undefined || schema === true) {
+    return []
+  }
+  if (schema === false) {
+    return [violation("is not allowed")]
+  }
+  if (schema.$ref !== undefined) {
+    if (!schema.$ref.startsWith("#")) {
+      throw new InputError(
+        `only $ref within the same document is supported; got: ${schema.$ref}`
+      )
+    }
+    const target = resolvePointer(root, schema.$ref)
+    if (target === undefined) {
+      throw new InputError(`$ref ${schema.$ref} does not exist`)
+    }
+    // keywords next to $ref also apply, as in newer drafts
+    const { $ref, ...rest } = schema
+    return [...validate(target, value, path, root), ...validate(rest, value, path, root)]
+  }
+  // OpenAPI 3.0 uses nullable instead of a "null" type
+  if (value === null && schema.nullable) {
+    return []
+  }
+  if (schema.type !== undefined) {
+    const types = [schema.type].flat()
+    if (!types.some((type) => matchesType(type, value))) {
+      return [violation(`must be ${types.join(" or ")}; got ${typeOf(value)}`)]
+    }
+  }
+  const violations = []
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    violations.push(violation(`must be ${JSON.stringify(schema.const)}`))
+  }
+  if (schema.enum && !schema.enum.some((allowed) => isEqual(allowed, value))) {
+    violations.push(
+      violation(
+        `must be one of: ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(", ")}`
+      )
+    )
+  }
+  if (typeof value === "string") {
+    violations.push(...validateString(schema, value, violation))
+  } else if (typeof value === "number") {
+    violations.push(...validateNumber(schema, value, violation))
+  } else if (Array.isArray(value)) {
+    violations.push(...validateArray(schema, value, path, root, violation))
+  } else if (isPlainObject(value)) {
+    violations.push(...validateObject(schema, value, path, root, violation))
+  }
+  violations.push(...validateCombinations(schema, value, path, root, violation))
+  return violations
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * Supports the keywords of draft 4 through 2020-12 that describe JSON data, along with OpenAPI's nullable.
+ * Formats other than date-time, date, email, uuid and uri are not checked.
+ * @param {Object|boolean} schema
+ * @param {any} value
+ * @param {Object=} $3
+ * @param {Array<string|number>=} $3.path segments to prefix to each violation's path
+ * @param {Object=} $3.root the document that "$ref" pointers are resolved in; defaults to the schema itself
+ * @returns {Array<{path: string, message: string}>} empty if the value is valid
+ * @throws {InputError} if a "$ref" is not a pointer into root or does not exist
+ */
+export function validateSchema(schema, value, { path = [], root = schema } = {}) {
+  return validate(schema, value, path, root)
+}
+
+/**
+ * Format schema violations as a line per violation.
+ * @param {Array<{path: string, message: string}>} violations
+ * @param {string=} indent
+ * @returns {string}
+ */
+export function formatViolations(violations, indent = "  ") {
+  return violations.map(({ path, message }) => `${indent}${path} ${message}`).join("\n")
+}
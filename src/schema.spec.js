@@ -0,0 +1,152 @@
+import { formatViolations, resolvePointer, validateSchema } from "./schema.js"
+
+describe("resolvePointer", () => {
+  const document = { components: { schemas: { User: { type: "object" }, "a/b": 1 } } }
+
+  it("returns the value at a pointer", () => {
+    expect(resolvePointer(document, "#/components/schemas/User")).toEqual({ type: "object" })
+    expect(resolvePointer(document, "#/components/schemas/a~1b")).toBe(1)
+    expect(resolvePointer(document, "#")).toBe(document)
+  })
+
+  it("returns undefined for a missing pointer", () => {
+    expect(resolvePointer(document, "#/components/responses")).toBeUndefined()
+  })
+})
+
+describe("validateSchema", () => {
+  const user = {
+    type: "object",
+    required: ["id", "email"],
+    properties: {
+      id: { type: "string", format: "uuid" },
+      email: { type: "string", format: "email" },
+      age: { type: "integer", minimum: 0 },
+      roles: { type: "array", items: { enum: ["admin", "viewer"] }, uniqueItems: true },
+    },
+    additionalProperties: false,
+  }
+
+  it("returns no violations for a valid value", () => {
+    expect(
+      validateSchema(user, {
+        id: "4c6f7f1e-3f1a-4b59-9a7e-1f3c2b6a9d10",
+        email: "alice@example.com",
+        age: 30,
+        roles: ["admin"],
+      })
+    ).toEqual([])
+  })
+
+  it("returns the path of each violation", () => {
+    expect(
+      validateSchema(
+        user,
+        { id: 1, age: 1.5, roles: ["owner", "admin", "admin"], name: "alice" },
+        { path: ["body"] }
+      )
+    ).toEqual([
+      { path: "$.body.email", message: "is required" },
+      { path: "$.body.id", message: "must be string; got number" },
+      { path: "$.body.age", message: "must be integer; got number" },
+      { path: "$.body.roles", message: "must not have duplicate items; [2] is a duplicate" },
+      { path: "$.body.roles[0]", message: 'must be one of: "admin", "viewer"' },
+      { path: "$.body.name", message: "is not allowed" },
+    ])
+  })
+
+  it("checks strings, numbers and arrays", () => {
+    const schema = {
+      type: "array",
+      minItems: 3,
+      prefixItems: [{ type: "string", minLength: 2, pattern: "^[a-z]+$" }, { type: "number" }],
+      items: { type: "number", exclusiveMinimum: 0, multipleOf: 5 },
+    }
+    expect(validateSchema(schema, ["A", 3, 0])).toEqual([
+      { path: "$[0]", message: "must have at least 2 characters" },
+      { path: "$[0]", message: "must match pattern ^[a-z]+$" },
+      { path: "$[2]", message: "must be > 0" },
+    ])
+    expect(validateSchema(schema, ["ab"])).toEqual([
+      { path: "$", message: "must have at least 3 items" },
+    ])
+  })
+
+  it("checks multipleOf with decimal steps", () => {
+    const schema = { type: "number", multipleOf: 0.1 }
+    expect(validateSchema(schema, 0.3)).toEqual([])
+    expect(validateSchema(schema, 1.7)).toEqual([])
+    expect(validateSchema(schema, 0.35)).toEqual([
+      { path: "$", message: "must be a multiple of 0.1" },
+    ])
+    expect(validateSchema({ type: "integer", multipleOf: 5 }, 12)).toEqual([
+      { path: "$", message: "must be a multiple of 5" },
+    ])
+  })
+
+  it("resolves $ref in the root document", () => {
+    const document = {
+      components: { schemas: { Item: { type: "object", required: ["id"] } } },
+    }
+    const schema = { type: "array", items: { $ref: "#/components/schemas/Item" } }
+    expect(validateSchema(schema, [{ id: 1 }, {}], { root: document })).toEqual([
+      { path: "$[1].id", message: "is required" },
+    ])
+    expect(() =>
+      validateSchema({ $ref: "#/components/schemas/Missing" }, {}, { root: document })
+    ).toThrow("$ref #/components/schemas/Missing does not exist")
+    expect(() => validateSchema({ $ref: "other.json#/Item" }, {})).toThrow(
+      "only $ref within the same document is supported; got: other.json#/Item"
+    )
+  })
+
+  it("allows null with nullable or a null type", () => {
+    expect(validateSchema({ type: "string", nullable: true }, null)).toEqual([])
+    expect(validateSchema({ type: ["string", "null"] }, null)).toEqual([])
+    expect(validateSchema({ type: "string" }, null)).toEqual([
+      { path: "$", message: "must be string; got null" },
+    ])
+  })
+
+  it("checks allOf, anyOf, oneOf and not", () => {
+    const schema = {
+      allOf: [{ required: ["kind"] }],
+      oneOf: [
+        { properties: { kind: { const: "a" } } },
+        { properties: { kind: { const: "b" } } },
+      ],
+      not: { required: ["deleted"] },
+    }
+    expect(validateSchema(schema, { kind: "a" })).toEqual([])
+    expect(validateSchema(schema, { kind: "c", deleted: true })).toEqual([
+      { path: "$", message: "must match exactly one schema in oneOf; matches 0" },
+      { path: "$", message: "must not match the schema in not" },
+    ])
+    expect(validateSchema({ anyOf: [{ type: "string" }, { type: "number" }] }, true)).toEqual([
+      { path: "$", message: "must match a schema in anyOf" },
+    ])
+  })
+
+  it("supports OpenAPI 3.0 exclusive bounds and boolean schemas", () => {
+    expect(validateSchema({ maximum: 10, exclusiveMaximum: true }, 10)).toEqual([
+      { path: "$", message: "must be < 10" },
+    ])
+    expect(validateSchema({ properties: { a: false } }, { a: 1 })).toEqual([
+      { path: "$.a", message: "is not allowed" },
+    ])
+  })
+})
+
+describe("formatViolations", () => {
+  it("formats a line per violation", () => {
+    expect(
+      formatViolations(
+        [
+          { path: "$.body.id", message: "is required" },
+          { path: "$.body.age", message: "must be >= 0" },
+        ],
+        "    "
+      )
+    ).toBe("    $.body.id is required\n    $.body.age must be >= 0")
+  })
+})
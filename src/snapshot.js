@@ -0,0 +1,53 @@
+import { mkdir, readFile, writeFile } from "node:fs/promises"
+import { dirname } from "node:path"
+import { diffValues } from "./expect.js"
+import { replacePath } from "./json-path.js"
+
+export const SNAPSHOTS_DIRNAME = "__snapshots__"
+export const IGNORED = "[ignored]"
+
+/**
+ * Copy a response, replacing the values at ignored paths so that they do not affect comparisons.
+ * @param {Object} response
+ * @param {Array<string>=} ignore JSON paths into the response, such as "$.body.createdAt" or "$.headers.date"
+ * @returns {Object}
+ */
+export function normalizeResponse(response, ignore = []) {
+  const normalized = JSON.parse(JSON.stringify(response))
+  for (const path of ignore) {
+    replacePath(normalized, path, IGNORED)
+  }
+  return normalized
+}
+
+/**
+ * Compare a response with its stored snapshot, writing the snapshot if it does not exist yet.
+ * @param {Object} $1
+ * @param {string} $1.snapshotsDir
+ * @param {string} $1.name the name of the case; the snapshot is stored in "<snapshotsDir>/<name>.json"
+ * @param {Object} $1.response
+ * @param {Array<string>=} $1.ignore JSON paths into the response to ignore
+ * @param {boolean=} $1.update if true, overwrite the snapshot instead of comparing with it
+ * @returns {Promise<{status: "written"|"updated"|"matched"|"failed", differences: Array}>}
+ */
+export async function matchSnapshot({ snapshotsDir, name, response, ignore, update = false }) {
+  const snapshotPath = `${snapshotsDir}/${name}.json`
+  const normalized = normalizeResponse(response, ignore)
+
+  let snapshot
+  try {
+    snapshot = JSON.parse((await readFile(snapshotPath)).toString())
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error
+    }
+  }
+
+  if (snapshot === undefined || update) {
+    await mkdir(dirname(snapshotPath), { recursive: true })
+    await writeFile(snapshotPath, `${JSON.stringify(normalized, null, 2)}\n`)
+    return { status: snapshot === undefined ? "written" : "updated", differences: [] }
+  }
+  const differences = diffValues(snapshot, normalized, [], { exact: true })
+  return { status: differences.length ? "failed" : "matched", differences }
+}
@@ -0,0 +1,89 @@
+import { jest } from "@jest/globals"
+
+const mkdirMock = jest.fn()
+const readFileMock = jest.fn()
+const writeFileMock = jest.fn()
+
+jest.unstable_mockModule("node:fs/promises", () => ({
+  mkdir: mkdirMock,
+  readFile: readFileMock,
+  writeFile: writeFileMock,
+}))
+
+const { matchSnapshot, normalizeResponse } = await import("./snapshot.js")
+
+describe("normalizeResponse", () => {
+  it("replaces ignored paths without changing the response", () => {
+    const response = { statusCode: 200, body: { id: "x", items: [{ at: 1 }, { at: 2 }] } }
+    expect(normalizeResponse(response, ["$.body.id", "$.body.items[*].at"])).toEqual({
+      statusCode: 200,
+      body: { id: "[ignored]", items: [{ at: "[ignored]" }, { at: "[ignored]" }] },
+    })
+    expect(response.body.id).toBe("x")
+  })
+})
+
+describe("matchSnapshot", () => {
+  const response = { statusCode: 200, body: { id: "x", name: "a" } }
+
+  beforeEach(() => {
+    mkdirMock.mockReset()
+    readFileMock.mockReset()
+    writeFileMock.mockReset()
+  })
+
+  it("writes the snapshot if it does not exist", async () => {
+    readFileMock.mockRejectedValue(Object.assign(new Error("ENOENT"), { code: "ENOENT" }))
+    const result = await matchSnapshot({
+      snapshotsDir: "/snap",
+      name: "foo/bar",
+      response,
+      ignore: ["$.body.id"],
+    })
+    expect(result).toEqual({ status: "written", differences: [] })
+    expect(mkdirMock).toHaveBeenCalledWith("/snap/foo", { recursive: true })
+    expect(writeFileMock).toHaveBeenCalledWith(
+      "/snap/foo/bar.json",
+      `${JSON.stringify({ statusCode: 200, body: { id: "[ignored]", name: "a" } }, null, 2)}\n`
+    )
+  })
+
+  it("matches an equal snapshot", async () => {
+    const snapshot = { statusCode: 200, body: { id: "[ignored]", name: "a" } }
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify(snapshot)))
+    const result = await matchSnapshot({
+      snapshotsDir: "/snap",
+      name: "foo",
+      response,
+      ignore: ["$.body.id"],
+    })
+    expect(result).toEqual({ status: "matched", differences: [] })
+    expect(writeFileMock).not.toHaveBeenCalled()
+  })
+
+  it("fails on missing, changed and added values", async () => {
+    const snapshot = { statusCode: 200, body: { id: "y" }, headers: {} }
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify(snapshot)))
+    const result = await matchSnapshot({ snapshotsDir: "/snap", name: "foo", response })
+    expect(result).toEqual({
+      status: "failed",
+      differences: [
+        { path: "$.body.id", expected: "y", actual: "x" },
+        { path: "$.body.name", expected: undefined, actual: "a" },
+        { path: "$.headers", expected: {}, actual: undefined },
+      ],
+    })
+  })
+
+  it("overwrites the snapshot when updating", async () => {
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify({ statusCode: 500 })))
+    const result = await matchSnapshot({
+      snapshotsDir: "/snap",
+      name: "foo",
+      response,
+      update: true,
+    })
+    expect(result).toEqual({ status: "updated", differences: [] })
+    expect(writeFileMock).toHaveBeenCalledWith("/snap/foo.json", expect.any(String))
+  })
+})
@@ -0,0 +1,80 @@
+import { spawn } from "node:child_process"
+
+// how long a command that timed out has to stop before it is killed outright
+const KILL_DELAY = 2000
+
+/**
+ * Run a command that invokes a lambda, such as `aws lambda invoke` or `sam local invoke`.
+ * The output that is not captured is written to stdoutFd or, for stderr, passed through and returned as errorOutput,
+ * which names the error if the command fails.
+ * With a timeout, the command runs in its own process group. If it runs for longer, the group is sent SIGTERM and then
+ * SIGKILL if the command has not stopped after 2 seconds, so that processes it started, such as a wrapper script's children,
+ * are stopped along with it. The promise then resolves once the command exits, even if such a process holds its output open.
+ * @param {string} command
+ * @param {Array<string>} args
+ * @param {Object} $3
+ * @param {string} $3.capture "stdout" or "stderr"
+ * @param {{fd: number}=} $3.stdoutFd where stdout is written if it is not captured
+ * @param {number=} $3.timeout in seconds
+ * @param {function(...any): void} log
+ * @returns {Promise<{code: number|null, output: string, errorOutput: string, timedOut: boolean}>}
+ */
+export function spawnInvocation(command, args, { stdoutFd, capture, timeout }, log) {
+  log(`command: ${command} ${args.join(" ")}`)
+  const subprocess = spawn(command, args, {
+    stdio: ["inherit", capture === "stdout" ? "pipe" : stdoutFd.fd, "pipe"],
+    // only a command in its own process group can be stopped along with the processes it started
+    detached: Boolean(timeout),
+  })
+  const chunks = []
+  subprocess[capture].on("data", (chunk) => chunks.push(chunk))
+  const errorChunks = []
+  if (capture !== "stderr") {
+    subprocess.stderr.on("data", (chunk) => {
+      errorChunks.push(chunk)
+      process.stderr.write(chunk)
+    })
+  }
+  const killGroup = (signal) => {
+    try {
+      process.kill(-subprocess.pid, signal)
+    } catch {
+      // every process in the group has exited
+    }
+  }
+  let timedOut = false
+  let killTimer
+  const timer =
+    timeout &&
+    setTimeout(() => {
+      timedOut = true
+      killTimer = setTimeout(() => killGroup("SIGKILL"), KILL_DELAY)
+      killGroup("SIGTERM")
+    }, timeout * 1000)
+
+  // unclear when this has effect
+  subprocess.on("error", console.error)
+
+  return new Promise((resolve) => {
+    const finish = (code) => {
+      clearTimeout(timer)
+      clearTimeout(killTimer)
+      resolve({
+        code,
+        output: Buffer.concat(chunks).toString(),
+        errorOutput: Buffer.concat(errorChunks).toString(),
+        timedOut,
+      })
+    }
+    subprocess.on("exit", (code) => {
+      // close waits for every process holding the pipes, so processes that outlived the command are killed
+      if (timedOut) {
+        killGroup("SIGKILL")
+        subprocess.stdout?.destroy()
+        subprocess.stderr?.destroy()
+        finish(code)
+      }
+    })
+    subprocess.on("close", finish)
+  })
+}
@@ -0,0 +1,60 @@
+import { jest } from "@jest/globals"
+import { readFile } from "node:fs/promises"
+import { spawnInvocation } from "./spawn.js"
+
+// whether a process is still running; a killed process that has not been reaped yet is a zombie
+async function isRunning(pid) {
+  try {
+    const stat = await readFile(`/proc/${pid}/stat`, "utf-8")
+    return stat.slice(stat.lastIndexOf(")") + 2)[0] !== "Z"
+  } catch {
+    return false
+  }
+}
+
+describe("spawnInvocation", () => {
+  let stderrSpy
+
+  beforeEach(() => {
+    stderrSpy = jest.spyOn(process.stderr, "write").mockImplementation(() => true)
+  })
+
+  afterEach(() => {
+    stderrSpy.mockRestore()
+  })
+
+  it("captures the output and errors of a command", async () => {
+    const result = await spawnInvocation(
+      "sh",
+      ["-c", "echo out; echo err >&2; exit 3"],
+      { capture: "stdout" },
+      () => {}
+    )
+    expect(result).toEqual({ code: 3, output: "out\n", errorOutput: "err\n", timedOut: false })
+  })
+
+  it("stops the processes started by a command that times out", async () => {
+    const { output, timedOut } = await spawnInvocation(
+      "sh",
+      ["-c", "sleep 30 & echo $!; wait"],
+      { capture: "stdout", timeout: 0.2 },
+      () => {}
+    )
+    expect(timedOut).toBe(true)
+    const pid = Number(output.trim())
+    await new Promise((resolve) => setTimeout(resolve, 100))
+    expect(await isRunning(pid)).toBe(false)
+  })
+
+  it("kills a command that does not stop after it times out", async () => {
+    const start = Date.now()
+    const { timedOut } = await spawnInvocation(
+      "sh",
+      ["-c", 'trap "" TERM; sleep 30 & wait'],
+      { capture: "stdout", timeout: 0.2 },
+      () => {}
+    )
+    expect(timedOut).toBe(true)
+    expect(Date.now() - start).toBeLessThan(5000)
+  })
+})
@@ -0,0 +1,62 @@
+import { execFileSync } from "node:child_process"
+import { awsCliOptions } from "./target.js"
+
+/**
+ * Map each logical ID in a deployed stack to its physical ID, such as a function's deployed name.
+ * The resources are listed with `list-stack-resources`, which the AWS CLI pages through, since `describe-stack-resources`
+ * returns only the first 100.
+ * @param {string} stackName
+ * @param {{region: string=, profile: string=}=} target where the stack is deployed; defaults to the AWS CLI's configuration
+ * @returns {Object<string, string>}
+ */
+export function describeStackResources(stackName, target) {
+  try {
+    const output = execFileSync(
+      "aws",
+      [
+        "cloudformation",
+        "list-stack-resources",
+        "--stack-name",
+        stackName,
+        "--query",
+        "StackResourceSummaries[].[LogicalResourceId,PhysicalResourceId]",
+        "--output",
+        "json",
+        ...awsCliOptions(target),
+      ],
+      { encoding: "utf-8" }
+    )
+    return Object.fromEntries(JSON.parse(output))
+  } catch (err) {
+    throw new Error(`Failed to describe stack resources: ${err.message}`)
+  }
+}
+
+/**
+ * Get the outputs of a deployed stack.
+ * @param {string} stackName
+ * @param {{region: string=, profile: string=}=} target where the stack is deployed; defaults to the AWS CLI's configuration
+ * @returns {Object<string, string>} maps output keys to values
+ */
+export function describeStackOutputs(stackName, target) {
+  try {
+    const output = execFileSync(
+      "aws",
+      [
+        "cloudformation",
+        "describe-stacks",
+        "--stack-name",
+        stackName,
+        "--query",
+        "Stacks[0].Outputs[].[OutputKey,OutputValue]",
+        "--output",
+        "json",
+        ...awsCliOptions(target),
+      ],
+      { encoding: "utf-8" }
+    )
+    return Object.fromEntries(JSON.parse(output) ?? [])
+  } catch (err) {
+    throw new Error(`Failed to describe stack outputs: ${err.message}`)
+  }
+}
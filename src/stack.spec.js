@@ -0,0 +1,106 @@
+import { jest } from "@jest/globals"
+
+const execFileSyncMock = jest.fn()
+
+jest.unstable_mockModule("node:child_process", () => ({
+  execFileSync: execFileSyncMock,
+}))
+
+const { describeStackOutputs, describeStackResources } = await import("./stack.js")
+
+describe("describeStackResources", () => {
+  beforeEach(() => {
+    execFileSyncMock.mockReset()
+  })
+
+  it("maps logical IDs to physical IDs", () => {
+    execFileSyncMock.mockReturnValue(
+      JSON.stringify([
+        ["Query", "app-Query-AbC123"],
+        ["QueryAll", "app-QueryAll-XyZ789"],
+      ])
+    )
+    expect(describeStackResources("app")).toEqual({
+      Query: "app-Query-AbC123",
+      QueryAll: "app-QueryAll-XyZ789",
+    })
+    expect(execFileSyncMock).toHaveBeenCalledWith(
+      "aws",
+      [
+        "cloudformation",
+        "list-stack-resources",
+        "--stack-name",
+        "app",
+        "--query",
+        "StackResourceSummaries[].[LogicalResourceId,PhysicalResourceId]",
+        "--output",
+        "json",
+      ],
+      expect.objectContaining({ encoding: "utf-8" })
+    )
+  })
+
+  it("maps every resource of a stack with more than 100", () => {
+    const resources = Array.from({ length: 150 }, (_, index) => [
+      `Function${index}`,
+      `app-Function${index}-${index}`,
+    ])
+    execFileSyncMock.mockReturnValue(JSON.stringify(resources))
+    const physicalIds = describeStackResources("app")
+    expect(Object.keys(physicalIds)).toHaveLength(150)
+    expect(physicalIds.Function149).toBe("app-Function149-149")
+    // the AWS CLI pages through list-stack-resources unless told not to
+    expect(execFileSyncMock.mock.calls[0][1]).not.toEqual(
+      expect.arrayContaining([expect.stringMatching(/^--no-paginate$|^--max-items$/u)])
+    )
+  })
+
+  it("adds the region and profile of a target", () => {
+    execFileSyncMock.mockReturnValue("[]")
+    describeStackResources("app", { region: "eu-west-1", profile: "prod" })
+    expect(execFileSyncMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining(["--region", "eu-west-1", "--profile", "prod"]),
+      expect.any(Object)
+    )
+  })
+
+  it("throws with error message if the AWS CLI fails", () => {
+    execFileSyncMock.mockImplementation(() => {
+      throw new Error("Stack with id app does not exist")
+    })
+    expect(() => describeStackResources("app")).toThrow(
+      "Failed to describe stack resources: Stack with id app does not exist"
+    )
+  })
+})
+
+describe("describeStackOutputs", () => {
+  beforeEach(() => {
+    execFileSyncMock.mockReset()
+  })
+
+  it("maps output keys to values", () => {
+    execFileSyncMock.mockReturnValue(JSON.stringify([["UserPoolId", "us-east-1_abc"]]))
+    expect(describeStackOutputs("app")).toEqual({ UserPoolId: "us-east-1_abc" })
+    expect(execFileSyncMock).toHaveBeenCalledWith(
+      "aws",
+      expect.arrayContaining(["cloudformation", "describe-stacks", "--stack-name", "app"]),
+      expect.objectContaining({ encoding: "utf-8" })
+    )
+  })
+
+  it("returns no outputs for a stack without outputs", () => {
+    execFileSyncMock.mockReturnValue("null")
+    expect(describeStackOutputs("app")).toEqual({})
+  })
+
+  it("throws with error message if the AWS CLI fails", () => {
+    execFileSyncMock.mockImplementation(() => {
+      throw new Error("Stack with id app does not exist")
+    })
+    expect(() => describeStackOutputs("app")).toThrow(
+      "Failed to describe stack outputs: Stack with id app does not exist"
+    )
+  })
+})
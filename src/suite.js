@@ -0,0 +1,738 @@
+import { mkdir, mkdtemp, readFile, readdir, rm } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { basename, dirname, extname, join, resolve } from "node:path"
+import {
+  benchStats,
+  compareBaseline,
+  formatBench,
+  readBaseline,
+  runBench,
+  writeBaseline,
+} from "./bench.js"
+import { parseParameterOverrides, parseTemplate } from "./cloudformation.js"
+import { InputError } from "./errors.js"
+import { compareResults } from "./compare.js"
+import { createContractCheck } from "./contract.js"
+import { EXPECT_SUFFIX, loadCases } from "./events.js"
+import { matchesAny, selectCases } from "./filter.js"
+import { createOrderedOutput, mapLimit } from "./pool.js"
+import { resolveReport, writeReport } from "./report.js"
+import { parseRetryOptions, withRetries } from "./retry.js"
+import { runLambda } from "./run-lambda.js"
+import { SCENARIO_SUFFIX, runScenario } from "./scenario.js"
+import { SNAPSHOTS_DIRNAME } from "./snapshot.js"
+import { describeStackOutputs, describeStackResources } from "./stack.js"
+import { formatSummary, summarize } from "./summary.js"
+import { listFunctions } from "./template.js"
+import { affectedLambdas, watchFiles } from "./watch.js"
+
+export const MODES = ["remote", "local", "node"]
+const BACKENDS = ["cli", "http"]
+
+function parseConcurrency(concurrency, mode, bench) {
+  if (concurrency === undefined || concurrency === "") {
+    // handlers invoked in this process share process.env, which is set per function,
+    // and benchmarks are more stable when invocations do not compete
+    return mode === "node" || bench ? 1 : Infinity
+  }
+  const limit = Number(concurrency)
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new InputError(`concurrency must be a positive integer; got: ${concurrency}`)
+  }
+  return limit
+}
+
+/**
+ * List the lambdas in an events directory: the names of its event files, directories and scenarios.
+ * @param {string} eventsDir
+ * @param {Object=} $2
+ * @param {Array<string>=} $2.patterns names or glob patterns of lambdas to list; all are listed if empty
+ * @param {Array<string>=} $2.exclude names or glob patterns of lambdas not to list
+ * @returns {Promise<Array<string>>}
+ * @throws {InputError} if eventsDir does not exist
+ */
+export async function listLambdas(eventsDir, { patterns = [], exclude = [] } = {}) {
+  let filenames
+  try {
+    filenames = await readdir(eventsDir)
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new InputError(
+        `events directory ${eventsDir} does not exist; set EVENTS_DIR or eventsDir in a config file`
+      )
+    }
+    throw error
+  }
+  const lambdas = filenames
+    .filter(
+      (lambdaFilename) =>
+        // names starting with "_" are for snapshots and shared fixtures rather than lambdas
+        !lambdaFilename.endsWith(EXPECT_SUFFIX) && !lambdaFilename.startsWith("_")
+    )
+    .map((lambdaFilename) =>
+      lambdaFilename.endsWith(SCENARIO_SUFFIX)
+        ? lambdaFilename.slice(0, -SCENARIO_SUFFIX.length)
+        : basename(lambdaFilename, extname(lambdaFilename))
+    )
+  // a lambda can have both an event file and a directory of events
+  return [...new Set(lambdas)].filter(
+    (lambda) =>
+      (!patterns.length || matchesAny(lambda, patterns)) && !matchesAny(lambda, exclude)
+  )
+}
+
+async function readTemplate(templatePath) {
+  let text
+  try {
+    text = (await readFile(templatePath)).toString()
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new InputError(
+        `template ${templatePath} does not exist; set TEMPLATE_PATH or templatePath in a config file`
+      )
+    }
+    throw error
+  }
+  return parseTemplate(text, templatePath)
+}
+
+/**
+ * Prepare to run the cases of lambdas: read the template, describe the stack in remote mode and make a temporary directory
+ * for rendered events. Call close when done.
+ * @param {Object} $1
+ * @param {string} $1.mode "remote", "local" or "node"
+ * @param {string=} $1.outputDir defaults to the temporary directory
+ * @param {string} $1.eventsDir
+ * @param {string} $1.templatePath
+ * @param {string=} $1.stackName
+ * @param {string=} $1.parameterOverrides
+ * @param {string=} $1.stage sets the template's Stage parameter, if it has one that is not overridden
+ * @param {string=} $1.region
+ * @param {string=} $1.profile an AWS CLI named profile
+ * @param {string=} $1.qualifier a version or alias to invoke in remote mode
+ * @param {string=} $1.backend "cli" or "http"
+ * @param {string=} $1.endpointUrl
+ * @param {boolean=} $1.localEndpoint whether endpointUrl is a local server such as `sam local start-lambda`, which names functions by
+ *  their logical ID, so the stack is not described
+ * @param {Object=} $1.snapshot options for matchSnapshot, if responses should be compared with snapshots
+ * @param {Object<string, string>=} $1.schemas JSON Schemas of responses by lambda name or logical ID; see createContractCheck
+ * @param {string=} $1.openapiPath an OpenAPI document to check the responses of API Gateway events against
+ * @param {string|number=} $1.timeout seconds after which an invocation is stopped, in remote and local mode
+ * @param {string|number=} $1.retries how many times to retry an invocation whose result is transient; see withRetries
+ * @param {string|number=} $1.retryDelay milliseconds to wait before the first retry, which doubles for each retry after it
+ * @param {boolean=} $1.filtered whether to print the full response of each case
+ * @param {boolean=} $1.isolate whether to call handlers in node mode in a worker, so that changes to their modules are seen
+ * @param {function(...any): void=} $1.log
+ * @returns {Promise<Object>} a runner with loadCases(lambdas, selection) to load the selected cases of lambdas and make
+ *  directories for their responses, makeCaseDirs(cases) to make those directories for cases loaded by another runner,
+ *  runCase(testCase, {log, coldStart}) to run a case and return its result or, for a scenario, the results of its steps,
+ *  reloadTemplate(), document, tmpDir, render and close()
+ */
+export async function createRunner({
+  mode,
+  outputDir,
+  eventsDir,
+  templatePath,
+  stackName,
+  parameterOverrides,
+  stage,
+  region,
+  profile,
+  qualifier,
+  backend = "cli",
+  endpointUrl,
+  localEndpoint = false,
+  snapshot,
+  schemas,
+  openapiPath,
+  timeout,
+  retries,
+  retryDelay,
+  filtered = false,
+  isolate = false,
+  log = console.log,
+}) {
+  if (!MODES.includes(mode)) {
+    throw new InputError("mode must be 'remote', 'local' or 'node'")
+  }
+  if (!BACKENDS.includes(backend)) {
+    throw new InputError(`backend must be one of: ${BACKENDS.join(", ")}`)
+  }
+  if (localEndpoint && !(backend === "http" && endpointUrl)) {
+    throw new InputError("--local-endpoint needs the http backend and an endpoint URL")
+  }
+  const retry = parseRetryOptions({ timeout, retries, retryDelay })
+  let document = await readTemplate(templatePath)
+  const parameters = parseParameterOverrides(parameterOverrides)
+  if (stage && document.Parameters?.Stage && parameters.Stage === undefined) {
+    parameters.Stage = stage
+  }
+  const target = { region, profile }
+  let physicalIds
+  if (mode === "remote" && stackName && !localEndpoint) {
+    try {
+      physicalIds = describeStackResources(stackName, target)
+    } catch (error) {
+      log(`${error.message}; falling back to looking up functions by name prefix`)
+    }
+  }
+
+  let stackOutputs
+  const render = {
+    // only described if an event refers to an output
+    stackOutputs: stackName
+      ? () => (stackOutputs ??= describeStackOutputs(stackName, target))
+      : undefined,
+  }
+  const contract = createContractCheck({ eventsDir, schemas, openapiPath })
+  const tmpDir = await mkdtemp(join(tmpdir(), "test-lambda-"))
+  outputDir ??= tmpDir
+
+  const makeCaseDirs = async (cases) => {
+    // the responses of a scenario's steps are put in a directory named after the scenario
+    const caseDirs = new Set(
+      cases.map(({ name, scenario }) =>
+        scenario ? `${outputDir}/${name}` : dirname(`${outputDir}/${name}`)
+      )
+    )
+    await Promise.all([...caseDirs].map((caseDir) => mkdir(caseDir, { recursive: true })))
+  }
+
+  const invoke = ({ lambda, name, inputPath, expect, functionId, coldStart, log }) =>
+    withRetries(
+      async () => {
+        try {
+          return await runLambda({
+            outputDir,
+            eventsDir,
+            document,
+            lambda,
+            name,
+            functionId,
+            mode,
+            stackName,
+            physicalIds,
+            parameters,
+            region,
+            profile,
+            qualifier,
+            backend,
+            endpointUrl,
+            localEndpoint,
+            templateDir: dirname(templatePath),
+            filtered,
+            inputPath,
+            expect,
+            snapshot,
+            contract,
+            coldStart,
+            timeout: retry.timeout,
+            isolate,
+            log,
+          })
+        } catch (error) {
+          log(error)
+          return { name, lambda, mode, status: "error", passed: false, reason: error.message }
+        }
+      },
+      { retries: retry.retries, retryDelay: retry.retryDelay, log }
+    )
+
+  return {
+    tmpDir,
+    render,
+    get document() {
+      return document
+    },
+    reloadTemplate: async () => {
+      document = await readTemplate(templatePath)
+    },
+    loadCases: async (lambdas, selection = {}) => {
+      const cases = selectCases(
+        (
+          await Promise.all(
+            lambdas.map((lambda) => loadCases({ eventsDir, lambda, tmpDir, render }))
+          )
+        ).flat(),
+        selection
+      )
+      await makeCaseDirs(cases)
+      return cases
+    },
+    makeCaseDirs,
+    runCase: (testCase, { log: caseLog = log, coldStart = false } = {}) => {
+      if (testCase.scenario) {
+        return runScenario({
+          scenario: testCase.scenario,
+          eventsDir,
+          tmpDir,
+          render,
+          runStep: (step) => invoke({ ...step, coldStart, log: caseLog }),
+          log: caseLog,
+        })
+      }
+      return invoke({ ...testCase, coldStart, log: caseLog })
+    },
+    close: () => rm(tmpDir, { recursive: true, force: true }),
+  }
+}
+
+// adds the statistics to the summary and a failed result for each case that regressed from the baseline
+async function checkBench(summary, { baselinePath, updateBaseline, threshold }, log) {
+  summary.bench = benchStats(summary.results)
+  log(formatBench(summary.bench))
+  if (!baselinePath) {
+    return
+  }
+  if (updateBaseline) {
+    await writeBaseline(baselinePath, summary.bench)
+    log(`baseline written to ${baselinePath}`)
+    return
+  }
+  const baseline = await readBaseline(baselinePath)
+  if (!baseline) {
+    log(`no baseline at ${baselinePath}; run with --update-baseline to store one`)
+    return
+  }
+  const regressions = compareBaseline(summary.bench, baseline, threshold).map(
+    ({ name, reason }) => ({
+      name: `${name} (baseline)`,
+      lambda: summary.results.find((result) => result.name === name).lambda,
+      status: "failed",
+      passed: false,
+      reason: `regressed by more than ${threshold}%: ${reason}`,
+    })
+  )
+  Object.assign(summary, summarize([...summary.results, ...regressions]), {
+    bench: summary.bench,
+  })
+}
+
+// the selection as command line arguments, for error messages
+function describeSelection({ mode, patterns, exclude, tags }) {
+  return [
+    mode,
+    ...patterns,
+    ...exclude.map((pattern) => `--exclude ${pattern}`),
+    ...tags.map((tag) => `--tag ${tag}`),
+  ].join(" ")
+}
+
+/**
+ * Run the cases of the lambdas in an events directory and summarize the results.
+ * This is what the command line runs after reading its arguments and settings; see main for details about each option.
+ * @param {Object} $1
+ * @param {string} $1.mode "remote", "local" or "node"
+ * @param {string} $1.outputDir where responses and logs are written
+ * @param {string} $1.eventsDir
+ * @param {string} $1.templatePath
+ * @param {Array<string>=} $1.patterns names or glob patterns of the lambdas to run; all are run if empty.
+ *  If exactly one lambda matches, its full response is printed.
+ * @param {Array<string>=} $1.exclude names or glob patterns of lambdas and cases not to run
+ * @param {Array<string>=} $1.tags only run cases with one of these tags
+ * @param {string=} $1.stackName
+ * @param {string=} $1.parameterOverrides as "Key1=Value1 Key2=Value2"
+ * @param {string=} $1.stage sets the template's Stage parameter, if it has one that is not overridden
+ * @param {string=} $1.region
+ * @param {string=} $1.profile an AWS CLI named profile
+ * @param {string=} $1.qualifier a version or alias to invoke in remote mode
+ * @param {Array<Object>=} $1.targets deployments to run the suite against one after another, each with a name and any of stackName,
+ *  stage, region, profile, qualifier and parameterOverrides, which replace the options of the same name; see resolveTargets.
+ *  The responses of each target are written to a directory named after it in outputDir, and its results have its name as target.
+ * @param {string=} $1.backend "cli" (default) or "http"
+ * @param {string=} $1.endpointUrl for the "http" backend
+ * @param {boolean=} $1.localEndpoint whether endpointUrl is a local server that names functions by their logical ID
+ * @param {boolean=} $1.snapshot whether to compare responses with snapshots
+ * @param {boolean=} $1.updateSnapshots whether to overwrite snapshots with responses
+ * @param {string=} $1.snapshotsDir defaults to "__snapshots__" in eventsDir
+ * @param {Array<string>=} $1.snapshotIgnore
+ * @param {Object<string, string>=} $1.schemas JSON Schemas of responses by lambda name or logical ID
+ * @param {string=} $1.openapiPath an OpenAPI document to check the responses of API Gateway events against
+ * @param {string=} $1.reporter "junit", "json" or "tap"
+ * @param {string=} $1.reportPath
+ * @param {string|number=} $1.concurrency defaults to every case at once, except in node mode and when benchmarking
+ * @param {string|number=} $1.timeout seconds after which an invocation is stopped, in remote and local mode
+ * @param {string|number=} $1.retries how many times to retry invocations that are throttled or time out; see withRetries
+ * @param {string|number=} $1.retryDelay milliseconds to wait before the first retry; defaults to 1000
+ * @param {boolean=} $1.watch whether to keep running cases when files change; not in remote mode
+ * @param {Object=} $1.bench runs, warmup, coldStart, baselinePath, updateBaseline and threshold, to benchmark cases
+ * @param {AbortSignal=} $1.signal stops watching
+ * @param {function(...any): void=} $1.log where output is written
+ * @returns {Promise<Object>} a summary of the results; see summarize. With watch, this is the summary of the last run.
+ *  With bench, it also has bench, the statistics for each case; see benchStats.
+ *  With several targets, this summarizes the results of every target.
+ * @throws {InputError} if an option is invalid or nothing is selected
+ */
+export async function runSuite({ targets = [], ...options }) {
+  if (targets.length <= 1) {
+    return runTarget({ ...options, ...targets[0] })
+  }
+  const { outputDir, reporter, reportPath, watch, bench, log = console.log } = options
+  if (watch || bench) {
+    throw new InputError("--watch and --bench cannot be used with several targets")
+  }
+  if (!outputDir) {
+    throw new InputError("outputDir is required")
+  }
+  const report = resolveReport({ reporter, reportPath, outputDir })
+  const results = []
+  for (const [index, { name = String(index + 1), ...target }] of targets.entries()) {
+    log(`\n🎯 ${name}`)
+    const summary = await runTarget({
+      ...options,
+      ...target,
+      outputDir: `${outputDir}/${name}`,
+      reporter: undefined,
+      reportPath: undefined,
+    })
+    results.push(...summary.results.map((result) => ({ ...result, target: name })))
+  }
+  const summary = summarize(results)
+  log(`\n${formatSummary(summary)}`)
+  if (report) {
+    await writeReport({ summary, ...report })
+    log(`report written to ${report.reportPath}`)
+  }
+  return summary
+}
+
+async function runTarget({
+  mode,
+  outputDir,
+  eventsDir,
+  templatePath,
+  patterns = [],
+  exclude = [],
+  tags = [],
+  stackName,
+  parameterOverrides,
+  stage,
+  region,
+  profile,
+  qualifier,
+  backend = "cli",
+  endpointUrl,
+  localEndpoint,
+  snapshot = false,
+  updateSnapshots = false,
+  snapshotsDir = `${eventsDir}/${SNAPSHOTS_DIRNAME}`,
+  snapshotIgnore = [],
+  schemas,
+  openapiPath,
+  reporter,
+  reportPath,
+  concurrency,
+  timeout,
+  retries,
+  retryDelay,
+  watch = false,
+  bench,
+  signal,
+  log = console.log,
+}) {
+  if (!MODES.includes(mode)) {
+    throw new InputError("mode must be 'remote', 'local' or 'node'")
+  }
+  if (!BACKENDS.includes(backend)) {
+    throw new InputError(`backend must be one of: ${BACKENDS.join(", ")}`)
+  }
+  for (const [name, value] of Object.entries({ outputDir, eventsDir, templatePath })) {
+    if (!value) {
+      throw new InputError(`${name} is required`)
+    }
+  }
+  const limit = parseConcurrency(concurrency, mode, bench)
+  const report = resolveReport({ reporter, reportPath, outputDir })
+  if (watch && mode === "remote") {
+    throw new InputError("--watch only works in 'local' or 'node' mode")
+  }
+  await mkdir(outputDir, { recursive: true })
+
+  const selection = { patterns, exclude, tags }
+  const lambdaFilenames = await listLambdas(eventsDir, selection)
+  if (!lambdaFilenames.length) {
+    throw new InputError(
+      `no lambdas specified; args: ${describeSelection({ mode, ...selection })}`
+    )
+  }
+  const runner = await createRunner({
+    mode,
+    outputDir,
+    eventsDir,
+    templatePath,
+    stackName,
+    parameterOverrides,
+    stage,
+    region,
+    profile,
+    qualifier,
+    backend,
+    endpointUrl,
+    localEndpoint,
+    schemas,
+    openapiPath,
+    timeout,
+    retries,
+    retryDelay,
+    snapshot:
+      snapshot || updateSnapshots
+        ? { snapshotsDir, ignore: snapshotIgnore, update: updateSnapshots }
+        : undefined,
+    // naming a single lambda prints its full response
+    filtered: patterns.length > 0 && lambdaFilenames.length === 1,
+    // a handler imported in this process would not see changes to the modules it imports
+    isolate: watch,
+    log,
+  })
+
+  const runLambdas = async (lambdas) => {
+    const cases = await runner.loadCases(lambdas, selection)
+    if (!cases.length && !watch) {
+      throw new InputError(
+        `no cases selected; args: ${describeSelection({ mode, ...selection })}`
+      )
+    }
+    const output = createOrderedOutput(cases.length, log)
+    const results = await mapLimit(cases, limit, async (testCase, index) => {
+      const caseLog = output.logger(index)
+      try {
+        if (bench) {
+          caseLog(`⏱️ ${testCase.name}: ${bench.runs} runs`)
+          return await runBench({
+            ...bench,
+            run: (run) => runner.runCase(testCase, run),
+            log: caseLog,
+          })
+        }
+        return await runner.runCase(testCase, { log: caseLog })
+      } finally {
+        output.finish(index)
+      }
+    })
+    const summary = summarize(results.flat())
+    if (bench) {
+      await checkBench(summary, bench, log)
+    }
+    log(formatSummary(summary))
+    if (report) {
+      await writeReport({ summary, ...report })
+      log(`report written to ${report.reportPath}`)
+    }
+    return summary
+  }
+
+  try {
+    let summary = await runLambdas(lambdaFilenames)
+    if (!watch) {
+      return summary
+    }
+
+    // the functions each lambda invoked, so that a change to a function's code re-runs those lambdas
+    const lambdaFunctions = new Map()
+    const recordFunctions = ({ results }) => {
+      // a scenario is run again if the code of any of its steps changes
+      for (const { lambda, scenario = lambda } of results) {
+        lambdaFunctions.set(scenario, new Set())
+      }
+      for (const { lambda, scenario = lambda, functionName } of results) {
+        if (functionName) {
+          lambdaFunctions.get(scenario).add(functionName)
+        }
+      }
+    }
+    recordFunctions(summary)
+    const templateDir = dirname(templatePath)
+    const codeDirs = Object.fromEntries(
+      listFunctions(runner.document)
+        .filter(({ codeUri }) => codeUri)
+        .map(({ logicalId, codeUri }) => [logicalId, resolve(templateDir, codeUri)])
+    )
+    log("👀 watching for changes")
+    await watchFiles({
+      paths: [eventsDir, templatePath, ...new Set(Object.values(codeDirs))],
+      signal,
+      onChange: async (changedPaths) => {
+        const lambdas = affectedLambdas(changedPaths, {
+          lambdas: await listLambdas(eventsDir, selection),
+          eventsDir,
+          templatePath,
+          codeDirs,
+          lambdaFunctions,
+          ignore: [outputDir, snapshotsDir],
+        })
+        if (!lambdas.length) {
+          return
+        }
+        if (changedPaths.includes(resolve(templatePath))) {
+          await runner.reloadTemplate()
+        }
+        log(`\n🔁 ${lambdas.join(", ")}`)
+        summary = await runLambdas(lambdas)
+        recordFunctions(summary)
+      },
+    })
+    return summary
+  } finally {
+    await runner.close()
+  }
+}
+
+// runs a case in each mode and compares the results, or those of each step of a scenario
+async function compareCase(testCase, { runners, modes, ignore, log }) {
+  const runs = []
+  for (const runner of runners) {
+    const lines = []
+    const results = [await runner.runCase(testCase, { log: (...args) => lines.push(args) })]
+    runs.push({ results: results.flat(), lines })
+  }
+  // a lambda's output is only printed if it could not be invoked, since the differences are what matter
+  for (const { results, lines } of runs) {
+    if (results.some(({ status }) => status === "error")) {
+      for (const args of lines) {
+        log(...args)
+      }
+    }
+  }
+  const count = Math.max(...runs.map(({ results }) => results.length))
+  return Array.from({ length: count }, (_, index) => {
+    const compared = compareResults(
+      runs.map(({ results }) => results[index]),
+      { modes, ignore }
+    )
+    const icon = { passed: "✅", failed: "❌", error: "💥" }[compared.status]
+    log([`${icon} ${compared.name}`, compared.details].filter(Boolean).join("\n"))
+    return compared
+  })
+}
+
+/**
+ * Run the cases of the lambdas in an events directory in two modes, such as "local" and "remote", and compare their responses.
+ * A case passes if its responses are the same apart from ignored paths; see compareResults. Expectations are not checked.
+ * The responses of each mode are written to a directory named after the mode in outputDir.
+ * @param {Object} $1
+ * @param {Array<string>} $1.modes two different modes
+ * @param {string} $1.outputDir
+ * @param {string} $1.eventsDir
+ * @param {string} $1.templatePath
+ * @param {Array<string>=} $1.patterns
+ * @param {Array<string>=} $1.exclude
+ * @param {Array<string>=} $1.tags
+ * @param {Array<string>=} $1.ignore JSON paths into responses to ignore, such as "$.body.requestId" or "$.headers.etag"
+ * @param {string=} $1.stackName
+ * @param {string=} $1.parameterOverrides
+ * @param {string=} $1.stage
+ * @param {string=} $1.region
+ * @param {string=} $1.profile
+ * @param {string=} $1.qualifier
+ * @param {string=} $1.backend
+ * @param {string=} $1.endpointUrl
+ * @param {boolean=} $1.localEndpoint
+ * @param {string=} $1.reporter
+ * @param {string=} $1.reportPath
+ * @param {string|number=} $1.concurrency
+ * @param {string|number=} $1.timeout
+ * @param {string|number=} $1.retries
+ * @param {string|number=} $1.retryDelay
+ * @param {function(...any): void=} $1.log
+ * @returns {Promise<Object>} a summary of the comparisons; see summarize and compareResults
+ * @throws {InputError} if an option is invalid or nothing is selected
+ */
+export async function compareSuite({
+  modes,
+  outputDir,
+  eventsDir,
+  templatePath,
+  patterns = [],
+  exclude = [],
+  tags = [],
+  ignore = [],
+  stackName,
+  parameterOverrides,
+  stage,
+  region,
+  profile,
+  qualifier,
+  backend = "cli",
+  endpointUrl,
+  localEndpoint,
+  reporter,
+  reportPath,
+  concurrency,
+  timeout,
+  retries,
+  retryDelay,
+  log = console.log,
+}) {
+  if (modes.length !== 2 || !modes.every((mode) => MODES.includes(mode))) {
+    throw new InputError("compare needs two modes: 'remote', 'local' or 'node'")
+  }
+  if (modes[0] === modes[1]) {
+    throw new InputError("compare needs two different modes")
+  }
+  // cases run one at a time if either mode runs handlers in this process
+  const limit = parseConcurrency(concurrency, modes.includes("node") ? "node" : modes[0])
+  const report = resolveReport({ reporter, reportPath, outputDir })
+  await mkdir(outputDir, { recursive: true })
+
+  const selection = { patterns, exclude, tags }
+  const args = describeSelection({ mode: `compare ${modes.join(" ")}`, ...selection })
+  const lambdas = await listLambdas(eventsDir, selection)
+  if (!lambdas.length) {
+    throw new InputError(`no lambdas specified; args: ${args}`)
+  }
+  const runners = []
+  try {
+    for (const mode of modes) {
+      runners.push(
+        await createRunner({
+          mode,
+          outputDir: `${outputDir}/${mode}`,
+          eventsDir,
+          templatePath,
+          stackName,
+          parameterOverrides,
+          stage,
+          region,
+          profile,
+          qualifier,
+          backend,
+          endpointUrl,
+          localEndpoint,
+          timeout,
+          retries,
+          retryDelay,
+          log,
+        })
+      )
+    }
+    // events are rendered once so that generated values like "${uuid}" are the same in both modes
+    const cases = await runners[0].loadCases(lambdas, selection)
+    if (!cases.length) {
+      throw new InputError(`no cases selected; args: ${args}`)
+    }
+    await runners[1].makeCaseDirs(cases)
+
+    const output = createOrderedOutput(cases.length, log)
+    const results = await mapLimit(cases, limit, async (testCase, index) => {
+      try {
+        return await compareCase(testCase, {
+          runners,
+          modes,
+          ignore,
+          log: output.logger(index),
+        })
+      } finally {
+        output.finish(index)
+      }
+    })
+    const summary = summarize(results.flat())
+    log(formatSummary(summary))
+    if (report) {
+      await writeReport({ summary, ...report })
+      log(`report written to ${report.reportPath}`)
+    }
+    return summary
+  } finally {
+    await Promise.all(runners.map((runner) => runner.close()))
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Total the results of running lambdas.
+ * @param {Array<Object>} results as returned by runLambda
+ * @returns {{total: number, passed: number, flaky: number, failed: number, errored: number, duration: number, results: Array<Object>}}
+ *  flaky counts the results that only passed after retries, which are also counted in passed;
+ *  duration is the sum of invocation durations in milliseconds
+ */
+export function summarize(results) {
+  const count = (status) => results.filter((result) => result.status === status).length
+  return {
+    total: results.length,
+    passed: count("passed"),
+    flaky: results.filter((result) => result.flaky).length,
+    failed: count("failed"),
+    errored: count("error"),
+    duration: results.reduce((sum, { duration = 0 }) => sum + duration, 0),
+    results,
+  }
+}
+
+function describeResult({ status, flaky, name, target, reason, attempts, retryReasons }) {
+  const label = `${target ? `[${target}] ` : ""}${name}`
+  if (flaky) {
+    return `  ⚠️ ${label}: passed after ${attempts} attempts (${retryReasons.join("; ")})`
+  }
+  return `  ${status === "error" ? "💥" : "❌"} ${label}: ${reason}`
+}
+
+/**
+ * Format a summary as a final pass/fail report listing each result that did not pass or was flaky,
+ * along with its target if it has one. Flaky results are counted apart from those that passed the first time.
+ * @param {Object} summary as returned by summarize()
+ * @returns {string}
+ */
+export function formatSummary({ total, passed, flaky = 0, failed, errored, results }) {
+  const lines = results.filter((result) => !result.passed || result.flaky).map(describeResult)
+  const counts = [`${passed - flaky} passed`]
+  if (flaky) {
+    counts.push(`${flaky} flaky`)
+  }
+  counts.push(`${failed} failed`)
+  if (errored) {
+    counts.push(`${errored} errored`)
+  }
+  const icon = passed === total ? "✅" : "❌"
+  return [`${icon} ${counts.join(", ")} (${total} total)`, ...lines].join("\n")
+}
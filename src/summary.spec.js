@@ -0,0 +1,59 @@
+import { formatSummary, summarize } from "./summary.js"
+
+const results = [
+  { name: "a", status: "passed", passed: true, duration: 100 },
+  { name: "b", status: "failed", passed: false, reason: "status code 500", duration: 50 },
+  { name: "c", status: "error", passed: false, reason: "exited with code 1" },
+]
+
+describe("summarize", () => {
+  it("totals results by status", () => {
+    expect(summarize(results)).toEqual({
+      total: 3,
+      passed: 1,
+      flaky: 0,
+      failed: 1,
+      errored: 1,
+      duration: 150,
+      results,
+    })
+  })
+})
+
+describe("formatSummary", () => {
+  it("lists results that did not pass", () => {
+    expect(formatSummary(summarize(results))).toBe(
+      [
+        "❌ 1 passed, 1 failed, 1 errored (3 total)",
+        "  ❌ b: status code 500",
+        "  💥 c: exited with code 1",
+      ].join("\n")
+    )
+  })
+
+  it("prefixes results with their target", () => {
+    const targeted = results.map((result) => ({ ...result, target: "prod" }))
+    expect(formatSummary(summarize(targeted))).toContain("  ❌ [prod] b: status code 500")
+  })
+
+  it("counts flaky results apart from clean passes and lists them", () => {
+    const flaky = {
+      name: "d",
+      status: "passed",
+      passed: true,
+      flaky: true,
+      attempts: 2,
+      retryReasons: ["exited with code 254"],
+    }
+    expect(formatSummary(summarize([results[0], flaky]))).toBe(
+      [
+        "✅ 1 passed, 1 flaky, 0 failed (2 total)",
+        "  ⚠️ d: passed after 2 attempts (exited with code 254)",
+      ].join("\n")
+    )
+  })
+
+  it("reports success when everything passed", () => {
+    expect(formatSummary(summarize([results[0]]))).toBe("✅ 1 passed, 0 failed (1 total)")
+  })
+})
@@ -0,0 +1,68 @@
+import { InputError } from "./errors.js"
+
+/**
+ * Get the AWS CLI options that select a region and a named profile.
+ * @param {Object=} $1
+ * @param {string=} $1.region
+ * @param {string=} $1.profile
+ * @returns {Array<string>}
+ */
+export function awsCliOptions({ region, profile } = {}) {
+  return [...(region ? ["--region", region] : []), ...(profile ? ["--profile", profile] : [])]
+}
+
+/**
+ * Decide which deployments to run against: a stack in a region with a profile, along with the qualifier to invoke.
+ * Several stacks, stages or regions give a target for each combination of them.
+ * @param {Object} $1
+ * @param {Array<string>=} $1.stacks stack names, which replace stackName
+ * @param {Array<string>=} $1.stages stages, each of which is the stack "<stackName>-<stage>" and sets a Stage parameter
+ * @param {Array<string>=} $1.regions
+ * @param {string=} $1.stackName the default stack
+ * @param {string=} $1.region the default region
+ * @param {string=} $1.profile an AWS CLI named profile
+ * @param {string=} $1.qualifier a version or alias to invoke
+ * @returns {Array<{name: string=, stackName: string=, stage: string=, region: string=, profile: string=, qualifier: string=}>}
+ *  name, like "prod-eu" or "prod-eu/eu-west-1", is only set if there are several targets, to tell their results apart
+ * @throws {InputError} if both stacks and stages are given or a stage has no stack name to add to
+ */
+export function resolveTargets({
+  stacks = [],
+  stages = [],
+  regions = [],
+  stackName,
+  region,
+  profile,
+  qualifier,
+}) {
+  if (stacks.length && stages.length) {
+    throw new InputError("--stack and --stage cannot be used together")
+  }
+  if (stages.length && !stackName) {
+    throw new InputError("--stage needs a stack name to add the stage to; set STACK_NAME")
+  }
+  let deployments = stacks.map((stack) => ({ stackName: stack, label: stack }))
+  if (stages.length) {
+    deployments = stages.map((stage) => ({
+      stackName: `${stackName}-${stage}`,
+      stage,
+      label: stage,
+    }))
+  }
+  if (!deployments.length) {
+    deployments = [{ stackName }]
+  }
+  const targets = deployments.flatMap(({ label, ...deployment }) =>
+    (regions.length ? regions : [region]).map((targetRegion) => ({
+      name: [label, regions.length > 1 ? targetRegion : undefined].filter(Boolean).join("/"),
+      ...deployment,
+      region: targetRegion,
+      profile,
+      qualifier,
+    }))
+  )
+  if (targets.length === 1) {
+    delete targets[0].name
+  }
+  return targets
+}
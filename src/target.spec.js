@@ -0,0 +1,68 @@
+import { InputError } from "./errors.js"
+import { awsCliOptions, resolveTargets } from "./target.js"
+
+describe("awsCliOptions", () => {
+  it("gets the options for a region and profile", () => {
+    expect(awsCliOptions({ region: "eu-west-1", profile: "prod" })).toEqual([
+      "--region",
+      "eu-west-1",
+      "--profile",
+      "prod",
+    ])
+    expect(awsCliOptions({ profile: "prod" })).toEqual(["--profile", "prod"])
+    expect(awsCliOptions()).toEqual([])
+  })
+})
+
+describe("resolveTargets", () => {
+  it("gets a single target without a name", () => {
+    expect(
+      resolveTargets({
+        stackName: "app",
+        region: "us-east-1",
+        profile: "dev",
+        qualifier: "live",
+      })
+    ).toEqual([{ stackName: "app", region: "us-east-1", profile: "dev", qualifier: "live" }])
+    expect(resolveTargets({ stacks: ["other"], stackName: "app" })).toEqual([
+      expect.objectContaining({ stackName: "other" }),
+    ])
+  })
+
+  it("gets a target for each stage, named after it", () => {
+    expect(
+      resolveTargets({ stages: ["dev", "prod"], stackName: "app", profile: "ci" })
+    ).toEqual([
+      { name: "dev", stackName: "app-dev", stage: "dev", region: undefined, profile: "ci" },
+      { name: "prod", stackName: "app-prod", stage: "prod", region: undefined, profile: "ci" },
+    ])
+  })
+
+  it("gets a target for each combination of stacks and regions", () => {
+    const targets = resolveTargets({
+      stacks: ["app-eu", "app-us"],
+      regions: ["eu-west-1", "us-east-1"],
+    })
+    expect(targets.map(({ name }) => name)).toEqual([
+      "app-eu/eu-west-1",
+      "app-eu/us-east-1",
+      "app-us/eu-west-1",
+      "app-us/us-east-1",
+    ])
+    expect(targets[1]).toEqual(
+      expect.objectContaining({ stackName: "app-eu", region: "us-east-1" })
+    )
+    expect(
+      resolveTargets({ regions: ["eu-west-1", "us-east-1"], stackName: "app" }).map(
+        ({ name }) => name
+      )
+    ).toEqual(["eu-west-1", "us-east-1"])
+  })
+
+  it("throws InputError for stages that cannot be used", () => {
+    expect(() => resolveTargets({ stacks: ["a"], stages: ["dev"], stackName: "app" })).toThrow(
+      "--stack and --stage cannot be used together"
+    )
+    expect(() => resolveTargets({ stages: ["dev"] })).toThrow(InputError)
+  })
+})
@@ -0,0 +1,128 @@
+import { basename } from "node:path"
+import { resolveIntrinsics } from "./cloudformation.js"
+import { InputError } from "./errors.js"
+import { isPlainObject } from "./object.js"
+
+export const FUNCTION_TYPES = ["AWS::Serverless::Function", "AWS::Lambda::Function"]
+
+// values in properties win over globals, while maps such as Environment.Variables are merged
+function mergeGlobals(globals, properties) {
+  const merged = { ...globals }
+  for (const [key, value] of Object.entries(properties)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key])
+        ? mergeGlobals(merged[key], value)
+        : value
+  }
+  return merged
+}
+
+function trimPath(path) {
+  return typeof path === "string" ? path.replace(/\/+$/u, "") : undefined
+}
+
+/**
+ * List the functions defined in a CloudFormation or SAM template.
+ * Properties of AWS::Serverless::Function resources include those from Globals.Function.
+ * @param {Object} document the parsed template
+ * @param {Object=} context used to resolve intrinsic functions in FunctionName; see resolveIntrinsics
+ * @returns {Array<{logicalId: string, type: string, properties: Object, codeUri: string=, handler: string=, functionName: string=}>}
+ *  codeUri is CodeUri for SAM functions or Code for Lambda functions when it is a local path.
+ *  functionName is the FunctionName property if it is given and can be resolved without a deployed stack.
+ */
+export function listFunctions(document, context = {}) {
+  const resources = isPlainObject(document?.Resources) ? document.Resources : {}
+  const globals = isPlainObject(document?.Globals?.Function) ? document.Globals.Function : {}
+  const functions = []
+  for (const [logicalId, resource] of Object.entries(resources)) {
+    if (!FUNCTION_TYPES.includes(resource?.Type)) {
+      continue
+    }
+    const ownProperties = isPlainObject(resource.Properties) ? resource.Properties : {}
+    const properties =
+      resource.Type === "AWS::Serverless::Function"
+        ? mergeGlobals(globals, ownProperties)
+        : ownProperties
+    const codeUri = trimPath(properties.CodeUri ?? properties.Code)
+    const handler = typeof properties.Handler === "string" ? properties.Handler : undefined
+    const functionName =
+      properties.FunctionName === undefined
+        ? undefined
+        : resolveIntrinsics(properties.FunctionName, { ...context, document })
+    functions.push({
+      logicalId,
+      type: resource.Type,
+      properties,
+      codeUri,
+      handler,
+      functionName,
+    })
+  }
+  return functions
+}
+
+/**
+ * Get the module path of a handler, such as "src/query" for "src/query.handler".
+ * @param {string} handler
+ * @returns {string}
+ */
+export function handlerModule(handler) {
+  const index = handler.lastIndexOf(".")
+  return index === -1 ? handler : handler.slice(0, index)
+}
+
+function pickOne(lambda, matches) {
+  if (matches.length > 1) {
+    const logicalIds = matches.map(({ logicalId }) => logicalId).join(", ")
+    throw new InputError(
+      `ambiguous function for ${lambda}: matches ${logicalIds}; set "_function" in the event to pick one`
+    )
+  }
+  return matches[0]
+}
+
+// the functions whose path ends with the lambda, narrowed to those whose last segment is the
+// lambda if there are any, so that "query" picks "dist/query" over "dist/users-query"
+function matchPaths(functions, lambda, pathOf) {
+  const matches = functions.filter((fn) => pathOf(fn)?.endsWith(lambda))
+  const exact = matches.filter((fn) => basename(pathOf(fn)) === lambda)
+  return exact.length ? exact : matches
+}
+
+/**
+ * Find the function in a template to invoke for a lambda. In order of precedence, the function is:
+ *  1. the one with the given logical ID, if any
+ *  2. the one whose CodeUri ends with the lambda
+ *  3. the one whose Handler module ends with the lambda, such as "src/query.handler" for "query"
+ * A path whose last segment is exactly the lambda is preferred over one that only ends with it.
+ * @param {Object} document the parsed template
+ * @param {string} lambda the event file or directory name
+ * @param {Object=} $3
+ * @param {string=} $3.logicalId an explicit logical ID, such as from an event's "_function" key
+ * @param {Object=} $3.context used to resolve intrinsic functions in FunctionName; see resolveIntrinsics
+ * @returns {Object} a function as returned by listFunctions
+ * @throws {InputError} if no function or more than one function matches
+ */
+export function findFunction(document, lambda, { logicalId, context } = {}) {
+  const functions = listFunctions(document, context)
+  if (logicalId) {
+    const match = functions.find((fn) => fn.logicalId === logicalId)
+    if (!match) {
+      throw new InputError(`could not find function ${logicalId} for ${lambda}`)
+    }
+    return match
+  }
+  const codeMatches = matchPaths(functions, lambda, ({ codeUri }) => codeUri)
+  if (codeMatches.length) {
+    return pickOne(lambda, codeMatches)
+  }
+  const handlerMatches = matchPaths(
+    functions,
+    lambda,
+    ({ handler }) => handler && handlerModule(handler)
+  )
+  if (handlerMatches.length) {
+    return pickOne(lambda, handlerMatches)
+  }
+  throw new InputError(`could not find function name for ${lambda}`)
+}
@@ -0,0 +1,199 @@
+import { InputError } from "./errors.js"
+import { findFunction, handlerModule, listFunctions } from "./template.js"
+
+describe("listFunctions", () => {
+  it("lists SAM and Lambda functions and skips other resources", () => {
+    const doc = {
+      Resources: {
+        Sam: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "dist/sam/" } },
+        Raw: {
+          Type: "AWS::Lambda::Function",
+          Properties: { Code: "dist/raw", Handler: "a.b" },
+        },
+        Table: { Type: "AWS::DynamoDB::Table", Properties: { TableName: "t" } },
+      },
+    }
+    expect(listFunctions(doc)).toEqual([
+      {
+        logicalId: "Sam",
+        type: "AWS::Serverless::Function",
+        properties: { CodeUri: "dist/sam/" },
+        codeUri: "dist/sam",
+        handler: undefined,
+      },
+      {
+        logicalId: "Raw",
+        type: "AWS::Lambda::Function",
+        properties: { Code: "dist/raw", Handler: "a.b" },
+        codeUri: "dist/raw",
+        handler: "a.b",
+      },
+    ])
+  })
+
+  it("applies Globals.Function to SAM functions only", () => {
+    const doc = {
+      Globals: {
+        Function: {
+          CodeUri: "dist",
+          Timeout: 10,
+          Environment: { Variables: { A: "1", B: "2" } },
+        },
+      },
+      Resources: {
+        Sam: {
+          Type: "AWS::Serverless::Function",
+          Properties: { Handler: "query.handler", Environment: { Variables: { B: "3" } } },
+        },
+        Raw: { Type: "AWS::Lambda::Function", Properties: { Handler: "raw.handler" } },
+      },
+    }
+    const [sam, raw] = listFunctions(doc)
+    expect(sam.codeUri).toBe("dist")
+    expect(sam.properties).toEqual({
+      CodeUri: "dist",
+      Timeout: 10,
+      Handler: "query.handler",
+      Environment: { Variables: { A: "1", B: "3" } },
+    })
+    expect(raw.codeUri).toBeUndefined()
+  })
+
+  it("resolves FunctionName when possible", () => {
+    const doc = {
+      Parameters: { Stage: { Default: "dev" } },
+      Resources: {
+        Named: {
+          Type: "AWS::Serverless::Function",
+          Properties: { FunctionName: { "Fn::Sub": "${AWS::StackName}-named-${Stage}" } },
+        },
+        Imported: {
+          Type: "AWS::Serverless::Function",
+          Properties: { FunctionName: { "Fn::ImportValue": "name" } },
+        },
+        Unnamed: { Type: "AWS::Serverless::Function", Properties: {} },
+      },
+    }
+    const functions = listFunctions(doc, { stackName: "app" })
+    expect(functions.map(({ functionName }) => functionName)).toEqual([
+      "app-named-dev",
+      undefined,
+      undefined,
+    ])
+  })
+
+  it("ignores a CodeUri that is not a local path", () => {
+    const doc = {
+      Resources: {
+        Sam: {
+          Type: "AWS::Serverless::Function",
+          Properties: { CodeUri: { Bucket: "b", Key: "k" } },
+        },
+      },
+    }
+    expect(listFunctions(doc)[0].codeUri).toBeUndefined()
+  })
+
+  it("returns an empty list for a document without resources", () => {
+    expect(listFunctions(null)).toEqual([])
+    expect(listFunctions({})).toEqual([])
+  })
+})
+
+describe("handlerModule", () => {
+  it("removes the exported function name", () => {
+    expect(handlerModule("src/users/query.handler")).toBe("src/users/query")
+    expect(handlerModule("index")).toBe("index")
+  })
+})
+
+describe("findFunction", () => {
+  it("returns the function when CodeUri ends with the lambda", () => {
+    const doc = {
+      Resources: {
+        MyFunc: { Type: "AWS::Lambda::Function", Properties: { CodeUri: "dist/foo" } },
+      },
+    }
+    expect(findFunction(doc, "foo").logicalId).toBe("MyFunc")
+  })
+
+  it("throws if CodeUri does not match", () => {
+    const doc = {
+      Resources: {
+        MyFunc: { Type: "AWS::Lambda::Function", Properties: { CodeUri: "dist/bar" } },
+      },
+    }
+    expect(() => findFunction(doc, "foo")).toThrow("could not find function name for foo")
+  })
+
+  it("throws InputError if multiple CodeUri match", () => {
+    const doc = {
+      Resources: {
+        Func1: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "dist/foo" } },
+        Func2: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "dist/foo" } },
+      },
+    }
+    expect(() => findFunction(doc, "foo")).toThrow(InputError)
+    expect(() => findFunction(doc, "foo")).toThrow(
+      'ambiguous function for foo: matches Func1, Func2; set "_function" in the event to pick one'
+    )
+  })
+
+  it("prefers a CodeUri whose last segment is the lambda over one that ends with it", () => {
+    const doc = {
+      Resources: {
+        Query: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "dist/query" } },
+        UsersQuery: {
+          Type: "AWS::Serverless::Function",
+          Properties: { CodeUri: "dist/users-query" },
+        },
+      },
+    }
+    expect(findFunction(doc, "query").logicalId).toBe("Query")
+    expect(findFunction(doc, "users-query").logicalId).toBe("UsersQuery")
+    expect(findFunction(doc, "s-query").logicalId).toBe("UsersQuery")
+  })
+
+  it("falls back to matching the Handler module", () => {
+    const doc = {
+      Globals: { Function: { CodeUri: "." } },
+      Resources: {
+        Query: {
+          Type: "AWS::Serverless::Function",
+          Properties: { Handler: "src/query.handler" },
+        },
+        Create: {
+          Type: "AWS::Serverless::Function",
+          Properties: { Handler: "src/create.handler" },
+        },
+      },
+    }
+    expect(findFunction(doc, "query").logicalId).toBe("Query")
+    expect(findFunction(doc, "create").logicalId).toBe("Create")
+  })
+
+  it("uses an explicit logical ID over any match", () => {
+    const doc = {
+      Resources: {
+        Func1: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "dist/foo" } },
+        Func2: { Type: "AWS::Serverless::Function", Properties: { CodeUri: "dist/foo" } },
+      },
+    }
+    expect(findFunction(doc, "foo", { logicalId: "Func2" }).logicalId).toBe("Func2")
+    expect(() => findFunction(doc, "foo", { logicalId: "Func3" })).toThrow(
+      "could not find function Func3 for foo"
+    )
+  })
+
+  it("does not match nested properties that are not resources", () => {
+    const doc = {
+      Resources: {
+        MyFunc: {
+          Type: "AWS::Serverless::Function",
+          Nested: { Properties: { CodeUri: "foo" } },
+        },
+      },
+    }
+    expect(() => findFunction(doc, "foo")).toThrow("could not find function name for foo")
+  })
+})
@@ -0,0 +1,149 @@
+import { readdirSync, statSync, watch } from "node:fs"
+import { basename, extname, isAbsolute, join, relative, resolve, sep } from "node:path"
+import { EXPECT_SUFFIX } from "./events.js"
+import { SCENARIO_SUFFIX } from "./scenario.js"
+
+function isInside(dir, path) {
+  const relativePath = relative(dir, path)
+  return !relativePath.startsWith("..") && !isAbsolute(relativePath)
+}
+
+function lambdaOfEvent(filename) {
+  const suffix = [EXPECT_SUFFIX, SCENARIO_SUFFIX].find((value) => filename.endsWith(value))
+  return suffix ? filename.slice(0, -suffix.length) : basename(filename, extname(filename))
+}
+
+/**
+ * Determine which lambdas to run again after files change.
+ * @param {Array<string>} changedPaths absolute paths
+ * @param {Object} $2
+ * @param {Array<string>} $2.lambdas the lambdas that can be run
+ * @param {string} $2.eventsDir a change to "<eventsDir>/<lambda>.json", "<lambda>.expect.json", "<lambda>.scenario.json" or
+ *  anything in "<eventsDir>/<lambda>/" affects that lambda, while a change to a fixture in a file or directory
+ *  starting with "_" affects every lambda
+ * @param {string} $2.templatePath a change to the template affects every lambda
+ * @param {Object<string, string>} $2.codeDirs maps logical IDs to the absolute paths of their CodeUri
+ * @param {Map<string, Set<string>>} $2.lambdaFunctions maps lambdas to the logical IDs they invoked;
+ *  a change in the CodeUri of one of those functions affects the lambda
+ * @param {Array<string>=} $2.ignore directories whose changes are ignored, such as where responses are written
+ * @returns {Array<string>} the affected lambdas, in the same order as lambdas
+ */
+export function affectedLambdas(
+  changedPaths,
+  { lambdas, eventsDir, templatePath, codeDirs, lambdaFunctions, ignore = [] }
+) {
+  const affected = new Set()
+  for (const path of changedPaths) {
+    if (ignore.some((dir) => isInside(resolve(dir), path))) {
+      continue
+    }
+    if (path === resolve(templatePath)) {
+      return lambdas
+    }
+    if (isInside(resolve(eventsDir), path)) {
+      const [filename] = relative(resolve(eventsDir), path).split(sep)
+      // a shared fixture can be included by any event
+      if (filename.startsWith("_")) {
+        return lambdas
+      }
+      affected.add(lambdaOfEvent(filename))
+      continue
+    }
+    const logicalIds = Object.keys(codeDirs).filter((logicalId) =>
+      isInside(codeDirs[logicalId], path)
+    )
+    for (const [lambda, functions] of lambdaFunctions) {
+      if (logicalIds.some((logicalId) => functions.has(logicalId))) {
+        affected.add(lambda)
+      }
+    }
+  }
+  return lambdas.filter((lambda) => affected.has(lambda))
+}
+
+// the directories in dir, recursively, other than dependencies
+function subdirectories(dir) {
+  return readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && entry.name !== "node_modules")
+    .flatMap((entry) => {
+      const path = join(dir, entry.name)
+      return [path, ...subdirectories(path)]
+    })
+}
+
+// calls onPath with the absolute path of each change in dir or its subdirectories
+function watchDirectory(dir, onPath) {
+  const watchDir = (path, options) =>
+    watch(path, options, (_, filename) => onPath(filename ? join(path, filename) : path))
+  try {
+    return [watchDir(dir, { recursive: true })]
+  } catch (error) {
+    // Linux does not support recursive watching before Node.js 20
+    if (error.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") {
+      throw error
+    }
+    return [dir, ...subdirectories(dir)].map((path) => watchDir(path, {}))
+  }
+}
+
+/**
+ * Watch files and directories, calling onChange with the paths that changed.
+ * Changes are batched until none happen for `debounce` milliseconds, and onChange is not called again
+ * until the promise it returns settles. Paths that do not exist are not watched.
+ * @param {Object} $1
+ * @param {Array<string>} $1.paths directories are watched recursively; where that is not supported, their subdirectories other than
+ *  node_modules are watched instead, and those created later are not
+ * @param {function(Array<string>): Promise<void>} $1.onChange called with absolute paths
+ * @param {number=} $1.debounce
+ * @param {AbortSignal=} $1.signal stops watching when aborted
+ * @returns {Promise<void>} resolves when signal is aborted
+ */
+export function watchFiles({ paths, onChange, debounce = 100, signal }) {
+  const changed = new Set()
+  let timer
+  let running = Promise.resolve()
+
+  const flush = () => {
+    const batch = [...changed]
+    changed.clear()
+    running = running.then(() => onChange(batch)).catch(console.error)
+  }
+  const onPath = (path) => {
+    changed.add(path)
+    clearTimeout(timer)
+    timer = setTimeout(flush, debounce)
+  }
+  const watchers = []
+  for (const path of paths) {
+    const absolutePath = resolve(path)
+    let isDirectory
+    try {
+      isDirectory = statSync(absolutePath).isDirectory()
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        continue
+      }
+      throw error
+    }
+    if (isDirectory) {
+      watchers.push(...watchDirectory(absolutePath, onPath))
+    } else {
+      watchers.push(watch(absolutePath, () => onPath(absolutePath)))
+    }
+  }
+
+  return new Promise((resolvePromise) => {
+    const stop = () => {
+      clearTimeout(timer)
+      for (const watcher of watchers) {
+        watcher.close()
+      }
+      running.then(() => resolvePromise())
+    }
+    if (signal?.aborted) {
+      stop()
+    } else {
+      signal?.addEventListener("abort", stop, { once: true })
+    }
+  })
+}
@@ -0,0 +1,87 @@
+import { jest } from "@jest/globals"
+import { mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { affectedLambdas, watchFiles } from "./watch.js"
+
+describe("affectedLambdas", () => {
+  const options = {
+    lambdas: ["query", "update", "delete"],
+    eventsDir: "/app/events",
+    templatePath: "/app/template.yaml",
+    codeDirs: { Query: "/app/dist/query", Update: "/app/dist/update" },
+    lambdaFunctions: new Map([
+      ["query", new Set(["Query"])],
+      ["update", new Set(["Update"])],
+      ["delete", new Set(["Update"])],
+    ]),
+    ignore: ["/app/events/__snapshots__"],
+  }
+
+  it("returns the lambdas of changed events and expectations", () => {
+    expect(
+      affectedLambdas(["/app/events/delete.json", "/app/events/query.expect.json"], options)
+    ).toEqual(["query", "delete"])
+    expect(affectedLambdas(["/app/events/query/happy.json"], options)).toEqual(["query"])
+    expect(affectedLambdas(["/app/events/update.scenario.json"], options)).toEqual(["update"])
+  })
+
+  it("returns the lambdas that invoked a function whose code changed", () => {
+    expect(affectedLambdas(["/app/dist/update/index.js"], options)).toEqual([
+      "update",
+      "delete",
+    ])
+  })
+
+  it("returns every lambda if the template changed", () => {
+    expect(affectedLambdas(["/app/template.yaml"], options)).toEqual(options.lambdas)
+  })
+
+  it("returns every lambda if a shared fixture changed", () => {
+    expect(affectedLambdas(["/app/events/_fixtures/apigw.json"], options)).toEqual(
+      options.lambdas
+    )
+  })
+
+  it("ignores unrelated and ignored paths", () => {
+    expect(
+      affectedLambdas(["/app/README.md", "/app/events/__snapshots__/query.json"], options)
+    ).toEqual([])
+    expect(affectedLambdas(["/app/events/unknown.json"], options)).toEqual([])
+  })
+})
+
+describe("watchFiles", () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "watch-"))
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it("calls onChange with changed paths until aborted", async () => {
+    const controller = new AbortController()
+    const batches = []
+    const watching = watchFiles({
+      paths: [dir, join(dir, "missing")],
+      debounce: 20,
+      signal: controller.signal,
+      onChange: async (paths) => {
+        batches.push(paths)
+        controller.abort()
+      },
+    })
+    await writeFile(join(dir, "query.json"), "{}")
+    await watching
+    expect(batches).toEqual([[join(dir, "query.json")]])
+  })
+
+  it("resolves immediately if already aborted", async () => {
+    const onChange = jest.fn()
+    await watchFiles({ paths: [dir], onChange, signal: AbortSignal.abort() })
+    expect(onChange).not.toHaveBeenCalled()
+  })
+})